@@ -32,6 +32,11 @@ define((require) => {
 			popup: '/ui/popups/info.html',
 			i18n: 'pageActionSkipped',
 		},
+		[ControllerMode.Blocked]: {
+			icon: 'skipped',
+			popup: '/ui/popups/info.html',
+			i18n: 'pageActionBlocked',
+		},
 		[ControllerMode.Ignored]: {
 			icon: 'ignored',
 			popup: '',
@@ -42,6 +47,11 @@ define((require) => {
 			popup: '/ui/popups/disabled.html',
 			i18n: 'pageActionDisabled',
 		},
+		[ControllerMode.Suspended]: {
+			icon: 'skipped',
+			popup: '/ui/popups/suspended.html',
+			i18n: 'pageActionSuspended',
+		},
 		[ControllerMode.Unknown]: {
 			icon: 'unknown',
 			popup: '/ui/popups/info.html',
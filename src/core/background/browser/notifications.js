@@ -4,6 +4,7 @@ define((require) => {
 	const { i18n, notifications, runtime } = require('webextension-polyfill');
 	const { getPlatformName, isFullscreenMode } = require('util/util-browser');
 	const Options = require('storage/options');
+	const ServiceCallResult = require('object/service-call-result');
 
 	const manifest = runtime.getManifest();
 	const DEFAULT_OPTIONS_VALUES = {
@@ -204,6 +205,33 @@ define((require) => {
 		showError(errorMessage, onClicked);
 	}
 
+	/**
+	 * Show notification if song is failed to scrobble.
+	 * @param  {Object} song Song instance
+	 * @param  {Function} onClicked Function that will be called on notification click
+	 */
+	async function showScrobbleError(song, onClicked) {
+		if (!await isAllowed()) {
+			return;
+		}
+
+		const { errorResult } = song.metadata;
+		const descriptionId = ServiceCallResult.ERROR_DESCRIPTIONS[errorResult] ||
+			ServiceCallResult.ERROR_DESCRIPTIONS[ServiceCallResult.ERROR_OTHER];
+
+		const options = {
+			iconUrl: song.getTrackArt() || defaultTrackArtUrl,
+			title: i18n.getMessage('notificationScrobbleError'),
+			message: i18n.getMessage(descriptionId),
+		};
+
+		try {
+			await showNotification(options, onClicked);
+		} catch (err) {
+			console.warn(`Unable to show scrobble error notification: ${err.message}`);
+		}
+	}
+
 	/**
 	 * Show notification if song is not recognized.
 	 * @param  {Object} song Song instance
@@ -272,6 +300,7 @@ define((require) => {
 		showAuthNotification,
 		showError,
 		showNowPlaying,
+		showScrobbleError,
 		showSignInError,
 		showSongNotRecognized
 	};
@@ -10,6 +10,7 @@
  *  - EVENT_SONG_UPDATED: The current song is updated
  *    @param  {Object} data Song instance copy
  *  - EVENT_READY: The connector is injected and the controller is created
+ *    @param  {Object} filterSets Metadata filter sets enabled or disabled by user
  *  - EVENT_PING: The 'ping' event to check if connector is injected
  *
  * 2) requests:
@@ -21,22 +22,43 @@
  *    @param  {Boolean} isLoved Flag indicates song is loved
  *  - REQUEST_RESET_SONG: Reset corrected song info
  *  - REQUEST_SKIP_SONG: Ignore (don't scrobble) current song
+ *  - REQUEST_BLOCK_SONG: Add current song to the blocklist and ignore it
+ *    @param  {Boolean} isArtistBlocked Flag indicates all artist songs are blocked
  *  - REQUEST_AUTHENTICATE: Authenticate scrobbler
  *    @param  {String} scrobbler Scrobbler label
+ *  - REQUEST_UPDATE_CUSTOM_SCROBBLERS: Reload scrobblers defined by user
+ *  - REQUEST_REMOVE_ACCOUNT: Remove additional account and its data
+ *    @param  {String} id Scrobbler ID
+ *  - REQUEST_REMOVE_CUSTOM_SCROBBLER: Remove custom scrobbler and its data
+ *    @param  {String} id Scrobbler ID
+ *  - REQUEST_RESUBMIT_SCROBBLE: Scrobble a song from the history again
+ *    @param  {Number} id History entry ID
+ *    @param  {Object} songInfo Object contains corrected song info
+ *    @return {Object} Updated history entry
+ *  - REQUEST_SCROBBLE_SONG: Scrobble a song entered by user
+ *    @param  {Object} songInfo Object contains song info
+ *    @param  {Number} timestamp Time when song started playing
+ *    @param  {Boolean} force Consider song as recognized even if it's not found
+ *    @return {Object} Object contains processed song data and scrobble results
  */
 
 define((require) => {
 	const GA = require('service/ga');
+	const Song = require('object/song');
+	const Options = require('storage/options');
 	const browser = require('webextension-polyfill');
+	const Metadata = require('pipeline/metadata');
+	const Normalize = require('pipeline/normalize');
 	const TabWorker = require('object/tab-worker');
 	const Notifications = require('browser/notifications');
 	const BrowserStorage = require('storage/browser-storage');
 	const ScrobbleService = require('object/scrobble-service');
 
-	const { openTab } = require('util/util-browser');
+	const { isTabAudible, openTab } = require('util/util-browser');
 
 	const {
-		ControllerReset, SongNowPlaying, SongScrobbled, SongUnrecognized
+		ControllerReset, SongNowPlaying, SongScrobbled, SongScrobbleFailed,
+		SongUnrecognized
 	} = require('object/controller-event');
 
 	/**
@@ -79,6 +101,8 @@ define((require) => {
 				this.showAuthNotification();
 			}
 
+			ScrobbleService.resubmitQueuedScrobbles();
+
 			GA.pageview(`/background-loaded?version=${this.extVersion}`);
 		}
 
@@ -100,6 +124,11 @@ define((require) => {
 			}
 
 			browser.tabs.onUpdated.addListener((_, changeInfo, tab) => {
+				if ('audible' in changeInfo || 'mutedInfo' in changeInfo) {
+					this.tabWorker.processTabAudioChange(
+						tab.id, isTabAudible(tab));
+				}
+
 				if (changeInfo.status !== 'complete') {
 					return;
 				}
@@ -115,6 +144,10 @@ define((require) => {
 				return this.tabWorker.processTabChange(activeInfo.tabId);
 			});
 
+			window.addEventListener('online', () => {
+				ScrobbleService.resubmitQueuedScrobbles();
+			});
+
 			browser.runtime.onConnect.addListener((port) => {
 				port.onMessage.addListener((message) => {
 					const { type, data } = message;
@@ -134,18 +167,29 @@ define((require) => {
 		 * @param  {Object} data Object contains data sent in the message
 		 */
 		async processMessage(tabId, type, data) {
+			if (type === 'REQUEST_UPDATE_CUSTOM_SCROBBLERS') {
+				await ScrobbleService.loadCustomScrobblers();
+				return;
+			} else if (type === 'REQUEST_RESUBMIT_SCROBBLE') {
+				return ScrobbleService.resubmitHistoryEntry(data.id, data.songInfo);
+			} else if (type === 'REQUEST_SCROBBLE_SONG') {
+				return this.scrobbleSong(data.songInfo, data.timestamp, data.force);
+			}
+
 			const requestTypes = [
 				'REQUEST_AUTHENTICATE',
 				'REQUEST_APPLY_USER_OPTIONS',
-				'REQUEST_SIGN_OUT'
+				'REQUEST_SIGN_OUT',
+				'REQUEST_REMOVE_ACCOUNT',
+				'REQUEST_REMOVE_CUSTOM_SCROBBLER',
 			];
 			if (!requestTypes.includes(type)) {
 				return this.tabWorker.processMessage(tabId, type, data);
 			}
 
-			const scrobbler = ScrobbleService.getScrobblerByLabel(data.label);
+			const scrobbler = ScrobbleService.getScrobblerById(data.id);
 			if (!scrobbler) {
-				console.log(`Unknown scrobbler: ${data.label}`);
+				console.log(`Unknown scrobbler: ${data.id}`);
 				return;
 			}
 
@@ -155,6 +199,10 @@ define((require) => {
 				await this.applyUserProperties(scrobbler, data.userProps);
 			} else if (type === 'REQUEST_SIGN_OUT') {
 				await scrobbler.signOut();
+			} else if (type === 'REQUEST_REMOVE_ACCOUNT') {
+				await ScrobbleService.removeAccount(scrobbler);
+			} else if (type === 'REQUEST_REMOVE_CUSTOM_SCROBBLER') {
+				await ScrobbleService.removeCustomScrobbler(scrobbler);
 			}
 		}
 
@@ -232,6 +280,48 @@ define((require) => {
 			}
 		}
 
+		/**
+		 * Scrobble song entered by user. The song is processed by pipeline
+		 * stages which don't depend on a connector before scrobbling.
+		 *
+		 * Since song info is entered by user, it's marked as corrected
+		 * by user, and it's not replaced by info loaded from services.
+		 * The song is scrobbled only if it's recognized by services,
+		 * or if recognition is forced.
+		 *
+		 * @param  {Object} songInfo Object contains song info
+		 * @param  {Number} timestamp Time when song started playing in UNIX timestamp format
+		 * @param  {Boolean} force Consider song as recognized even if it's not found
+		 * @return {Object} Object contains processed song data and scrobble results
+		 */
+		async scrobbleSong(songInfo, timestamp, force = false) {
+			const song = new Song(songInfo, { label: null });
+			for (const field of Song.USER_FIELDS) {
+				song.processed[field] = songInfo[field] || null;
+			}
+			song.metadata.startTimestamp = timestamp;
+			song.flags.isCorrectedByUser = true;
+
+			await Normalize.process(song);
+			await Metadata.process(song);
+
+			if (force) {
+				song.flags.isValid = true;
+			} else if (!song.flags.isValid) {
+				song.flags.isValid = await Options.getOption(Options.FORCE_RECOGNIZE);
+			}
+
+			const songData = song.getCloneableData();
+			// Songs corrected by user are valid, so the flag is checked instead
+			if (!song.flags.isValid) {
+				console.log(`Unable to scrobble unrecognized song: ${song.getArtistTrackString()}`);
+				return { song: songData, isValid: false, results: {} };
+			}
+
+			const results = await ScrobbleService.scrobbleWithIds(song);
+			return { song: songData, isValid: true, results };
+		}
+
 		async applyUserProperties(scrobbler, userProps) {
 			await scrobbler.applyUserProperties(userProps);
 			ScrobbleService.bindScrobbler(scrobbler);
@@ -307,6 +397,14 @@ define((require) => {
 					break;
 				}
 
+				case SongScrobbleFailed: {
+					const song = ctrl.getCurrentSong();
+					Notifications.showScrobbleError(song, () => {
+						openTab(ctrl.tabId);
+					});
+					break;
+				}
+
 				case SongUnrecognized: {
 					console.log(2222);
 					const song = ctrl.getCurrentSong();
@@ -6,6 +6,8 @@ const SongNowPlaying = 'SongNowPlaying';
 
 const SongScrobbled = 'Scrobbled';
 
+const SongScrobbleFailed = 'SongScrobbleFailed';
+
 const SongUnrecognized = 'SongUnrecognized';
 
 define(() => {
@@ -13,6 +15,7 @@ define(() => {
 		ControllerReset,
 		SongNowPlaying,
 		SongScrobbled,
+		SongScrobbleFailed,
 		SongUnrecognized
 	};
 });
@@ -14,6 +14,13 @@ const Base = 'Base';
  */
 const Disabled = 'Disabled';
 
+/**
+ * A song is ignored, because it's in the blocklist.
+ *
+ * @type {String}
+ */
+const Blocked = 'Blocked';
+
 /**
  * A scrobble service returned an error.
  *
@@ -56,6 +63,13 @@ const Scrobbled = 'Scrobbled';
  */
 const Skipped = 'Skipped';
 
+/**
+ * A controller is suspended, because music is played in another tab.
+ *
+ * @type {String}
+ */
+const Suspended = 'Suspended';
+
 /**
  * An unknown song is playing.
  *
@@ -70,7 +84,7 @@ const Unknown = 'Unknown';
  *
  * @type {Array}
  */
-const inactiveModes = [Base, Disabled];
+const inactiveModes = [Base, Disabled, Suspended];
 
 /**
  * Check if a given mode is active.
@@ -94,8 +108,8 @@ function isInactiveMode(mode) {
 
 define(() => {
 	return {
-		Base, Disabled, Err, Ignored, Loading,
-		Playing, Scrobbled, Skipped, Unknown,
+		Base, Blocked, Disabled, Err, Ignored, Loading,
+		Playing, Scrobbled, Skipped, Suspended, Unknown,
 
 		isActiveMode, isInactiveMode,
 	};
@@ -8,6 +8,7 @@ define((require) => {
 	const Pipeline = require('pipeline/pipeline');
 	const ControllerMode = require('object/controller-mode');
 	const ControllerEvent = require('object/controller-event');
+	const Blocklist = require('storage/blocklist');
 	const ScrobbleService = require('object/scrobble-service');
 	const ServiceCallResult = require('object/service-call-result');
 	const LocalCacheStorage = require('storage/local-cache');
@@ -19,6 +20,13 @@ define((require) => {
 	 */
 	const fieldsToCheckSongChange = ['artist', 'track', 'album', 'uniqueID'];
 
+	/**
+	 * Max difference in seconds between changes of current time and
+	 * wall-clock time which is not considered as a seek.
+	 * @type {Number}
+	 */
+	const SEEK_DETECTION_THRESHOLD = 3;
+
 	/**
 	 * Object that handles song playback and scrobbling actions.
 	 */
@@ -41,8 +49,33 @@ define((require) => {
 
 			this.currentSong = null;
 			this.isReplayingSong = false;
+
+			/**
+			 * Suspended controller doesn't send now playing requests and
+			 * doesn't scrobble songs. Actual mode is restored on resume.
+			 */
+			this.isSuspended = false;
+			this.modeToRestore = null;
+
+			/**
+			 * Playback time is not counted if a tab is muted or silent.
+			 */
+			this.isTabAudible = true;
+
+			/**
+			 * ID of interval used to re-send now playing requests.
+			 */
+			this.nowPlayingRefreshId = null;
+
+			/**
+			 * Current time of playback and time when it was received
+			 * in milliseconds. Used to detect seeks.
+			 */
+			this.lastCurrentTime = null;
+			this.lastCurrentTimeUpdate = null;
+
 			this.shouldScrobblePodcasts = true;
-			(async() => this.shouldScrobblePodcasts = await Options.getOption(Options.SCROBBLE_PODCASTS))();
+			(async() => this.shouldScrobblePodcasts = await Options.getOption(Options.SCROBBLE_PODCASTS, connector.id))();
 
 			this.debugLog(`Created controller for ${connector.label} connector`);
 		}
@@ -89,6 +122,83 @@ define((require) => {
 			}
 		}
 
+		/**
+		 * Suspend or resume the controller. The suspended controller keeps
+		 * tracking the current song, but its timers are paused.
+		 * @param {Boolean} flag True means suspended and vice versa
+		 */
+		setSuspended(flag) {
+			if (this.isSuspended === flag) {
+				return;
+			}
+
+			this.debugLog(flag ? 'Suspend controller' : 'Resume controller');
+			this.isSuspended = flag;
+
+			if (flag) {
+				this.playbackTimer.pause();
+				this.replayDetectionTimer.pause();
+				this.stopNowPlayingRefresh();
+
+				// Save the current mode to restore it later
+				this.setMode(this.mode);
+				return;
+			}
+
+			const mode = this.mode === ControllerMode.Suspended ?
+				this.modeToRestore : this.mode;
+			this.modeToRestore = null;
+
+			if (!this.isPlaying()) {
+				this.setMode(mode);
+				return;
+			}
+
+			this.resumePlaybackTimer();
+			this.replayDetectionTimer.resume();
+
+			// Another tab could set its song as now playing meanwhile
+			const { isScrobbled } = this.currentSong.flags;
+			if (this.currentSong.isValid() && !isScrobbled) {
+				this.setSongNowPlaying();
+			} else {
+				this.setMode(mode);
+				this.startNowPlayingRefresh();
+			}
+		}
+
+		/**
+		 * Set if a tab attached to the controller produces sound. The
+		 * playback timer is paused while the tab is muted or silent.
+		 * @param {Boolean} flag True if the tab is audible and vice versa
+		 */
+		setTabAudible(flag) {
+			if (this.isTabAudible === flag) {
+				return;
+			}
+
+			this.debugLog(flag ? 'Tab is audible' : 'Tab is muted or silent');
+			this.isTabAudible = flag;
+
+			if (!flag) {
+				this.playbackTimer.pause();
+			} else if (this.isPlaying() && !this.isSuspended) {
+				this.resumePlaybackTimer();
+			}
+		}
+
+		/**
+		 * Check if a song is now playing and is not skipped.
+		 * @return {Boolean} Check result
+		 */
+		isPlaying() {
+			if (!this.currentSong || this.currentSong.flags.isSkipped) {
+				return false;
+			}
+
+			return this.currentSong.parsed.isPlaying;
+		}
+
 		/**
 		 * Do finalization before unloading controller.
 		 */
@@ -116,14 +226,24 @@ define((require) => {
 		skipCurrentSong() {
 			this.assertSongIsPlaying();
 
-			this.setMode(ControllerMode.Skipped);
+			this.skipSong(ControllerMode.Skipped);
+		}
 
-			this.currentSong.flags.isSkipped = true;
+		/**
+		 * Add current song to the blocklist and ignore it.
+		 * @param  {Boolean} isArtistBlocked True if all songs of the artist
+		 *                                   should be blocked
+		 */
+		async blockCurrentSong(isArtistBlocked) {
+			this.assertSongIsPlaying();
 
-			this.playbackTimer.reset();
-			this.replayDetectionTimer.reset();
+			await Blocklist.addItem({
+				artist: this.currentSong.getArtist(),
+				track: isArtistBlocked ? null : this.currentSong.getTrack(),
+			});
 
-			this.onSongUpdated();
+			this.currentSong.flags.isBlocked = true;
+			this.skipSong(ControllerMode.Blocked);
 		}
 
 		/**
@@ -178,7 +298,8 @@ define((require) => {
 				throw new Error('No valid song is now playing');
 			}
 
-			await ScrobbleService.toggleLove(this.currentSong, isLoved);
+			await ScrobbleService.toggleLove(
+				this.currentSong, isLoved, this.connector);
 
 			this.currentSong.setLoveStatus(isLoved, { force: true });
 			this.onSongUpdated();
@@ -231,8 +352,18 @@ define((require) => {
 				throw new Error(`Unknown mode: ${mode}`);
 			}
 
-			this.mode = mode;
-			this.onModeChanged(mode);
+			/*
+			 * Suspended controller with a song displays the suspended
+			 * mode instead of the given one.
+			 */
+			if (this.isSuspended && this.isEnabled && this.currentSong) {
+				this.modeToRestore = mode;
+				this.mode = ControllerMode.Suspended;
+			} else {
+				this.mode = mode;
+			}
+
+			this.onModeChanged(this.mode);
 		}
 
 		dispatchEvent(event) {
@@ -255,6 +386,7 @@ define((require) => {
 			this.resetState();
 			this.currentSong = new Song(newState, this.connector);
 			this.currentSong.flags.isReplaying = this.isReplayingSong;
+			this.saveCurrentTime(newState.currentTime);
 
 			this.debugLog(`New song detected: ${toString(newState)}`);
 
@@ -278,14 +410,16 @@ define((require) => {
 			});
 
 			/*
-			 * If we just detected the track and it's not playing yet,
-			 * pause the timer right away; this is important, because
-			 * isPlaying flag binding only calls pause/resume which assumes
-			 * the timer is started.
+			 * If we just detected the track and it's not playing yet (or
+			 * the controller is suspended), pause the timer right away;
+			 * this is important, because isPlaying flag binding only calls
+			 * pause/resume which assumes the timer is started.
 			 */
-			if (!newState.isPlaying) {
+			if (!newState.isPlaying || this.isSuspended) {
 				this.playbackTimer.pause();
 				this.replayDetectionTimer.pause();
+			} else if (!this.isTabAudible) {
+				this.playbackTimer.pause();
 			}
 
 			this.processSong();
@@ -304,6 +438,12 @@ define((require) => {
 			const { currentTime, isPlaying, trackArt, duration } = newState;
 			const isPlayingStateChanged = this.currentSong.parsed.isPlaying !== isPlaying;
 
+			const isTimerRunning = !this.isSuspended && this.isTabAudible;
+			if (this.currentSong.parsed.isPlaying && isTimerRunning) {
+				this.updatePlaybackTime(currentTime);
+			}
+			this.saveCurrentTime(currentTime);
+
 			this.currentSong.parsed.currentTime = currentTime;
 			this.currentSong.parsed.isPlaying = isPlaying;
 			this.currentSong.parsed.trackArt = trackArt;
@@ -325,8 +465,63 @@ define((require) => {
 
 			this.playbackTimer.reset();
 			this.replayDetectionTimer.reset();
+			this.stopNowPlayingRefresh();
 
 			this.currentSong = null;
+			this.saveCurrentTime(null);
+		}
+
+		/**
+		 * Correct playback timer using current time reported by connector,
+		 * so only actually played seconds are counted. The timer counts
+		 * wall-clock time, so it's corrected if the current time changed
+		 * differently since the last update; if a seek is detected, time
+		 * since the last update is not counted at all.
+		 *
+		 * Does nothing if connector doesn't provide current time.
+		 *
+		 * @param  {Number} currentTime Current time in seconds
+		 */
+		updatePlaybackTime(currentTime) {
+			if (!isTimeValid(currentTime) || !isTimeValid(this.lastCurrentTime)) {
+				return;
+			}
+
+			const wallTime = (Date.now() - this.lastCurrentTimeUpdate) / 1000;
+			const playedTime = currentTime - this.lastCurrentTime;
+
+			const isSeeked = playedTime < 0 ||
+				playedTime > wallTime + SEEK_DETECTION_THRESHOLD;
+			if (isSeeked) {
+				this.debugLog(`Seek detected: ${this.lastCurrentTime} -> ${currentTime}`);
+				this.playbackTimer.adjust(-wallTime);
+			} else {
+				this.playbackTimer.adjust(playedTime - wallTime);
+			}
+		}
+
+		/**
+		 * Resume playback timer, unless a tab attached to the controller
+		 * is muted or silent.
+		 */
+		resumePlaybackTimer() {
+			if (this.isTabAudible) {
+				this.playbackTimer.resume();
+			}
+		}
+
+		/**
+		 * Save current time reported by connector to detect seeks later.
+		 * @param  {Number} currentTime Current time in seconds
+		 */
+		saveCurrentTime(currentTime) {
+			if (isTimeValid(currentTime)) {
+				this.lastCurrentTime = currentTime;
+				this.lastCurrentTimeUpdate = Date.now();
+			} else {
+				this.lastCurrentTime = null;
+				this.lastCurrentTimeUpdate = null;
+			}
 		}
 
 		/**
@@ -335,13 +530,31 @@ define((require) => {
 		async processSong() {
 			this.setMode(ControllerMode.Loading);
 
-			if (!await this.pipeline.process(this.currentSong)) {
+			if (!await this.pipeline.process(this.currentSong, this.connector)) {
 				return;
 			}
 
 			this.debugLog(
 				`Song finished processing: ${this.currentSong.toString()}`);
 
+			if (this.currentSong.flags.isBlocked) {
+				this.debugLog('Song is in the blocklist');
+				this.skipSong(ControllerMode.Blocked);
+				return;
+			}
+
+			if (!this.currentSong.isValid()) {
+				const song = this.currentSong;
+				const forceRecognize = await Options.getOption(
+					Options.FORCE_RECOGNIZE, this.connector.id);
+
+				// The song could be changed while the option is loaded
+				if (song !== this.currentSong) {
+					return;
+				}
+				song.flags.isValid = forceRecognize;
+			}
+
 			if (this.currentSong.isValid()) {
 				// Processing cleans this flag
 				this.currentSong.flags.isMarkedAsPlaying = false;
@@ -352,7 +565,7 @@ define((require) => {
 				 * If the song is playing, mark it immediately;
 				 * otherwise will be flagged in isPlaying binding.
 				 */
-				if (this.currentSong.parsed.isPlaying) {
+				if (this.currentSong.parsed.isPlaying && !this.isSuspended) {
 					/*
 					 * If playback timer is expired, then the extension
 					 * will scrobble song immediately, and there's no need
@@ -367,6 +580,8 @@ define((require) => {
 				} else {
 					this.setMode(ControllerMode.Base);
 				}
+
+				this.loadLoveStatus();
 			} else {
 				this.setSongNotRecognized();
 			}
@@ -374,6 +589,29 @@ define((require) => {
 			this.onSongUpdated();
 		}
 
+		/**
+		 * Load love status of the current song from services which provide
+		 * no song info.
+		 */
+		async loadLoveStatus() {
+			const song = this.currentSong;
+			const statuses = await ScrobbleService.getLoveStatuses(
+				song, this.connector);
+			if (song !== this.currentSong) {
+				return;
+			}
+
+			const knownStatuses = statuses.filter((isLoved) => isLoved !== null);
+			if (knownStatuses.length === 0) {
+				return;
+			}
+
+			for (const isLoved of knownStatuses) {
+				song.setLoveStatus(isLoved);
+			}
+			this.onSongUpdated();
+		}
+
 		/**
 		 * Called when song was already flagged as processed, but now is
 		 * entering the pipeline again.
@@ -386,6 +624,7 @@ define((require) => {
 
 			this.playbackTimer.update(null);
 			this.replayDetectionTimer.update(null);
+			this.stopNowPlayingRefresh();
 		}
 
 		/**
@@ -395,8 +634,13 @@ define((require) => {
 		onPlayingStateChanged(value) {
 			this.debugLog(`isPlaying state changed to ${value}`);
 
+			// Suspended controller is resumed in `setSuspended` function
+			if (this.isSuspended) {
+				return;
+			}
+
 			if (value) {
-				this.playbackTimer.resume();
+				this.resumePlaybackTimer();
 				this.replayDetectionTimer.resume();
 
 				const {	isMarkedAsPlaying } = this.currentSong.flags;
@@ -407,10 +651,12 @@ define((require) => {
 				} else {
 					// Resend current mode
 					this.setMode(this.mode);
+					this.startNowPlayingRefresh();
 				}
 			} else {
 				this.playbackTimer.pause();
 				this.replayDetectionTimer.pause();
+				this.stopNowPlayingRefresh();
 			}
 		}
 
@@ -465,8 +711,13 @@ define((require) => {
 				return;
 			}
 
-			const percent = await Options.getOption(Options.SCROBBLE_PERCENT);
-			const secondsToScrobble = Util.getSecondsToScrobble(duration, percent);
+			const percent = await Options.getOption(
+				Options.SCROBBLE_PERCENT, this.connector.id);
+			const secondsToScrobble = Util.getSecondsToScrobble(duration, percent, {
+				maxScrobbleTime: await Options.getOption(Options.MAX_SCROBBLE_TIME),
+				minTrackDuration: await Options.getOption(Options.MIN_TRACK_DURATION),
+				defaultScrobbleTime: await Options.getOption(Options.DEFAULT_SCROBBLE_TIME),
+			});
 
 			if (secondsToScrobble !== -1) {
 				this.playbackTimer.update(secondsToScrobble);
@@ -487,16 +738,76 @@ define((require) => {
 		async setSongNowPlaying() {
 			this.currentSong.flags.isMarkedAsPlaying = true;
 
-			const results = await ScrobbleService.sendNowPlaying(this.currentSong);
+			const results = await ScrobbleService.sendNowPlaying(
+				this.currentSong, this.connector);
 			if (isAnyResult(results, ServiceCallResult.RESULT_OK)) {
 				this.debugLog('Song set as now playing');
 				this.setMode(ControllerMode.Playing);
 			} else {
 				this.debugLog('Song isn\'t set as now playing');
+				this.currentSong.metadata.errorResult = getErrorResult(results);
 				this.setMode(ControllerMode.Err);
 			}
 
 			this.dispatchEvent(ControllerEvent.SongNowPlaying);
+			this.startNowPlayingRefresh();
+		}
+
+		/**
+		 * Start re-sending now playing requests for the current song
+		 * periodically, so services don't expire the now playing status
+		 * of long songs. The interval is defined by a user.
+		 *
+		 * Does nothing if the song is not marked as now playing.
+		 */
+		async startNowPlayingRefresh() {
+			this.stopNowPlayingRefresh();
+
+			const song = this.currentSong;
+			if (!song || !song.flags.isMarkedAsPlaying) {
+				return;
+			}
+
+			const interval = await Options.getOption(
+				Options.NOW_PLAYING_REFRESH_INTERVAL);
+
+			// The song could be changed or paused meanwhile
+			if (song !== this.currentSong || !this.isPlaying() || this.isSuspended) {
+				return;
+			}
+
+			this.stopNowPlayingRefresh();
+			if (interval === 0) {
+				return;
+			}
+
+			this.nowPlayingRefreshId = setInterval(() => {
+				this.refreshNowPlaying();
+			}, interval * 60 * 1000);
+		}
+
+		/**
+		 * Stop re-sending now playing requests.
+		 */
+		stopNowPlayingRefresh() {
+			if (this.nowPlayingRefreshId) {
+				clearInterval(this.nowPlayingRefreshId);
+			}
+			this.nowPlayingRefreshId = null;
+		}
+
+		/**
+		 * Re-send now playing request for the current song. Unlike
+		 * `setSongNowPlaying` function, the controller mode is not changed.
+		 */
+		async refreshNowPlaying() {
+			this.debugLog('Refresh now playing status');
+
+			const results = await ScrobbleService.sendNowPlaying(
+				this.currentSong, this.connector);
+			if (!isAnyResult(results, ServiceCallResult.RESULT_OK)) {
+				this.debugLog('Unable to refresh now playing status', 'warn');
+			}
 		}
 
 		/**
@@ -513,7 +824,8 @@ define((require) => {
 		 * to be scrobbled.
 		 */
 		async scrobbleSong() {
-			const results = await ScrobbleService.scrobble(this.currentSong);
+			const results = await ScrobbleService.scrobble(
+				this.currentSong, this.connector);
 			if (isAnyResult(results, ServiceCallResult.RESULT_OK)) {
 				this.debugLog('Scrobbled successfully');
 
@@ -527,11 +839,32 @@ define((require) => {
 				this.debugLog('Song is ignored by service');
 				this.setMode(ControllerMode.Ignored);
 			} else {
-				this.debugLog('Scrobbling failed', 'warn');
+				const errorResult = getErrorResult(results);
+				this.debugLog(`Scrobbling failed: ${errorResult}`, 'warn');
+
+				this.currentSong.metadata.errorResult = errorResult;
 				this.setMode(ControllerMode.Err);
+
+				this.dispatchEvent(ControllerEvent.SongScrobbleFailed);
 			}
 		}
 
+		/**
+		 * Ignore current song and set given mode.
+		 * @param  {String} mode Controller mode
+		 */
+		skipSong(mode) {
+			this.setMode(mode);
+
+			this.currentSong.flags.isSkipped = true;
+
+			this.playbackTimer.reset();
+			this.replayDetectionTimer.reset();
+			this.stopNowPlayingRefresh();
+
+			this.onSongUpdated();
+		}
+
 		reset() {
 			this.resetState();
 			this.setMode(ControllerMode.Base);
@@ -554,6 +887,15 @@ define((require) => {
 		}
 	}
 
+	/**
+	 * Check if given time value can be used to detect seeks.
+	 * @param  {Number} time Time in seconds
+	 * @return {Boolean} Check result
+	 */
+	function isTimeValid(time) {
+		return typeof time === 'number' && isFinite(time);
+	}
+
 	/**
 	 * Check if given connector state is empty.
 	 * @param  {Object} state Connector state
@@ -596,5 +938,19 @@ define((require) => {
 		return results.every((r) => r === result);
 	}
 
+	/**
+	 * Get the first error result from array of results.
+	 * @param  {Array} results Array of results
+	 * @return {String} Error result; `ERROR_OTHER` if no error is found
+	 */
+	function getErrorResult(results) {
+		const errorResult = results.find((r) => {
+			return r !== ServiceCallResult.RESULT_OK &&
+				r !== ServiceCallResult.RESULT_IGNORE;
+		});
+
+		return errorResult || ServiceCallResult.ERROR_OTHER;
+	}
+
 	return Controller;
 });
@@ -6,8 +6,32 @@
 define((require) => {
 	const LastFm = require('scrobbler/lastfm');
 	const LibreFm = require('scrobbler/librefm');
+	const Song = require('object/song');
+	const Maloja = require('scrobbler/maloja');
+	const Webhook = require('scrobbler/webhook');
 	const ListenBrainz = require('scrobbler/listenbrainz');
+	const RoutingRules = require('storage/routing-rules');
+	const ScrobbleQueue = require('storage/scrobble-queue');
+	const ScrobbleHistory = require('storage/scrobble-history');
+	const ScrobblerAccounts = require('storage/scrobbler-accounts');
+	const CustomScrobblers = require('storage/custom-scrobblers');
 	const ServiceCallResult = require('object/service-call-result');
+	const CustomAudioScrobbler = require('scrobbler/custom-audioscrobbler');
+
+	/**
+	 * Delay before the first attempt to resubmit queued scrobbles in seconds.
+	 * The delay is doubled after each failed attempt.
+	 *
+	 * @type {Number}
+	 */
+	const MIN_RETRY_DELAY = 60;
+
+	/**
+	 * Max delay between attempts to resubmit queued scrobbles in seconds.
+	 *
+	 * @type {Number}
+	 */
+	const MAX_RETRY_DELAY = 3600;
 
 	/**
 	 * Scrobblers that are bound, meaning they have valid session IDs.
@@ -17,11 +41,50 @@ define((require) => {
 	const boundScrobblers = [];
 
 	/**
-	 * Scrobblers that are registered and that can be bound.
+	 * Scrobblers of built-in services. Users can add additional accounts
+	 * on these services.
 	 *
 	 * @type {Array}
 	 */
-	const registeredScrobblers = [LastFm, LibreFm, ListenBrainz];
+	const builtInScrobblers = [
+		LastFm, LibreFm, ListenBrainz, Maloja, Webhook
+	];
+
+	/**
+	 * Scrobblers that are registered and that can be bound. Built-in
+	 * scrobblers are followed by scrobblers defined by user.
+	 *
+	 * @type {Array}
+	 */
+	const registeredScrobblers = builtInScrobblers.slice();
+
+	/**
+	 * Current delay before the next attempt to resubmit queued scrobbles.
+	 *
+	 * @type {Number}
+	 */
+	let retryDelay = MIN_RETRY_DELAY;
+	let retryTimeoutId = null;
+	let isResubmitting = false;
+
+	/**
+	 * Backoff state of scrobblers which services are rate-limited or
+	 * temporarily unavailable. Requests to such scrobblers are not sent
+	 * until the backoff is expired.
+	 *
+	 * The format is following:
+	 * {
+	 *     scrobbler_id: {
+	 *         delay: 60, // Current backoff delay in seconds
+	 *         expiresAt: 1234567890000, // Time when backoff is expired
+	 *         result: 'error-rate-limit', // Result that caused the backoff
+	 *     },
+	 *     ...
+	 * }
+	 *
+	 * @type {Object}
+	 */
+	const backoffs = {};
 
 	/**
 	 * Check if scrobbler is in given array of scrobblers.
@@ -31,7 +94,7 @@ define((require) => {
 	 */
 	function isScrobblerInArray(scrobbler, array) {
 		return array.some((s) => {
-			return s.getLabel() === scrobbler.getLabel();
+			return s.getId() === scrobbler.getId();
 		});
 	}
 
@@ -41,6 +104,8 @@ define((require) => {
 		 * @return {Array} Bound scrobblers
 		 */
 		async bindAllScrobblers() {
+			await this.loadCustomScrobblers();
+
 			for (const scrobbler of registeredScrobblers) {
 				try {
 					await scrobbler.getSession();
@@ -80,13 +145,131 @@ define((require) => {
 		},
 
 		/**
-		 * Retrieve song info using scrobbler APIs.
+		 * Register scrobblers defined by user, and unregister ones
+		 * which were removed from storage. Scrobblers defined by user are
+		 * custom services and additional accounts on built-in services.
+		 * @return {Array} Registered scrobblers
+		 */
+		async loadCustomScrobblers() {
+			const scrobblersData = await CustomScrobblers.getAllScrobblers();
+			const accountsData = await ScrobblerAccounts.getAllAccounts();
+
+			for (const scrobbler of registeredScrobblers.slice()) {
+				if (scrobbler instanceof CustomAudioScrobbler) {
+					if (!(scrobbler.getId() in scrobblersData)) {
+						this.unregisterScrobbler(scrobbler);
+					}
+				} else if (scrobbler.getAccountId()) {
+					if (!(scrobbler.getAccountId() in accountsData)) {
+						this.unregisterScrobbler(scrobbler);
+					}
+				}
+			}
+
+			const scrobblers = [];
+			for (const id in accountsData) {
+				const { serviceLabel, label } = accountsData[id];
+				const serviceScrobbler = builtInScrobblers.find((scrobbler) => {
+					return scrobbler.getLabel() === serviceLabel;
+				});
+				if (!serviceScrobbler) {
+					console.warn(`Unknown service of ${label} account: ${serviceLabel}`);
+					continue;
+				}
+
+				scrobblers.push(serviceScrobbler.createAccount(id, label));
+			}
+			for (const id in scrobblersData) {
+				scrobblers.push(CustomAudioScrobbler.fromStorageData(
+					id, scrobblersData[id]));
+			}
+
+			for (const scrobbler of scrobblers) {
+				if (isScrobblerInArray(scrobbler, registeredScrobblers)) {
+					continue;
+				}
+
+				registeredScrobblers.push(scrobbler);
+				console.log(`Register ${scrobbler.getLabel()} scrobbler`);
+
+				try {
+					await scrobbler.getSession();
+					this.bindScrobbler(scrobbler);
+				} catch (e) {
+					// Do nothing
+				}
+			}
+
+			return registeredScrobblers;
+		},
+
+		/**
+		 * Unregister given scrobbler. The scrobbler is unbound as well.
+		 * @param {Object} scrobbler Scrobbler instance
+		 */
+		unregisterScrobbler(scrobbler) {
+			if (isScrobblerInArray(scrobbler, boundScrobblers)) {
+				this.unbindScrobbler(scrobbler);
+			}
+
+			const index = registeredScrobblers.indexOf(scrobbler);
+			registeredScrobblers.splice(index, 1);
+
+			console.log(`Unregister ${scrobbler.getLabel()} scrobbler`);
+		},
+
+		/**
+		 * Remove scrobbler defined by user. All data of the scrobbler,
+		 * including queued songs, is removed as well.
+		 * @param {Object} scrobbler Scrobbler instance
+		 */
+		async removeCustomScrobbler(scrobbler) {
+			await scrobbler.storage.clear();
+			await ScrobbleQueue.clearSongs(scrobbler.getId());
+			await CustomScrobblers.removeScrobbler(scrobbler.getId());
+
+			this.unregisterScrobbler(scrobbler);
+		},
+
+		/**
+		 * Remove additional account. All data of the account, including
+		 * queued songs, is removed as well.
+		 * @param {Object} scrobbler Scrobbler instance
+		 */
+		async removeAccount(scrobbler) {
+			await scrobbler.storage.clear();
+			await ScrobbleQueue.clearSongs(scrobbler.getId());
+			await ScrobblerAccounts.removeAccount(scrobbler.getAccountId());
+
+			this.unregisterScrobbler(scrobbler);
+		},
+
+		/**
+		 * Check if users can add additional accounts on the service
+		 * of given scrobbler.
+		 * @param  {Object} scrobbler Scrobbler instance
+		 * @return {Boolean} Check result
+		 */
+		canAddAccount(scrobbler) {
+			return builtInScrobblers.includes(scrobbler);
+		},
+
+		/**
+		 * Retrieve song info using scrobbler APIs. Song info is loaded
+		 * once per service, so additional accounts are skipped.
 		 * @param  {Object} song Song instance
 		 * @return {Promise} Promise resolved with array of song info objects
 		 */
 		getSongInfo(song) {
+			const serviceLabels = new Set();
 			const scrobblers = registeredScrobblers.filter((scrobbler) => {
-				return scrobbler.canLoadSongInfo();
+				const serviceLabel = scrobbler.getServiceLabel();
+				if (!scrobbler.canLoadSongInfo() || serviceLabels.has(serviceLabel)) {
+					return false;
+				}
+
+				serviceLabels.add(serviceLabel);
+				return true;
 			});
 			console.log(`Send "get info" request: ${scrobblers.length}`);
 
@@ -100,57 +283,332 @@ define((require) => {
 
 		/**
 		 * Send now playing notification to each bound scrobbler.
+		 * Paused scrobblers and scrobblers not allowed by routing rules
+		 * of given connector are skipped.
 		 * @param  {Object} song Song instance
+		 * @param  {Object} connector Connector match object
 		 * @return {Promise} Promise that will be resolved then the task will complete
 		 */
-		sendNowPlaying(song) {
-			console.log(`Send "now playing" request: ${boundScrobblers.length}`);
+		async sendNowPlaying(song, connector = null) {
+			const scrobblers = await getActiveScrobblers(boundScrobblers, connector);
+			console.log(`Send "now playing" request: ${scrobblers.length}`);
 
-			return Promise.all(boundScrobblers.map((scrobbler) => {
+			return Promise.all(scrobblers.map((scrobbler) => {
 				// Forward result (including errors) to caller
-				return scrobbler.sendNowPlaying(song).catch((result) => {
-					return this.processErrorResult(scrobbler, result);
+				return this.sendRequest(scrobbler, () => {
+					return scrobbler.sendNowPlaying(song);
 				});
 			}));
 		},
 
 		/**
 		 * Scrobble song to each bound scrobbler.
+		 * Paused scrobblers and scrobblers not allowed by routing rules
+		 * of given connector are skipped. The scrobble attempt is saved
+		 * in the local history.
 		 * @param  {Object} song Song instance
+		 * @param  {Object} connector Connector match object
 		 * @return {Promise} Promise that will be resolved then the task will complete
 		 */
-		scrobble(song) {
-			console.log(`Send "scrobble" request: ${boundScrobblers.length}`);
+		async scrobble(song, connector = null) {
+			const resultsById = await this.scrobbleWithIds(song, connector);
 
-			return Promise.all(boundScrobblers.map((scrobbler) => {
-				// Forward result (including errors) to caller
-				return scrobbler.scrobble(song).catch((result) => {
-					return this.processErrorResult(scrobbler, result);
+			// Forward results (including errors) to caller
+			return Object.values(resultsById);
+		},
+
+		/**
+		 * Same as `scrobble`, but results are returned by scrobbler ID.
+		 * @param  {Object} song Song instance
+		 * @param  {Object} connector Connector match object
+		 * @return {Object} Object contains API call results by scrobbler ID
+		 */
+		async scrobbleWithIds(song, connector = null) {
+			const scrobblers = await getActiveScrobblers(boundScrobblers, connector);
+			console.log(`Send "scrobble" request: ${scrobblers.length}`);
+
+			const results = await Promise.all(scrobblers.map((scrobbler) => {
+				return this.sendRequest(scrobbler, () => {
+					return scrobbler.scrobble(song);
 				});
 			}));
+
+			const resultsById = {};
+			scrobblers.forEach((scrobbler, index) => {
+				resultsById[scrobbler.getId()] = results[index];
+			});
+
+			let historyId = null;
+			try {
+				historyId = await ScrobbleHistory.addEntry(
+					song, connector, resultsById);
+			} catch (err) {
+				console.warn(`Unable to save scrobble to history: ${err}`);
+			}
+
+			for (const scrobbler of scrobblers) {
+				if (isRetryableResult(resultsById[scrobbler.getId()])) {
+					await this.queueSong(scrobbler, song, historyId);
+				}
+			}
+
+			return resultsById;
+		},
+
+		/**
+		 * Add song to a queue of given scrobbler and schedule resubmission.
+		 * @param  {Object} scrobbler Scrobbler instance
+		 * @param  {Object} song Song instance
+		 * @param  {Number} historyId ID of a history entry of the scrobble
+		 */
+		async queueSong(scrobbler, song, historyId) {
+			await ScrobbleQueue.addSong(scrobbler.getId(), song, historyId);
+			console.log(`Add song to ${scrobbler.getLabel()} queue`);
+
+			this.scheduleResubmission();
+		},
+
+		/**
+		 * Resubmit songs which were failed to scrobble earlier. If any
+		 * bound scrobbler fails to scrobble queued songs again, the next
+		 * attempt is scheduled with an increased delay.
+		 */
+		async resubmitQueuedScrobbles() {
+			if (isResubmitting) {
+				return;
+			}
+
+			isResubmitting = true;
+			clearRetryTimeout();
+
+			let isQueueEmpty = false;
+			try {
+				isQueueEmpty = await this.resubmitAllQueues();
+			} catch (err) {
+				console.warn(`Unable to resubmit queued scrobbles: ${err}`);
+			} finally {
+				isResubmitting = false;
+			}
+
+			if (isQueueEmpty) {
+				retryDelay = MIN_RETRY_DELAY;
+			} else {
+				retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+				this.scheduleResubmission();
+			}
+		},
+
+		/**
+		 * Resubmit queues of all active scrobblers which are not backed off.
+		 * @return {Boolean} True if all queues are empty after resubmission
+		 */
+		async resubmitAllQueues() {
+			let isQueueEmpty = true;
+			const scrobblers = await getActiveScrobblers(boundScrobblers);
+			for (const scrobbler of scrobblers) {
+				if (getBackoffResult(scrobbler)) {
+					console.log(`Skip resubmitting ${scrobbler.getLabel()} queue`);
+				} else {
+					try {
+						await this.resubmitScrobblerQueue(scrobbler);
+					} catch (err) {
+						console.warn(`Unable to resubmit ${scrobbler.getLabel()} queue`);
+					}
+				}
+
+				const pendingCount = await ScrobbleQueue.getPendingCount(
+					scrobbler.getId());
+				if (pendingCount > 0) {
+					isQueueEmpty = false;
+				}
+			}
+
+			return isQueueEmpty;
+		},
+
+		/**
+		 * Schedule resubmission of queued scrobbles. Do nothing if
+		 * the resubmission is already scheduled.
+		 */
+		scheduleResubmission() {
+			if (retryTimeoutId !== null) {
+				return;
+			}
+
+			console.log(`Resubmit queued scrobbles in ${retryDelay} seconds`);
+			retryTimeoutId = setTimeout(() => {
+				retryTimeoutId = null;
+				this.resubmitQueuedScrobbles();
+			}, retryDelay * 1000);
+		},
+
+		/**
+		 * Scrobble songs from a queue of given scrobbler. Successfully
+		 * scrobbled and ignored songs are removed from the queue, and
+		 * their history entries are updated.
+		 * @param  {Object} scrobbler Scrobbler instance
+		 */
+		async resubmitScrobblerQueue(scrobbler) {
+			const scrobblerId = scrobbler.getId();
+			const queuedSongs = await ScrobbleQueue.getSongs(scrobblerId);
+			if (queuedSongs.length === 0) {
+				return;
+			}
+
+			console.log(`Resubmit ${queuedSongs.length} song(s) to ${scrobbler.getLabel()}`);
+
+			const songs = queuedSongs.map((songData) => {
+				return Song.fromCloneableData(songData);
+			});
+			const results = await scrobbler.scrobbleBatch(songs);
+
+			const unavailableResult = results.find(isServiceUnavailableResult);
+			updateBackoff(scrobbler, unavailableResult || ServiceCallResult.RESULT_OK);
+
+			if (results.includes(ServiceCallResult.ERROR_AUTH)) {
+				await this.processErrorResult(
+					scrobbler, ServiceCallResult.ERROR_AUTH);
+			}
+
+			const submittedSongs = queuedSongs.filter((_, index) => {
+				return isSubmittedResult(results[index]);
+			});
+			await ScrobbleQueue.removeSongs(scrobblerId, submittedSongs);
+
+			for (const [index, songData] of queuedSongs.entries()) {
+				if (songData.historyId && isSubmittedResult(results[index])) {
+					await updateHistoryResult(
+						songData.historyId, scrobblerId, results[index]);
+				}
+			}
+		},
+
+		/**
+		 * Scrobble a song from the local history again. The song is sent
+		 * to scrobblers which failed to scrobble or ignored it earlier.
+		 * The song is removed from queues of these scrobblers, and queued
+		 * again if the service is still unavailable.
+		 * @param  {Number} id History entry ID
+		 * @param  {Object} songInfo Object contains corrected song info
+		 * @return {Object} Updated history entry
+		 */
+		async resubmitHistoryEntry(id, songInfo) {
+			const entry = await ScrobbleHistory.getEntry(id);
+			if (!entry) {
+				throw new Error(`Unknown history entry: ${id}`);
+			}
+
+			const song = Song.fromCloneableData(entry.song);
+			for (const field of Song.USER_FIELDS) {
+				if (songInfo[field] !== undefined) {
+					song.processed[field] = songInfo[field];
+				}
+			}
+			song.flags.isCorrectedByUser = true;
+
+			for (const scrobblerId in entry.results) {
+				if (entry.results[scrobblerId] === ServiceCallResult.RESULT_OK) {
+					continue;
+				}
+
+				const scrobbler = this.getScrobblerById(scrobblerId);
+				if (!scrobbler || !isScrobblerInArray(scrobbler, boundScrobblers)) {
+					continue;
+				}
+
+				await ScrobbleQueue.removeSongs(scrobblerId, [entry.song]);
+
+				const result = await this.sendRequest(scrobbler, () => {
+					return scrobbler.scrobble(song);
+				});
+				if (isRetryableResult(result)) {
+					await this.queueSong(scrobbler, song, id);
+				}
+
+				entry.results[scrobblerId] = result;
+			}
+
+			entry.song = song.getCloneableData();
+			await ScrobbleHistory.updateEntry(entry);
+
+			return entry;
 		},
 
 		/**
 		 * Toggle song love status.
+		 * Paused scrobblers and scrobblers not allowed by routing rules
+		 * of given connector are skipped.
 		 * @param  {Object} song Song instance
 		 * @param  {Boolean} flag Flag indicates song is loved
+		 * @param  {Object} connector Connector match object
 		 * @return {Promise} Promise that will be resolved then the task will complete
 		 */
-		toggleLove(song, flag) {
-			const scrobblers = registeredScrobblers.filter((scrobbler) => {
-				return scrobbler.canLoveSong();
-			});
+		async toggleLove(song, flag, connector = null) {
+			const scrobblers = await getActiveScrobblers(
+				registeredScrobblers.filter((scrobbler) => {
+					return scrobbler.canLoveSong();
+				}), connector
+			);
 			const requestName = flag ? 'love' : 'unlove';
 			console.log(`Send "${requestName}" request: ${scrobblers.length}`);
 
 			return Promise.all(scrobblers.map((scrobbler) => {
 				// Forward result (including errors) to caller
-				return scrobbler.toggleLove(song, flag).catch((result) => {
-					return this.processErrorResult(scrobbler, result);
+				return this.sendRequest(scrobbler, () => {
+					return scrobbler.toggleLove(song, flag);
+				});
+			}));
+		},
+
+		/**
+		 * Get song love status from each bound scrobbler which supports
+		 * loving songs. Paused scrobblers and scrobblers not allowed by
+		 * routing rules of given connector are skipped.
+		 * @param  {Object} song Song instance
+		 * @param  {Object} connector Connector match object
+		 * @return {Array} Array of love statuses; null means unknown status
+		 */
+		async getLoveStatuses(song, connector = null) {
+			const scrobblers = await getActiveScrobblers(
+				boundScrobblers.filter((scrobbler) => {
+					return scrobbler.canLoveSong();
+				}), connector
+			);
+
+			return Promise.all(scrobblers.map((scrobbler) => {
+				return scrobbler.getLoveStatus(song).catch(() => {
+					console.warn(`Unable to get love status from ${scrobbler.getLabel()}`);
+					return null;
 				});
 			}));
 		},
 
+		/**
+		 * Send API request using given scrobbler. If the scrobbler service
+		 * is rate-limited or temporarily unavailable, the request is not
+		 * sent, and the result that caused the backoff is returned.
+		 * @param  {Object} scrobbler Scrobbler instance
+		 * @param  {Function} request Function that sends API request
+		 * @return {String} ServiceCallResult constant
+		 */
+		async sendRequest(scrobbler, request) {
+			const backoffResult = getBackoffResult(scrobbler);
+			if (backoffResult) {
+				console.log(`${scrobbler.getLabel()} is unavailable: ${backoffResult}`);
+				return backoffResult;
+			}
+
+			let result = null;
+			try {
+				result = await request();
+			} catch (err) {
+				result = await this.processErrorResult(scrobbler, err);
+			}
+
+			updateBackoff(scrobbler, result);
+			return result;
+		},
+
 		/**
 		 * Get all registered scrobblers.
 		 * @return {Array} Array of bound scrobblers
@@ -174,6 +632,21 @@ define((require) => {
 			return null;
 		},
 
+		/**
+		 * Get scrobbler by ID.
+		 * @param  {String} id Scrobbler ID
+		 * @return {Object} Found scrobbler object
+		 */
+		getScrobblerById(id) {
+			for (const scrobbler of registeredScrobblers) {
+				if (scrobbler.getId() === id) {
+					return scrobbler;
+				}
+			}
+
+			return null;
+		},
+
 		/**
 		 * Process result received from scrobbler.
 		 * @param  {Object} scrobbler Scrobbler instance
@@ -181,10 +654,16 @@ define((require) => {
 		 * @return {Promise} Promise resolved with result object
 		 */
 		async processErrorResult(scrobbler, result) {
-			const isOtherError = result === ServiceCallResult.ERROR_OTHER;
+			const errorResults = [
+				ServiceCallResult.ERROR_AUTH,
+				ServiceCallResult.ERROR_OTHER,
+				ServiceCallResult.ERROR_RATE_LIMIT,
+				ServiceCallResult.ERROR_TEMPORARY,
+				ServiceCallResult.ERROR_INVALID_DATA,
+			];
 			const isAuthError = result === ServiceCallResult.ERROR_AUTH;
 
-			if (!(isOtherError || isAuthError)) {
+			if (!errorResults.includes(result)) {
 				throw new Error(`Invalid result: ${result}`);
 			}
 
@@ -200,4 +679,133 @@ define((require) => {
 			return result;
 		}
 	};
+
+	/**
+	 * Return scrobblers which are not paused by user. If connector is
+	 * specified, return only scrobblers allowed by its routing rule.
+	 * @param  {Array} scrobblers Array of scrobblers
+	 * @param  {Object} connector Connector match object
+	 * @return {Array} Array of active scrobblers
+	 */
+	async function getActiveScrobblers(scrobblers, connector = null) {
+		let allowedIds = null;
+		if (connector) {
+			allowedIds = await RoutingRules.getScrobblerIds(connector.id);
+		}
+
+		const activeScrobblers = [];
+		for (const scrobbler of scrobblers) {
+			if (allowedIds && !allowedIds.includes(scrobbler.getId())) {
+				continue;
+			}
+
+			if (!await scrobbler.isPaused()) {
+				activeScrobblers.push(scrobbler);
+			}
+		}
+
+		return activeScrobblers;
+	}
+
+	/**
+	 * Update a scrobble result of given scrobbler in a history entry.
+	 * @param  {Number} id History entry ID
+	 * @param  {String} scrobblerId Scrobbler ID
+	 * @param  {String} result API call result
+	 */
+	async function updateHistoryResult(id, scrobblerId, result) {
+		try {
+			const entry = await ScrobbleHistory.getEntry(id);
+			if (!entry) {
+				return;
+			}
+
+			entry.results[scrobblerId] = result;
+			await ScrobbleHistory.updateEntry(entry);
+		} catch (err) {
+			console.warn(`Unable to update history entry: ${err}`);
+		}
+	}
+
+	/**
+	 * Check if given result means a song should not be resubmitted.
+	 * Songs rejected by service as invalid are not resubmitted too.
+	 * @param  {String} result API call result
+	 * @return {Boolean} Check result
+	 */
+	function isSubmittedResult(result) {
+		return result === ServiceCallResult.RESULT_OK ||
+			result === ServiceCallResult.RESULT_IGNORE ||
+			result === ServiceCallResult.ERROR_INVALID_DATA;
+	}
+
+	/**
+	 * Check if a song should be queued and resubmitted later if given
+	 * result is received.
+	 * @param  {String} result API call result
+	 * @return {Boolean} Check result
+	 */
+	function isRetryableResult(result) {
+		return result === ServiceCallResult.ERROR_OTHER ||
+			isServiceUnavailableResult(result);
+	}
+
+	/**
+	 * Check if given result means a service is rate-limited or temporarily
+	 * unavailable.
+	 * @param  {String} result API call result
+	 * @return {Boolean} Check result
+	 */
+	function isServiceUnavailableResult(result) {
+		return result === ServiceCallResult.ERROR_RATE_LIMIT ||
+			result === ServiceCallResult.ERROR_TEMPORARY;
+	}
+
+	/**
+	 * Return the result that caused backoff of given scrobbler, or null
+	 * if the scrobbler is not backed off.
+	 * @param  {Object} scrobbler Scrobbler instance
+	 * @return {String} ServiceCallResult constant
+	 */
+	function getBackoffResult(scrobbler) {
+		const backoff = backoffs[scrobbler.getId()];
+		if (backoff && backoff.expiresAt > Date.now()) {
+			return backoff.result;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Start or extend backoff of given scrobbler if its service is
+	 * unavailable; reset the backoff if the service responded.
+	 * @param  {Object} scrobbler Scrobbler instance
+	 * @param  {String} result API call result
+	 */
+	function updateBackoff(scrobbler, result) {
+		const scrobblerId = scrobbler.getId();
+
+		if (!isServiceUnavailableResult(result)) {
+			if (result !== ServiceCallResult.ERROR_OTHER) {
+				delete backoffs[scrobblerId];
+			}
+			return;
+		}
+
+		const prevBackoff = backoffs[scrobblerId];
+		const delay = prevBackoff ?
+			Math.min(prevBackoff.delay * 2, MAX_RETRY_DELAY) : MIN_RETRY_DELAY;
+
+		backoffs[scrobblerId] = {
+			delay, result, expiresAt: Date.now() + delay * 1000,
+		};
+		console.log(`Back off ${scrobbler.getLabel()} for ${delay} seconds: ${result}`);
+	}
+
+	function clearRetryTimeout() {
+		if (retryTimeoutId !== null) {
+			clearTimeout(retryTimeoutId);
+			retryTimeoutId = null;
+		}
+	}
 });
@@ -19,6 +19,27 @@ const RESULT_IGNORE = 'ignored';
  */
 const ERROR_AUTH = 'error-auth';
 
+/**
+ * Too many requests are sent to a service.
+ *
+ * @type {String}
+ */
+const ERROR_RATE_LIMIT = 'error-rate-limit';
+
+/**
+ * A service is temporarily unavailable.
+ *
+ * @type {String}
+ */
+const ERROR_TEMPORARY = 'error-temporary';
+
+/**
+ * A service rejected sent data, e.g. because of invalid parameters.
+ *
+ * @type {String}
+ */
+const ERROR_INVALID_DATA = 'error-invalid-data';
+
 /**
  * Another error.
  *
@@ -26,8 +47,24 @@ const ERROR_AUTH = 'error-auth';
  */
 const ERROR_OTHER = 'error-other';
 
+/**
+ * Object that maps error results to IDs of i18n messages describing errors.
+ *
+ * @type {Object}
+ */
+const ERROR_DESCRIPTIONS = {
+	[ERROR_AUTH]: 'serviceErrorAuth',
+	[ERROR_OTHER]: 'serviceErrorOther',
+	[ERROR_RATE_LIMIT]: 'serviceErrorRateLimit',
+	[ERROR_TEMPORARY]: 'serviceErrorTemporary',
+	[ERROR_INVALID_DATA]: 'serviceErrorInvalidData',
+};
+
 define(() => {
 	return {
-		RESULT_OK, RESULT_IGNORE, ERROR_AUTH, ERROR_OTHER
+		ERROR_DESCRIPTIONS,
+
+		RESULT_OK, RESULT_IGNORE, ERROR_AUTH, ERROR_OTHER,
+		ERROR_RATE_LIMIT, ERROR_TEMPORARY, ERROR_INVALID_DATA
 	};
 });
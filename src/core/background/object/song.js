@@ -242,6 +242,23 @@ define((require) => {
 			return clonedSong;
 		}
 
+		/**
+		 * Create a song from data returned by `getCloneableData` function.
+		 *
+		 * @param  {Object} data Object contains song data
+		 * @return {Object} Song instance
+		 */
+		static fromCloneableData(data) {
+			const { parsed, processed, metadata, flags, connectorLabel } = data;
+			const song = new Song(parsed, { label: connectorLabel });
+
+			Object.assign(song.processed, processed);
+			Object.assign(song.metadata, metadata);
+			Object.assign(song.flags, flags);
+
+			return song;
+		}
+
 		/**
 		 * Set default song info (artist, track, etc).
 		 */
@@ -318,6 +335,12 @@ define((require) => {
 				* @type {Boolean}
 				*/
 				isReplaying: false,
+
+				/**
+				* Flag means song is in the blocklist.
+				* @type {Boolean}
+				*/
+				isBlocked: false,
 			};
 		}
 
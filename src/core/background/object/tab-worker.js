@@ -5,17 +5,26 @@ define((require) => {
 	const BrowserAction = require('browser/browser-action');
 
 	const Options = require('storage/options');
+	const MetadataFilters = require('storage/metadata-filters');
 
 	const Controller = require('object/controller');
 	const { isActiveMode, isInactiveMode } = require('object/controller-mode');
 
 	const { INJECTED, MATCHED, NO_MATCH } = require('object/inject-result');
-	const { getCurrentTab } = require('util/util-browser');
+	const { getCurrentTab, isTabAudible } = require('util/util-browser');
 	const { getConnectorByUrl } = require('util/util-connector');
 	const {
 		contextMenus, i18n, runtime, tabs
 	} = require('webextension-polyfill');
 
+	/**
+	 * Number of seconds a tab should be muted or silent before playback
+	 * time of a controller attached to the tab is stopped to count.
+	 *
+	 * @type {Number}
+	 */
+	const INAUDIBLE_GRACE_PERIOD = 10;
+
 	class TabWorker {
 		constructor() {
 			this.initialize();
@@ -108,6 +117,12 @@ define((require) => {
 
 				case 'REQUEST_SKIP_SONG':
 					ctrl.skipCurrentSong();
+					this.applyMultiTabPolicy();
+					break;
+
+				case 'REQUEST_BLOCK_SONG':
+					await ctrl.blockCurrentSong(data.isArtistBlocked);
+					this.applyMultiTabPolicy();
 					break;
 
 				case 'REQUEST_RESET_SONG':
@@ -127,8 +142,19 @@ define((require) => {
 			switch (type) {
 				case 'EVENT_STATE_CHANGED': {
 					const ctrl = this.tabControllers[tabId];
-					if (ctrl) {
-						ctrl.onStateChanged(data);
+					if (!ctrl) {
+						break;
+					}
+
+					const wasPlaying = ctrl.isPlaying();
+					ctrl.onStateChanged(data);
+
+					const isPlaying = ctrl.isPlaying();
+					if (isPlaying !== wasPlaying) {
+						if (isPlaying) {
+							this.playbackStartTimes[tabId] = Date.now();
+						}
+						this.applyMultiTabPolicy();
 					}
 					break;
 				}
@@ -160,6 +186,40 @@ define((require) => {
 			}
 
 			this.updateContextMenu(tabId);
+			this.applyMultiTabPolicy();
+		}
+
+		/**
+		 * Called when audible or muted state of a tab is changed.
+		 *
+		 * @param  {Number} tabId Tab ID
+		 * @param  {Boolean} isAudible True if the tab produces sound and is not muted
+		 */
+		async processTabAudioChange(tabId, isAudible) {
+			const shouldSkipInaudible = await Options.getOption(
+				Options.SKIP_INAUDIBLE_TABS);
+
+			const ctrl = this.tabControllers[tabId];
+			if (!ctrl) {
+				return;
+			}
+
+			this.clearInaudibleTimeout(tabId);
+
+			if (this.tabAudibleStates[tabId] !== isAudible) {
+				this.tabAudibleStates[tabId] = isAudible;
+				this.applyMultiTabPolicy();
+			}
+
+			if (isAudible || !shouldSkipInaudible) {
+				ctrl.setTabAudible(true);
+				return;
+			}
+
+			this.inaudibleTimeoutIds[tabId] = setTimeout(() => {
+				delete this.inaudibleTimeoutIds[tabId];
+				ctrl.setTabAudible(false);
+			}, INAUDIBLE_GRACE_PERIOD * 1000);
 		}
 
 		/**
@@ -169,6 +229,7 @@ define((require) => {
 		 */
 		async processTabRemove(removedTabId) {
 			this.unloadController(removedTabId);
+			this.applyMultiTabPolicy();
 
 			if (removedTabId === this.activeTabId) {
 				this.activeTabId = tabs.TAB_ID_NONE;
@@ -188,6 +249,9 @@ define((require) => {
 			}
 			this.activeTabId = tabs.TAB_ID_NONE;
 			this.tabControllers = [];
+			this.playbackStartTimes = {};
+			this.inaudibleTimeoutIds = {};
+			this.tabAudibleStates = {};
 
 			this.browserAction = new BrowserAction();
 			/*
@@ -197,6 +261,106 @@ define((require) => {
 			this.browserAction.reset();
 		}
 
+		/**
+		 * Suspend or resume controllers according to the multi-tab policy.
+		 * If no controller is playing, all controllers are resumed.
+		 */
+		async applyMultiTabPolicy() {
+			const policy = await Options.getOption(Options.MULTI_TAB_POLICY);
+
+			let allowedTabId = tabs.TAB_ID_NONE;
+			if (policy !== Options.MULTI_TAB_POLICY_ALL) {
+				allowedTabId = this.findScrobblingTabId(policy);
+			}
+
+			for (const tabId in this.tabControllers) {
+				const ctrl = this.tabControllers[tabId];
+				const isSuspended = allowedTabId !== tabs.TAB_ID_NONE &&
+					ctrl.tabId !== allowedTabId;
+
+				ctrl.setSuspended(isSuspended);
+			}
+		}
+
+		/**
+		 * Get ID of a tab which is allowed to scrobble by a given policy.
+		 *
+		 * The focused policy allows the current tab if it's playing music
+		 * and is audible; otherwise, it prefers audible tabs over muted or
+		 * silent ones. Both policies allow a playing tab which has started
+		 * playback most recently.
+		 *
+		 * @param  {String} policy Multi-tab policy
+		 *
+		 * @return {Number} Tab ID
+		 */
+		findScrobblingTabId(policy) {
+			if (policy === Options.MULTI_TAB_POLICY_FOCUSED) {
+				const ctrl = this.tabControllers[this.currentTabId];
+				if (ctrl && ctrl.isPlaying() && this.isAudibleTab(this.currentTabId)) {
+					return this.currentTabId;
+				}
+
+				const audibleTabId = this.findLatestPlayingTabId(
+					(tabId) => this.isAudibleTab(tabId));
+				if (audibleTabId !== tabs.TAB_ID_NONE) {
+					return audibleTabId;
+				}
+			}
+
+			return this.findLatestPlayingTabId(() => true);
+		}
+
+		/**
+		 * Get ID of a playing tab which has started playback most recently.
+		 *
+		 * @param  {Function} filter Function to check if a tab can be chosen
+		 *
+		 * @return {Number} Tab ID
+		 */
+		findLatestPlayingTabId(filter) {
+			let latestTabId = tabs.TAB_ID_NONE;
+			let latestStartTime = 0;
+
+			for (const tabId in this.tabControllers) {
+				const ctrl = this.tabControllers[tabId];
+				if (!ctrl.isPlaying() || !filter(ctrl.tabId)) {
+					continue;
+				}
+
+				const startTime = this.playbackStartTimes[tabId] || 0;
+				if (latestTabId === tabs.TAB_ID_NONE || startTime > latestStartTime) {
+					// NOTE: Don't use `tabId` directly, it's a string.
+					latestTabId = ctrl.tabId;
+					latestStartTime = startTime;
+				}
+			}
+
+			return latestTabId;
+		}
+
+		/**
+		 * Check if a tab with a given ID produces sound and is not muted.
+		 * A tab with unknown audible state is considered audible.
+		 *
+		 * @param  {Number} tabId Tab ID
+		 *
+		 * @return {Boolean} Check result
+		 */
+		isAudibleTab(tabId) {
+			return this.tabAudibleStates[tabId] !== false;
+		}
+
+		/**
+		 * Cancel a pending change of audible state of a tab.
+		 *
+		 * @param  {Number} tabId Tab ID
+		 */
+		clearInaudibleTimeout(tabId) {
+			clearTimeout(this.inaudibleTimeoutIds[tabId]);
+			delete this.inaudibleTimeoutIds[tabId];
+		}
+
 		/**
 		 * Update the browser action in context of a given tab ID.
 		 *
@@ -346,6 +510,7 @@ define((require) => {
 				'menuDisableUntilTabClosed', label);
 			this.addContextMenuItem(tabId, itemTitle2, () => {
 				ctrl.setEnabled(false);
+				this.applyMultiTabPolicy();
 			});
 		}
 
@@ -441,6 +606,7 @@ define((require) => {
 				case NO_MATCH: {
 					if (this.tabControllers[tabId]) {
 						this.unloadController(tabId);
+						this.applyMultiTabPolicy();
 						this.updateLastActiveTab();
 					}
 					break;
@@ -449,15 +615,32 @@ define((require) => {
 				case MATCHED: {
 					this.unloadController(tabId);
 					await this.createController(tabId, connector);
+					this.applyMultiTabPolicy();
 
 					if (this.shouldUpdateBrowserAction(tabId)) {
 						this.updateBrowserAction(tabId);
 					}
 					this.updateContextMenu(tabId);
 
-					tabs.sendMessage(tabId, { type: 'EVENT_READY' });
+					const filterSets =
+						await MetadataFilters.getFilterSets(connector.id);
+					tabs.sendMessage(tabId, {
+						type: 'EVENT_READY', data: { filterSets }
+					});
 
 					this.onConnectorActivated(connector);
+
+					// Audible state could be changed before the injection
+					let tab = null;
+					try {
+						tab = await tabs.get(tabId);
+					} catch (e) {
+						// The tab is closed while the connector is injected
+						this.processTabRemove(tabId);
+						break;
+					}
+
+					this.processTabAudioChange(tabId, isTabAudible(tab));
 					break;
 				}
 			}
@@ -498,6 +681,9 @@ define((require) => {
 
 			controller.finish();
 			delete this.tabControllers[tabId];
+			delete this.playbackStartTimes[tabId];
+			delete this.tabAudibleStates[tabId];
+			this.clearInaudibleTimeout(tabId);
 		}
 
 		/**
@@ -511,6 +697,8 @@ define((require) => {
 
 			ctrl.setEnabled(isEnabled);
 			Options.setConnectorEnabled(connector, isEnabled);
+
+			this.applyMultiTabPolicy();
 		}
 	}
 
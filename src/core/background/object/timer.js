@@ -116,6 +116,27 @@ define(() => {
 			}
 		}
 
+		/**
+		 * Shift elapsed time by given number of seconds. Positive value
+		 * increases elapsed time, and negative value decreases it.
+		 *
+		 * Does nothing if the callback was already triggered.
+		 *
+		 * @param {Number} seconds Seconds
+		 */
+		adjust(seconds) {
+			// only if timer was started and wasn't triggered
+			if (this.startedOn === null || this.hasTriggered) {
+				return;
+			}
+
+			this.spentPaused -= seconds;
+
+			if (this.pausedOn === null && this.targetSeconds !== null) {
+				this.setTrigger(this.targetSeconds - this.getElapsed());
+			}
+		}
+
 		/**
 		 * Return remaining seconds or null if no destination time is set.
 		 * @return {Number} Remaining seconds
@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * The pipeline stage applies auto-edit rules defined by an user
+ * to given song.
+ */
+
+define((require) => {
+	const Song = require('object/song');
+	const EditRules = require('storage/edit-rules');
+
+	const { applyEditRules } = require('util/util-edit-rules');
+
+	/**
+	 * Edit info fields of given song according to auto-edit rules.
+	 * Rules are applied to song info parsed by connector, since processed
+	 * fields can be already edited if the song is processed again.
+	 * @param  {Object} song Song instance
+	 * @param  {Object} connector Connector match object
+	 */
+	async function process(song, connector) {
+		const rules = await EditRules.getRules();
+		if (rules.length === 0) {
+			return;
+		}
+
+		const songInfo = {};
+		for (const field of Song.USER_FIELDS) {
+			songInfo[field] = song.parsed[field] || null;
+		}
+		const editedInfo = applyEditRules(songInfo, connector.id, rules);
+
+		for (const field of Song.USER_FIELDS) {
+			if (editedInfo[field] !== songInfo[field]) {
+				song.processed[field] = editedInfo[field];
+			}
+		}
+	}
+
+	return { process };
+});
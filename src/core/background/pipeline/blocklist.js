@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * The pipeline stage marks given song as blocked if it matches
+ * the blocklist defined by an user.
+ */
+
+define((require) => {
+	const Blocklist = require('storage/blocklist');
+
+	/**
+	 * Check if given song is in the blocklist.
+	 * @param  {Object} song Song instance
+	 */
+	async function process(song) {
+		song.flags.isBlocked = await Blocklist.isBlocked({
+			artist: song.getArtist(),
+			track: song.getTrack(),
+			album: song.getAlbum(),
+		});
+	}
+
+	return { process };
+});
@@ -5,7 +5,6 @@
  */
 
 define((require) => {
-	const Options = require('storage/options');
 	const ScrobbleService = require('object/scrobble-service');
 
 	const INFO_TO_COPY = [
@@ -13,7 +12,7 @@ define((require) => {
 	];
 	const METADATA_TO_COPY = [
 		'trackArtUrl', 'artistUrl', 'trackUrl',
-		'albumUrl', 'userPlayCount', 'albumMbId'
+		'albumUrl', 'userPlayCount', 'albumMbId', 'artistMbId', 'trackMbId'
 	];
 
 	/**
@@ -49,8 +48,7 @@ define((require) => {
 			}
 		}
 
-		const forceRecognize = await Options.getOption(Options.FORCE_RECOGNIZE);
-		song.flags.isValid = isSongValid || forceRecognize;
+		song.flags.isValid = isSongValid;
 	}
 
 	/**
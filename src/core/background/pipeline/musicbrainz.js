@@ -0,0 +1,319 @@
+'use strict';
+
+/**
+ * This pipeline stage resolves MusicBrainz IDs of a song recording, its
+ * artist, release and release group. Missing album info is filled only
+ * if the song is found on a single album.
+ */
+
+define((require) => {
+	const browser = require('webextension-polyfill');
+	const MusicBrainzCache = require('storage/musicbrainz-cache');
+
+	const API_URL = 'https://musicbrainz.org/ws/2/recording';
+
+	/**
+	 * Min interval between requests in milliseconds. MusicBrainz allows
+	 * one request per second.
+	 * @type {Number}
+	 */
+	const REQUEST_INTERVAL = 1000;
+
+	/**
+	 * HTTP status sent by MusicBrainz if the rate limit is exceeded.
+	 * @type {Number}
+	 */
+	const HTTP_SERVICE_UNAVAILABLE = 503;
+
+	/**
+	 * Max number of recordings returned by search.
+	 * @type {Number}
+	 */
+	const SEARCH_LIMIT = 5;
+
+	/**
+	 * Min score of found recording to consider it as a song recording.
+	 * @type {Number}
+	 */
+	const MIN_SCORE = 90;
+
+	const RECORDING_METADATA = ['trackMbId', 'artistMbId'];
+	const RELEASE_METADATA = ['albumMbId', 'releaseGroupMbId', 'trackNumber'];
+
+	/**
+	 * Promise resolved when the last queued request is sent.
+	 * @type {Promise}
+	 */
+	let requestQueue = Promise.resolve();
+
+	/**
+	 * Time when the last request was sent in milliseconds.
+	 * @type {Number}
+	 */
+	let lastRequestTime = 0;
+
+	/**
+	 * Load MusicBrainz info of given song.
+	 * @param  {Object} song Song instance
+	 */
+	async function process(song) {
+		delete song.metadata.releaseGroupMbId;
+		delete song.metadata.trackNumber;
+
+		if (song.isEmpty()) {
+			return;
+		}
+
+		const songInfo = {
+			artist: song.getArtist(),
+			track: song.getTrack(),
+			album: song.getAlbum(),
+		};
+
+		let info = await MusicBrainzCache.getInfo(songInfo);
+		if (info === undefined) {
+			try {
+				info = await findRecordingInfo(songInfo);
+			} catch (e) {
+				// Don't cache results of failed requests
+				return;
+			}
+
+			// Don't cache results of requests rejected by rate limit
+			if (info === undefined) {
+				return;
+			}
+
+			await MusicBrainzCache.setInfo(songInfo, info);
+		}
+
+		if (!info) {
+			return;
+		}
+
+		fillMetadata(song, info, RECORDING_METADATA);
+
+		// Don't mix release info with the one loaded from other services
+		const { albumMbId } = song.metadata;
+		if (albumMbId && albumMbId !== info.albumMbId) {
+			return;
+		}
+
+		fillMetadata(song, info, RELEASE_METADATA);
+
+		if (!song.flags.isCorrectedByUser) {
+			if (info.album && !song.getAlbum()) {
+				song.processed.album = info.album;
+			}
+
+			if (info.albumArtist && !song.getAlbumArtist()) {
+				song.processed.albumArtist = info.albumArtist;
+			}
+		}
+	}
+
+	/**
+	 * Search for a recording of given song info on MusicBrainz.
+	 * Search API docs:
+	 *	https://musicbrainz.org/doc/MusicBrainz_API/Search
+	 *
+	 * @param  {Object} songInfo Object contains artist, track and album fields
+	 * @return {Object} Recording info, null if nothing is found, or undefined
+	 *                  if MusicBrainz is unavailable
+	 */
+	async function findRecordingInfo(songInfo) {
+		const query = `recording:${quote(songInfo.track)} AND ` +
+			`artist:${quote(songInfo.artist)}`;
+		const url = `${API_URL}?fmt=json&limit=${SEARCH_LIMIT}` +
+			`&query=${encodeURIComponent(query)}`;
+
+		const response = await queueRequest(url, {
+			headers: { 'User-Agent': getUserAgent() },
+		});
+		if (response.status === HTTP_SERVICE_UNAVAILABLE) {
+			return undefined;
+		}
+		if (!response.ok) {
+			throw new Error('Unable to search MusicBrainz recordings');
+		}
+
+		return parseRecordingInfo(await response.json(), songInfo);
+	}
+
+	/**
+	 * Send a request after previously queued ones. Requests are sent not
+	 * more often than once per `REQUEST_INTERVAL` milliseconds.
+	 * @param  {String} url Request URL
+	 * @param  {Object} options Fetch options
+	 * @return {Promise} Promise resolved with response
+	 */
+	function queueRequest(url, options) {
+		const request = requestQueue.then(async() => {
+			const delay = lastRequestTime + REQUEST_INTERVAL - Date.now();
+			if (delay > 0) {
+				await new Promise((resolve) => setTimeout(resolve, delay));
+			}
+
+			lastRequestTime = Date.now();
+			return fetch(url, options);
+		});
+
+		requestQueue = request.catch(() => {
+			// Do nothing
+		});
+
+		return request;
+	}
+
+	/**
+	 * Get User-Agent header value identifying the extension. MusicBrainz
+	 * requires clients to send meaningful User-Agent.
+	 * @return {String} User-Agent header value
+	 */
+	function getUserAgent() {
+		const { version, homepage_url: homepageUrl } = browser.runtime.getManifest();
+		return `WebScrobbler/${version} ( ${homepageUrl} )`;
+	}
+
+	/**
+	 * Get info of a recording matching given song info from search results.
+	 * @param  {Object} data Response of recording search
+	 * @param  {Object} songInfo Object contains artist, track and album fields
+	 * @return {Object} Recording info or null if nothing is matched
+	 */
+	function parseRecordingInfo(data, { artist, track, album }) {
+		const recordings = data.recordings || [];
+		const recording = recordings.find((r) => {
+			return Number(r.score) >= MIN_SCORE &&
+				isSameName(r.title, track) &&
+				isSameName(getCreditedName(r['artist-credit']), artist);
+		});
+
+		if (!recording) {
+			return null;
+		}
+
+		const info = {
+			trackMbId: recording.id,
+			artistMbId: recording['artist-credit'][0].artist.id,
+		};
+
+		const release = findRelease(recording.releases || [], album);
+		if (!release) {
+			return info;
+		}
+
+		info.albumMbId = release.id;
+		info.releaseGroupMbId = release['release-group'].id;
+		info.album = release.title;
+
+		const trackNumber = getTrackNumber(release);
+		if (trackNumber) {
+			info.trackNumber = trackNumber;
+		}
+
+		if (release['artist-credit']) {
+			const albumArtist = getCreditedName(release['artist-credit']);
+			if (!isSameName(albumArtist, artist)) {
+				info.albumArtist = albumArtist;
+			}
+		}
+
+		return info;
+	}
+
+	/**
+	 * Find a release of a recording. If the album is unknown, the release
+	 * is found only if all official albums contain the recording belong
+	 * to the same release group.
+	 * @param  {Array} releases Array of releases contain the recording
+	 * @param  {String} album Album name
+	 * @return {Object} Release or null if nothing is found
+	 */
+	function findRelease(releases, album) {
+		const validReleases = releases.filter((r) => r['release-group']);
+
+		if (album) {
+			return validReleases.find((r) => isSameName(r.title, album)) || null;
+		}
+
+		const albums = validReleases.filter((r) => {
+			return r.status === 'Official' &&
+				r['release-group']['primary-type'] === 'Album';
+		});
+		if (albums.length === 0) {
+			return null;
+		}
+
+		const releaseGroupId = albums[0]['release-group'].id;
+		if (albums.some((r) => r['release-group'].id !== releaseGroupId)) {
+			return null;
+		}
+
+		return albums[0];
+	}
+
+	/**
+	 * Get a number of a recording track on given release.
+	 * @param  {Object} release Release
+	 * @return {String} Track number or null
+	 */
+	function getTrackNumber(release) {
+		const [medium] = release.media || [];
+		if (!medium || !medium.track || medium.track.length === 0) {
+			return null;
+		}
+
+		return medium.track[0].number || null;
+	}
+
+	/**
+	 * Fill missing song metadata fields by given info.
+	 * @param  {Object} song Song instance
+	 * @param  {Object} info Recording info
+	 * @param  {Array} fields Array of fields to fill
+	 */
+	function fillMetadata(song, info, fields) {
+		for (const field of fields) {
+			if (info[field] && !song.metadata[field]) {
+				song.metadata[field] = info[field];
+			}
+		}
+	}
+
+	/**
+	 * Get a name of given artist credit.
+	 * @param  {Array} artistCredit Artist credit
+	 * @return {String} Credited name
+	 */
+	function getCreditedName(artistCredit = []) {
+		return artistCredit.map((credit) => {
+			return `${credit.name}${credit.joinphrase || ''}`;
+		}).join('');
+	}
+
+	/**
+	 * Check if given names are equal ignoring case.
+	 * @param  {String} name1 Name
+	 * @param  {String} name2 Name
+	 * @return {Boolean} Check result
+	 */
+	function isSameName(name1, name2) {
+		return (name1 || '').toLowerCase() === (name2 || '').toLowerCase();
+	}
+
+	/**
+	 * Create a phrase of a search query.
+	 * @param  {String} text Text
+	 * @return {String} Phrase
+	 */
+	function quote(text) {
+		return `"${text.replace(/[\\"]/g, '\\$&')}"`;
+	}
+
+	return {
+		process, parseRecordingInfo,
+
+		REQUEST_INTERVAL,
+	};
+});
@@ -4,8 +4,11 @@
  * The module applies functions provided by pipeline stages to given song.
  */
 define((require) => {
+	const AutoEdit = require('pipeline/auto-edit');
+	const Blocklist = require('pipeline/blocklist');
 	const UserInput = require('pipeline/user-input');
 	const Metadata = require('pipeline/metadata');
+	const MusicBrainz = require('pipeline/musicbrainz');
 	const Normalize = require('pipeline/normalize');
 	const CoverArtArchive = require('pipeline/coverartarchive');
 
@@ -13,16 +16,28 @@ define((require) => {
 		constructor() {
 			this.song = null;
 			this.processors = [
-				Normalize, UserInput, Metadata, CoverArtArchive
+				Normalize, AutoEdit, UserInput, Blocklist, Metadata,
+				MusicBrainz, CoverArtArchive,
 			];
 		}
 
-		async process(song) {
+		/**
+		 * Process given song by all pipeline stages.
+		 * @param  {Object} song Song instance
+		 * @param  {Object} connector Connector match object
+		 * @return {Boolean} True if the song is still relevant
+		 */
+		async process(song, connector) {
 			// FIXME: Use another lock way
 			this.song = song;
 
 			for (const processor of this.processors) {
-				await processor.process(song);
+				await processor.process(song, connector);
+
+				// There's no need to load info of blocked songs
+				if (song.flags.isBlocked) {
+					break;
+				}
 			}
 
 			// Return false if this call is not relevant, e.g. when
@@ -8,6 +8,22 @@ define((require) => {
 	const { hideStringInText, timeoutPromise } = require('util/util');
 	const { createQueryString } = require('util/util-browser');
 
+	/**
+	 * Object that maps API error codes to service call results. Other
+	 * error codes are treated as `ERROR_OTHER`.
+	 *
+	 * See https://www.last.fm/api/errorcodes
+	 *
+	 * @type {Object}
+	 */
+	const ERROR_CODE_RESULTS = {
+		6: ServiceCallResult.ERROR_INVALID_DATA,
+		11: ServiceCallResult.ERROR_TEMPORARY,
+		13: ServiceCallResult.ERROR_INVALID_DATA,
+		16: ServiceCallResult.ERROR_TEMPORARY,
+		29: ServiceCallResult.ERROR_RATE_LIMIT,
+	};
+
 	class AudioScrobbler extends BaseScrobbler {
 		/** @override */
 		constructor(properties) {
@@ -142,46 +158,72 @@ define((require) => {
 				params.duration = song.getDuration();
 			}
 
+			if (song.metadata.trackMbId) {
+				params.mbid = song.metadata.trackMbId;
+			}
+
+			if (song.metadata.trackNumber) {
+				params.trackNumber = song.metadata.trackNumber;
+			}
+
 			const response = await this.sendRequest({ method: 'POST' }, params);
 			return AudioScrobbler.processResponse(response);
 		}
 
 		/** @override */
 		async scrobble(song) {
+			const [result] = await this.scrobbleSongs([song]);
+			return result;
+		}
+
+		/** @override */
+		async scrobbleSongs(songs) {
 			const { sessionID } = await this.getSession();
 			const params = {
 				method: 'track.scrobble',
-				'timestamp[0]': song.metadata.startTimestamp,
-				'track[0]': song.getTrack(),
-				'artist[0]': song.getArtist(),
 				sk: sessionID
 			};
 
-			if (song.getAlbum()) {
-				params['album[0]'] = song.getAlbum();
-			}
+			songs.forEach((song, index) => {
+				params[`timestamp[${index}]`] = song.metadata.startTimestamp;
+				params[`track[${index}]`] = song.getTrack();
+				params[`artist[${index}]`] = song.getArtist();
 
-			if (song.getAlbumArtist()) {
-				params['albumArtist[0]'] = song.getAlbumArtist();
-			}
+				if (song.getAlbum()) {
+					params[`album[${index}]`] = song.getAlbum();
+				}
+
+				if (song.getAlbumArtist()) {
+					params[`albumArtist[${index}]`] = song.getAlbumArtist();
+				}
+
+				if (song.metadata.trackMbId) {
+					params[`mbid[${index}]`] = song.metadata.trackMbId;
+				}
+
+				if (song.metadata.trackNumber) {
+					params[`trackNumber[${index}]`] = song.metadata.trackNumber;
+				}
+			});
 
 			const response = await this.sendRequest({ method: 'POST' }, params);
 
 			const result = AudioScrobbler.processResponse(response);
-			if (result === ServiceCallResult.RESULT_OK) {
-				const scrobbles = response.scrobbles;
-
-				if (scrobbles) {
-					const acceptedCount = scrobbles['@attr'].accepted;
-					if (acceptedCount === '0') {
-						return ServiceCallResult.RESULT_IGNORE;
-					}
-				} else {
-					return ServiceCallResult.ERROR_OTHER;
-				}
+			if (result !== ServiceCallResult.RESULT_OK) {
+				return songs.map(() => result);
 			}
 
-			return result;
+			const scrobbles = response.scrobbles;
+			if (!scrobbles) {
+				return songs.map(() => ServiceCallResult.ERROR_OTHER);
+			}
+
+			return AudioScrobbler.processScrobbles(scrobbles, songs.length);
+		}
+
+		/** @override */
+		getMaxBatchSize() {
+			return 50;
 		}
 
 		/** @override */
@@ -250,6 +292,9 @@ define((require) => {
 				response = await timeoutPromise(timeout, promise);
 				responseData = await response.json();
 			} catch (e) {
+				if (response && !response.ok) {
+					throw AudioScrobbler.processErrorResponse(response.status, null);
+				}
 				throw ServiceCallResult.ERROR_OTHER;
 			}
 
@@ -258,7 +303,7 @@ define((require) => {
 
 			if (!response.ok) {
 				this.debugLog(`${params.method} response:\n${debugMsg}`, 'error');
-				throw ServiceCallResult.ERROR_OTHER;
+				throw AudioScrobbler.processErrorResponse(response.status, responseData);
 			}
 
 			this.debugLog(`${params.method} response:\n${debugMsg}`);
@@ -311,11 +356,73 @@ define((require) => {
 		 */
 		static processResponse(responseData) {
 			if (responseData.error) {
-				return ServiceCallResult.ERROR_OTHER;
+				return ERROR_CODE_RESULTS[responseData.error] ||
+					ServiceCallResult.ERROR_OTHER;
 			}
 
 			return ServiceCallResult.RESULT_OK;
 		}
+
+		/**
+		 * Process response with non-successful HTTP status and return
+		 * service call result.
+		 * @param  {Number} status HTTP status
+		 * @param  {Object} responseData Response data
+		 * @return {Object} Response result
+		 */
+		static processErrorResponse(status, responseData) {
+			if (responseData && responseData.error) {
+				return AudioScrobbler.processResponse(responseData);
+			}
+
+			if (status === 429) {
+				return ServiceCallResult.ERROR_RATE_LIMIT;
+			} else if (status >= 500) {
+				return ServiceCallResult.ERROR_TEMPORARY;
+			}
+
+			return ServiceCallResult.ERROR_OTHER;
+		}
+
+		/**
+		 * Process `scrobbles` object of `track.scrobble` response and return
+		 * service call result for each scrobbled song.
+		 * @param  {Object} scrobbles Scrobbles object
+		 * @param  {Number} songsCount Number of scrobbled songs
+		 * @return {Array} Array of service call results
+		 */
+		static processScrobbles(scrobbles, songsCount) {
+			let items = scrobbles.scrobble;
+			if (items && !Array.isArray(items)) {
+				items = [items];
+			}
+
+			if (!items || items.length !== songsCount) {
+				/*
+				 * Fallback to the total number of accepted scrobbles. If only
+				 * some songs are accepted, results can't be mapped to songs,
+				 * so return a retryable error for all of them.
+				 */
+				const acceptedCount = parseInt(scrobbles['@attr'].accepted);
+				let result = ServiceCallResult.ERROR_OTHER;
+				if (acceptedCount === songsCount) {
+					result = ServiceCallResult.RESULT_OK;
+				} else if (acceptedCount === 0) {
+					result = ServiceCallResult.RESULT_IGNORE;
+				}
+
+				return new Array(songsCount).fill(result);
+			}
+
+			return items.map((item) => {
+				const { ignoredMessage } = item;
+				if (ignoredMessage && parseInt(ignoredMessage.code) > 0) {
+					return ServiceCallResult.RESULT_IGNORE;
+				}
+
+				return ServiceCallResult.RESULT_OK;
+			});
+		}
 	}
 
 	/**
@@ -113,6 +113,18 @@ define((require) => {
 				 * @type {String}
 				 */
 				'profileUrl',
+				/**
+				 * ID of an additional account on the service. Not set
+				 * for the default account.
+				 * @type {String}
+				 */
+				'accountId',
+				/**
+				 * Label of the default account on the service. Not set
+				 * for the default account.
+				 * @type {String}
+				 */
+				'serviceLabel',
 			];
 		}
 
@@ -164,6 +176,34 @@ define((require) => {
 			throw new Error('Not implemented');
 		}
 
+		/**
+		 * Check if the scrobbler is paused by user. Paused scrobbler keeps
+		 * session data, but should not be used to send API requests.
+		 *
+		 * @return {Boolean} Check result
+		 */
+		async isPaused() {
+			const { isPaused } = await this.storage.get();
+			return isPaused === true;
+		}
+
+		/**
+		 * Pause or resume the scrobbler.
+		 *
+		 * @param  {Boolean} isPaused Flag means the scrobbler is paused
+		 */
+		async setPaused(isPaused) {
+			const data = await this.storage.get();
+
+			if (isPaused) {
+				data.isPaused = true;
+			} else {
+				delete data.isPaused;
+			}
+
+			await this.storage.set(data);
+		}
+
 		/** API requests */
 
 		/**
@@ -186,6 +226,56 @@ define((require) => {
 			throw new Error('Not implemented');
 		}
 
+		/**
+		 * Send songs to API to scrobble.
+		 *
+		 * Songs are split into batches which size is limited by the value
+		 * returned by `getMaxBatchSize` function. If a batch is failed to
+		 * send, each song of the batch gets the error result.
+		 *
+		 * @param  {Array} songs Array of Song instances
+		 * @return {Array} Array of ServiceCallResult constants, one per song
+		 */
+		async scrobbleBatch(songs) {
+			const results = [];
+			const batchSize = this.getMaxBatchSize();
+
+			for (let i = 0; i < songs.length; i += batchSize) {
+				const batch = songs.slice(i, i + batchSize);
+
+				try {
+					results.push(...await this.scrobbleSongs(batch));
+				} catch (result) {
+					if (result instanceof Error) {
+						throw result;
+					}
+
+					results.push(...batch.map(() => result));
+				}
+			}
+
+			return results;
+		}
+
+		/**
+		 * Send a batch of songs to API to scrobble.
+		 * Implementation must return an array of ServiceCallResult constants,
+		 * one per song, or throw ServiceCallResult constant if the whole
+		 * batch is failed to send.
+		 *
+		 * Default implementation scrobbles songs one by one.
+		 *
+		 * @param  {Array} songs Array of Song instances
+		 */
+		async scrobbleSongs(songs) {
+			const results = [];
+			for (const song of songs) {
+				results.push(await this.scrobble(song));
+			}
+
+			return results;
+		}
+
 		/**
 		 * Love or unlove given song.
 		 * Implementation must return ServiceCallResult constant.
@@ -197,6 +287,20 @@ define((require) => {
 			throw new Error('Not implemented');
 		}
 
+		/**
+		 * Get love status of given song. Used by services which provide
+		 * no song info, but support loving songs.
+		 * Implementation must return love status, or null if it's unknown.
+		 *
+		 * Default implementation returns null.
+		 *
+		 * @param  {Object} song Song instance
+		 * @return {Boolean} Love status or null
+		 */
+		async getLoveStatus(song) { // eslint-disable-line no-unused-vars
+			return null;
+		}
+
 		/**
 		 * Get song info.
 		 * Implementation must return object contains a song data.
@@ -225,6 +329,33 @@ define((require) => {
 			return this.label;
 		}
 
+		/**
+		 * Get ID of the scrobbler. Unlike the label, the ID is never
+		 * changed, so data of the scrobbler, e.g. queued songs, is stored
+		 * by this ID. Built-in scrobblers use their labels as IDs.
+		 * @return {String} Scrobbler ID
+		 */
+		getId() {
+			return this.accountId || this.label;
+		}
+
+		/**
+		 * Get label of scrobbling service. Additional accounts on
+		 * the service have the same service label.
+		 * @return {String} Service label
+		 */
+		getServiceLabel() {
+			return this.serviceLabel || this.label;
+		}
+
+		/**
+		 * Get ID of additional account on the service.
+		 * @return {String} Account ID or null for the default account
+		 */
+		getAccountId() {
+			return this.accountId || null;
+		}
+
 		/**
 		 * Get URL to profile page.
 		 * @return {String} Profile URL
@@ -236,6 +367,14 @@ define((require) => {
 
 		/** Scrobbler features. */
 
+		/**
+		 * Check if user can sign in to service via browser.
+		 * @return {Boolean} True if service supports that; false otherwise
+		 */
+		canSignIn() {
+			return true;
+		}
+
 		/**
 		 * Check if service supports loving songs.
 		 * @return {Boolean} True if service supports that; false otherwise
@@ -252,6 +391,38 @@ define((require) => {
 			return false;
 		}
 
+		/**
+		 * Get max number of songs can be sent in a single request.
+		 * @return {Number} Max batch size
+		 */
+		getMaxBatchSize() {
+			return 1;
+		}
+
+		/** Accounts */
+
+		/**
+		 * Create a scrobbler for an additional account on the same service.
+		 * The scrobbler has its own label and storage, so it keeps its own
+		 * session and user properties.
+		 *
+		 * @param  {String} accountId Account ID
+		 * @param  {String} label Account label
+		 * @return {Object} Scrobbler instance
+		 */
+		createAccount(accountId, label) {
+			const props = {};
+			for (const prop of this.getRequiredProperties()) {
+				props[prop] = this[prop] || null;
+			}
+
+			return new this.constructor(Object.assign(props, {
+				accountId, label,
+				serviceLabel: this.getLabel(),
+				storage: `${this.storage.namespace}_${accountId}`,
+			}));
+		}
+
 		/** Constants */
 
 		/**
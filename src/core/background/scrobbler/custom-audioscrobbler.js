@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * Module for all communication with user-defined services compatible
+ * with Last.fm API, e.g. self-hosted GNU FM instances.
+ */
+define((require) => {
+	const GnuFmScrobbler = require('scrobbler/gnufm');
+
+	class CustomAudioScrobbler extends GnuFmScrobbler {
+		/** @override */
+		getRequiredProperties() {
+			return [
+				/**
+				 * ID of the scrobbler in custom scrobblers storage.
+				 * @type {String}
+				 */
+				'id'
+			].concat(super.getRequiredProperties());
+		}
+
+		/** @override */
+		async getProfileUrl() {
+			if (!this.profileUrl) {
+				return null;
+			}
+			return super.getProfileUrl();
+		}
+
+		/** @override */
+		getId() {
+			return this.id;
+		}
+
+		/**
+		 * Create scrobbler instance from data stored in custom scrobblers
+		 * storage.
+		 * @param  {String} id Scrobbler ID
+		 * @param  {Object} data Scrobbler data
+		 * @return {Object} Scrobbler instance
+		 */
+		static fromStorageData(id, data) {
+			const { label, apiUrl, authUrl, apiKey, apiSecret } = data;
+
+			return new CustomAudioScrobbler({
+				id, label, apiUrl, authUrl, apiKey, apiSecret,
+				storage: `CustomScrobbler_${id}`,
+				statusUrl: null,
+				profileUrl: data.profileUrl || null,
+			});
+		}
+	}
+
+	return CustomAudioScrobbler;
+});
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Base module for services running GNU FM, e.g. libre.fm or self-hosted
+ * instances. Unlike Last.fm, these services expect params of POST requests
+ * to be sent as form data.
+ */
+define((require) => {
+	const AudioScrobbler = require('scrobbler/audioscrobbler');
+	const { createQueryString } = require('util/util-browser');
+
+	class GnuFmScrobbler extends AudioScrobbler {
+		/** @override */
+		async sendRequest(options, params, signed) {
+			if ('post' === options.method.toLowerCase()) {
+				options.headers = {
+					'Content-Type': 'application/x-www-form-urlencoded'
+				};
+				options.body = createQueryString(params);
+			}
+
+			return super.sendRequest(options, params, signed);
+		}
+	}
+
+	return GnuFmScrobbler;
+});
@@ -67,9 +67,11 @@ define((require) => {
 
 			songInfo.artist = artistInfo.name;
 			songInfo.artistUrl = artistInfo.url;
+			songInfo.artistMbId = artistInfo.mbid;
 
 			songInfo.track = trackInfo.name;
 			songInfo.trackUrl = trackInfo.url;
+			songInfo.trackMbId = trackInfo.mbid;
 
 			songInfo.duration = parseInt(trackInfo.duration) / 1000 || null;
 
@@ -4,22 +4,9 @@
  * Module for all communication with libre.fm
  */
 define((require) => {
-	const AudioScrobbler = require('scrobbler/audioscrobbler');
-	const { createQueryString } = require('util/util-browser');
+	const GnuFmScrobbler = require('scrobbler/gnufm');
 
-	class LibreFm extends AudioScrobbler {
-		/** @override */
-		async sendRequest(options, params, signed) {
-			if ('post' === options.method.toLowerCase()) {
-				options.headers = {
-					'Content-Type': 'application/x-www-form-urlencoded'
-				};
-				options.body = createQueryString(params);
-			}
-
-			return super.sendRequest(options, params, signed);
-		}
-	}
+	class LibreFm extends GnuFmScrobbler {}
 
 	return new LibreFm({
 		label: 'Libre.fm',
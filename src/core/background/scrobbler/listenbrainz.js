@@ -5,17 +5,51 @@
  */
 define((require) => {
 	const Util = require('util/util');
+	const browser = require('webextension-polyfill');
 	const BaseScrobbler = require('scrobbler/base');
 	const ServiceCallResult = require('object/service-call-result');
 
+	const { createQueryString } = require('util/util-browser');
+
 	const listenBrainzTokenPage = 'https://listenbrainz.org/profile/';
 
+	const submissionClient = 'Web Scrobbler';
+
+	// @ifdef CHROME
+	const mediaPlayer = 'Chrome';
+	// @endif
+	/* @ifdef FIREFOX
+	const mediaPlayer = 'Firefox';
+	/* @endif */
+
+	/**
+	 * Check if given names are equal ignoring case.
+	 * @param  {String} name1 Name
+	 * @param  {String} name2 Name
+	 * @return {Boolean} Check result
+	 */
+	function isSameName(name1, name2) {
+		return (name1 || '').toLowerCase() === (name2 || '').toLowerCase();
+	}
+
 	class ListenBrainz extends BaseScrobbler {
 		/** @override */
 		getUsedDefinedProperties() {
 			return ['userApiUrl', 'userToken'];
 		}
 
+		/** @override */
+		async applyUserProperties(props) {
+			await super.applyUserProperties(props);
+
+			// Name of the token owner is requested again for a new token
+			if ('userToken' in props) {
+				const data = await this.storage.get();
+				delete data.sessionName;
+				await this.storage.set(data);
+			}
+		}
+
 		/** @override */
 		async getAuthUrl() {
 			const data = await this.storage.get();
@@ -60,7 +94,9 @@ define((require) => {
 		/** @override */
 		async getSession() {
 			if (this.userToken) {
-				return { sessionID: this.userToken };
+				// The name is saved when the token is validated first time
+				const { sessionName } = await this.storage.get();
+				return { sessionID: this.userToken, sessionName };
 			}
 
 			const data = await this.storage.get();
@@ -118,30 +154,230 @@ define((require) => {
 
 		/** @override */
 		async scrobble(song) {
+			const [result] = await this.scrobbleSongs([song]);
+			return result;
+		}
+
+		/** @override */
+		async scrobbleSongs(songs) {
 			const { sessionID } = await this.getSession();
 
 			const params = {
-				listen_type: 'single',
-				payload: [{
-					listened_at: song.metadata.startTimestamp,
-					track_metadata: this.makeTrackMetadata(song)
-				}]
+				listen_type: songs.length > 1 ? 'import' : 'single',
+				payload: songs.map((song) => {
+					return {
+						listened_at: song.metadata.startTimestamp,
+						track_metadata: this.makeTrackMetadata(song)
+					};
+				})
 			};
-			return this.sendRequest(params, sessionID);
+
+			// The service returns a single result for all listens
+			const result = await this.sendRequest(params, sessionID);
+			return songs.map(() => result);
+		}
+
+		/** @override */
+		getMaxBatchSize() {
+			return 100;
+		}
+
+		/** @override */
+		async toggleLove(song, isLoved) {
+			const { sessionID } = await this.getSession();
+
+			const recordingMbId = await this.getRecordingMbId(song);
+			if (!recordingMbId) {
+				this.debugLog('Unable to find recording MBID', 'warn');
+				return ServiceCallResult.ERROR_INVALID_DATA;
+			}
+
+			const params = {
+				recording_mbid: recordingMbId,
+				score: isLoved ? 1 : 0,
+			};
+			const url = this.makeApiUrl('feedback/recording-feedback');
+
+			const result = await this.sendApiRequest(url, {
+				method: 'POST',
+				headers: this.makeRequestHeaders(sessionID),
+				body: JSON.stringify(params)
+			});
+			return this.processResult(result);
+		}
+
+		/** @override */
+		async getLoveStatus(song) {
+			// Don't look up recordings to not send extra requests for every song
+			const recordingMbId = song.metadata.trackMbId;
+			if (!recordingMbId) {
+				return null;
+			}
+
+			const { sessionID, sessionName } = await this.getSession();
+			if (sessionName) {
+				return this.getFeedback(sessionName, recordingMbId);
+			}
+
+			const userName = await this.requestUserName(sessionID);
+			if (!userName) {
+				return null;
+			}
+
+			// Save the name to not validate the token for every song
+			if (sessionID === this.userToken) {
+				const data = await this.storage.get();
+				data.sessionName = userName;
+				await this.storage.set(data);
+			}
+
+			return this.getFeedback(userName, recordingMbId);
+		}
+
+		/** @override */
+		canLoveSong() {
+			return true;
 		}
 
 		/** Private methods. */
 
+		/**
+		 * Get MusicBrainz recording ID of given song. The ID is looked up
+		 * if the song has no resolved ID.
+		 * @param  {Object} song Song instance
+		 * @return {String} Recording MBID or null
+		 */
+		async getRecordingMbId(song) {
+			if (song.metadata.trackMbId) {
+				return song.metadata.trackMbId;
+			}
+
+			try {
+				const recording = await this.lookupRecording(song);
+				if (recording) {
+					return recording.recording_mbid;
+				}
+			} catch (err) {
+				// Do nothing
+			}
+
+			return null;
+		}
+
+		/**
+		 * Find MusicBrainz recording matching given song.
+		 * @param  {Object} song Song instance
+		 * @return {Object} Recording data or null if nothing is found
+		 */
+		async lookupRecording(song) {
+			const params = {
+				artist_name: song.getArtist(),
+				recording_name: song.getTrack(),
+			};
+			const queryStr = createQueryString(params);
+			const url = this.makeApiUrl(`metadata/lookup/?${queryStr}`);
+
+			const recording = await this.sendApiRequest(url, { method: 'GET' });
+			if (!recording.recording_mbid) {
+				return null;
+			}
+
+			/*
+			 * The lookup is fuzzy, so accept exact matches only to not
+			 * link the song to a different recording.
+			 */
+			const isSameArtist = isSameName(
+				recording.artist_credit_name, params.artist_name);
+			const isSameTrack = isSameName(
+				recording.recording_name, params.recording_name);
+			if (!isSameArtist || !isSameTrack) {
+				return null;
+			}
+
+			return recording;
+		}
+
+		/**
+		 * Get love status of given recording.
+		 * @param  {String} userName User name
+		 * @param  {String} recordingMbId Recording MBID
+		 * @return {Boolean} Love status or null if user left no feedback
+		 */
+		async getFeedback(userName, recordingMbId) {
+			const queryStr = createQueryString({ recording_mbids: recordingMbId });
+			const url = this.makeApiUrl(
+				`feedback/user/${encodeURIComponent(userName)}/get-feedback-for-recordings?${queryStr}`
+			);
+
+			let result = null;
+			try {
+				result = await this.sendApiRequest(url, { method: 'GET' });
+			} catch (err) {
+				return null;
+			}
+
+			const [feedback] = result.feedback || [];
+			if (!feedback || feedback.score === 0) {
+				return null;
+			}
+
+			return feedback.score === 1;
+		}
+
+		/**
+		 * Get name of user who owns given token. Used if the user is signed
+		 * in with a token and the name is unknown.
+		 * @param  {String} sessionID User token
+		 * @return {String} User name or null
+		 */
+		async requestUserName(sessionID) {
+			const url = this.makeApiUrl('validate-token');
+
+			try {
+				const result = await this.sendApiRequest(url, {
+					method: 'GET',
+					headers: this.makeRequestHeaders(sessionID),
+				});
+				return result.valid ? result.user_name : null;
+			} catch (err) {
+				return null;
+			}
+		}
+
+		/**
+		 * Create URL of API endpoint. The API root is derived from URL used
+		 * to submit listens, so custom servers are supported as well.
+		 * @param  {String} endpoint API endpoint with optional query string
+		 * @return {String} URL of API endpoint
+		 */
+		makeApiUrl(endpoint) {
+			const submitUrl = this.userApiUrl || this.apiUrl;
+			const apiRoot = submitUrl.replace(/submit-listens\/?$/, '');
+
+			return `${apiRoot.replace(/\/?$/, '/')}${endpoint}`;
+		}
+
+		makeRequestHeaders(sessionID) {
+			return {
+				'Authorization': `Token ${sessionID}`,
+				'Content-Type': 'application/json; charset=UTF-8'
+			};
+		}
+
 		async sendRequest(params, sessionID) {
 			const requestInfo = {
 				method: 'POST',
-				headers: {
-					'Authorization': `Token ${sessionID}`,
-					'Content-Type': 'application/json; charset=UTF-8'
-				},
+				headers: this.makeRequestHeaders(sessionID),
 				body: JSON.stringify(params)
 			};
-			const promise = fetch(this.userApiUrl || this.apiUrl, requestInfo);
+			const url = this.userApiUrl || this.apiUrl;
+
+			const result = await this.sendApiRequest(url, requestInfo);
+			return this.processResult(result);
+		}
+
+		async sendApiRequest(url, requestInfo) {
+			const promise = fetch(url, requestInfo);
 			const timeout = BaseScrobbler.REQUEST_TIMEOUT;
 
 			let result = null;
@@ -149,7 +385,6 @@ define((require) => {
 
 			try {
 				response = await Util.timeoutPromise(timeout, promise);
-				result = await response.json();
 			} catch (e) {
 				this.debugLog('Error while sending request', 'error');
 				throw ServiceCallResult.ERROR_OTHER;
@@ -158,15 +393,30 @@ define((require) => {
 			switch (response.status) {
 				case 400:
 					this.debugLog('Invalid JSON sent', 'error');
-					throw ServiceCallResult.ERROR_AUTH;
+					throw ServiceCallResult.ERROR_INVALID_DATA;
 				case 401:
 					this.debugLog('Invalid Authorization sent', 'error');
 					throw ServiceCallResult.ERROR_AUTH;
+				case 429:
+					this.debugLog('Rate limit is exceeded', 'error');
+					throw ServiceCallResult.ERROR_RATE_LIMIT;
+			}
+
+			if (response.status >= 500) {
+				this.debugLog(`Service is unavailable: ${response.status}`, 'error');
+				throw ServiceCallResult.ERROR_TEMPORARY;
+			}
+
+			try {
+				result = await response.json();
+			} catch (e) {
+				this.debugLog('Error while parsing response', 'error');
+				throw ServiceCallResult.ERROR_OTHER;
 			}
 
 			this.debugLog(JSON.stringify(result, null, 2));
 
-			return this.processResult(result);
+			return result;
 		}
 
 		async requestSession() {
@@ -243,22 +493,66 @@ define((require) => {
 		}
 
 		makeTrackMetadata(song) {
+			const { version } = browser.runtime.getManifest();
+			const additionalInfo = {
+				media_player: mediaPlayer,
+				submission_client: submissionClient,
+				submission_client_version: version,
+			};
 			const trackMeta = {
 				artist_name: song.getArtist(),
 				track_name: song.getTrack(),
-				additional_info: {},
+				additional_info: additionalInfo,
 			};
 
 			if (song.getAlbum()) {
 				trackMeta.release_name = song.getAlbum();
 			}
 
-			if (song.getOriginUrl()) {
-				trackMeta.additional_info.origin_url = song.getOriginUrl();
+			const originUrl = song.getOriginUrl();
+			if (originUrl) {
+				additionalInfo.origin_url = originUrl;
+
+				try {
+					additionalInfo.music_service = new URL(originUrl).hostname;
+				} catch (err) {
+					// Do nothing
+				}
+			}
+
+			if (song.connectorLabel) {
+				additionalInfo.music_service_name = song.connectorLabel;
 			}
 
 			if (song.getAlbumArtist()) {
-				trackMeta.additional_info.release_artist_name = song.getAlbumArtist();
+				additionalInfo.release_artist_name = song.getAlbumArtist();
+			}
+
+			if (song.getDuration()) {
+				additionalInfo.duration_ms = Math.round(song.getDuration() * 1000);
+			}
+
+			const {
+				trackMbId, artistMbId, albumMbId, releaseGroupMbId, trackNumber
+			} = song.metadata;
+			if (trackMbId) {
+				additionalInfo.recording_mbid = trackMbId;
+			}
+
+			if (artistMbId) {
+				additionalInfo.artist_mbids = [artistMbId];
+			}
+
+			if (albumMbId) {
+				additionalInfo.release_mbid = albumMbId;
+			}
+
+			if (releaseGroupMbId) {
+				additionalInfo.release_group_mbid = releaseGroupMbId;
+			}
+
+			if (trackNumber) {
+				additionalInfo.tracknumber = trackNumber;
 			}
 
 			return trackMeta;
@@ -0,0 +1,192 @@
+'use strict';
+
+/**
+ * Module for all communication with Maloja server.
+ */
+define((require) => {
+	const Util = require('util/util');
+	const { createQueryString } = require('util/util-browser');
+	const BaseScrobbler = require('scrobbler/base');
+	const ServiceCallResult = require('object/service-call-result');
+
+	const apiPath = '/apis/mlj_1';
+
+	class Maloja extends BaseScrobbler {
+		/** @override */
+		getUsedDefinedProperties() {
+			return ['userApiUrl', 'userToken'];
+		}
+
+		/** @override */
+		async applyUserProperties(props) {
+			if (props.userToken) {
+				await this.validateApiKey(props.userApiUrl, props.userToken);
+			}
+
+			await super.applyUserProperties(props);
+		}
+
+		/** @override */
+		async getAuthUrl() {
+			throw new Error('Maloja does not support authentication via browser');
+		}
+
+		/** @override */
+		async getProfileUrl() {
+			return this.userApiUrl || null;
+		}
+
+		/** @override */
+		async signOut() {
+			if (this.userApiUrl || this.userToken) {
+				await this.applyUserProperties({
+					userApiUrl: null,
+					userToken: null,
+				});
+			}
+			await super.signOut();
+		}
+
+		/** @override */
+		async getSession() {
+			if (this.userApiUrl && this.userToken) {
+				return { sessionID: this.userToken };
+			}
+
+			throw ServiceCallResult.ERROR_AUTH;
+		}
+
+		/** @override */
+		async isReadyForGrantAccess() {
+			return false;
+		}
+
+		/** @override */
+		async sendNowPlaying() {
+			// Maloja has no API to set 'now playing' status
+			return ServiceCallResult.RESULT_OK;
+		}
+
+		/** @override */
+		async scrobble(song) {
+			const { sessionID } = await this.getSession();
+
+			const params = {
+				key: sessionID,
+				artist: song.getArtist(),
+				title: song.getTrack(),
+				time: song.metadata.startTimestamp,
+			};
+
+			if (song.getAlbum()) {
+				params.album = song.getAlbum();
+			}
+
+			if (song.getAlbumArtist()) {
+				params.albumartists = [song.getAlbumArtist()];
+			}
+
+			if (song.getDuration()) {
+				params.length = song.getDuration();
+			}
+
+			return this.sendRequest(this.userApiUrl, 'newscrobble', params);
+		}
+
+		/** @override */
+		canSignIn() {
+			return false;
+		}
+
+		/** Private methods. */
+
+		/**
+		 * Check if API key is accepted by Maloja server.
+		 * @param  {String} serverUrl Maloja server URL
+		 * @param  {String} apiKey API key
+		 * @throws {String} ServiceCallResult constant if the key is invalid
+		 */
+		async validateApiKey(serverUrl, apiKey) {
+			if (!serverUrl) {
+				throw ServiceCallResult.ERROR_AUTH;
+			}
+
+			const result = await this.sendRequest(
+				serverUrl, 'test', { key: apiKey }, 'GET');
+			if (result !== ServiceCallResult.RESULT_OK) {
+				throw ServiceCallResult.ERROR_AUTH;
+			}
+		}
+
+		/**
+		 * Send request to Maloja server.
+		 * @param  {String} serverUrl Maloja server URL
+		 * @param  {String} method API method
+		 * @param  {Object} params Request params
+		 * @param  {String} [httpMethod='POST'] HTTP method; params of GET request are sent in query string
+		 * @return {String} ServiceCallResult constant
+		 */
+		async sendRequest(serverUrl, method, params, httpMethod = 'POST') {
+			let url = `${serverUrl.replace(/\/+$/, '')}${apiPath}/${method}`;
+			const requestInfo = { method: httpMethod };
+
+			if (httpMethod === 'GET') {
+				url = `${url}?${createQueryString(params)}`;
+			} else {
+				requestInfo.headers = {
+					'Content-Type': 'application/json; charset=UTF-8'
+				};
+				requestInfo.body = JSON.stringify(params);
+			}
+
+			const promise = fetch(url, requestInfo);
+			const timeout = BaseScrobbler.REQUEST_TIMEOUT;
+
+			let result = null;
+			let response = null;
+
+			try {
+				response = await Util.timeoutPromise(timeout, promise);
+			} catch (e) {
+				this.debugLog('Error while sending request', 'error');
+				throw ServiceCallResult.ERROR_OTHER;
+			}
+
+			// Auth errors may have non-JSON body
+			switch (response.status) {
+				case 401:
+				case 403:
+					this.debugLog('Invalid API key sent', 'error');
+					throw ServiceCallResult.ERROR_AUTH;
+			}
+
+			try {
+				result = await response.json();
+			} catch (e) {
+				this.debugLog('Unable to parse response', 'error');
+				throw ServiceCallResult.ERROR_OTHER;
+			}
+
+			this.debugLog(JSON.stringify(result, null, 2));
+
+			return this.processResult(response, result);
+		}
+
+		processResult(response, result) {
+			if (!response.ok || !['ok', 'success'].includes(result.status)) {
+				return ServiceCallResult.ERROR_OTHER;
+			}
+
+			return ServiceCallResult.RESULT_OK;
+		}
+	}
+
+	return new Maloja({
+		label: 'Maloja',
+		storage: 'Maloja',
+		apiUrl: null,
+		authUrl: null,
+		statusUrl: null,
+		profileUrl: null,
+	});
+});
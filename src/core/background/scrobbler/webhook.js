@@ -0,0 +1,393 @@
+'use strict';
+
+/**
+ * Module for sending listens to webhooks defined by user.
+ */
+define((require) => {
+	const Util = require('util/util');
+	const BaseScrobbler = require('scrobbler/base');
+	const ServiceCallResult = require('object/service-call-result');
+
+	/**
+	 * Song fields included in a payload by default.
+	 *
+	 * @type {Array}
+	 */
+	const PAYLOAD_FIELDS = [
+		'artist', 'track', 'album', 'albumArtist', 'duration',
+		'connector', 'originUrl', 'startTimestamp',
+	];
+
+	/**
+	 * Header that contains HMAC signature of a payload.
+	 *
+	 * @type {String}
+	 */
+	const SIGNATURE_HEADER = 'X-Web-Scrobbler-Signature';
+
+	/**
+	 * Max number of scrobbles stored with webhooks failed to receive them.
+	 * The oldest scrobbles are removed if the limit is exceeded.
+	 *
+	 * @type {Number}
+	 */
+	const MAX_PENDING_SCROBBLES = 500;
+
+	class Webhook extends BaseScrobbler {
+		/** @override */
+		getUsedDefinedProperties() {
+			return [
+				'webhookUrls', 'webhookHeaders', 'webhookFields', 'webhookSecret'
+			];
+		}
+
+		/** @override */
+		async applyUserProperties(props) {
+			// Throw an error if any property is malformed
+			Webhook.parseUrls(props.webhookUrls);
+			Webhook.parseHeaders(props.webhookHeaders);
+			Webhook.parseFields(props.webhookFields);
+
+			await super.applyUserProperties(props);
+		}
+
+		/** @override */
+		async getAuthUrl() {
+			throw new Error('Webhook does not support authentication via browser');
+		}
+
+		/** @override */
+		async getProfileUrl() {
+			return null;
+		}
+
+		/** @override */
+		async signOut() {
+			await this.applyUserProperties({
+				webhookUrls: null,
+				webhookHeaders: null,
+				webhookFields: null,
+				webhookSecret: null,
+			});
+			await super.signOut();
+		}
+
+		/** @override */
+		async getSession() {
+			const urls = Webhook.parseUrls(this.webhookUrls);
+			if (urls.length > 0) {
+				return { sessionID: urls.join(' ') };
+			}
+
+			throw ServiceCallResult.ERROR_AUTH;
+		}
+
+		/** @override */
+		async isReadyForGrantAccess() {
+			return false;
+		}
+
+		/** @override */
+		async sendNowPlaying(song) {
+			return this.sendEvent('nowplaying', song);
+		}
+
+		/**
+		 * Send scrobble to each webhook. If some webhooks fail to receive
+		 * the scrobble, the scrobble is resubmitted only to these webhooks.
+		 * @override
+		 */
+		async scrobble(song) {
+			const scrobbleKey = makeScrobbleKey(song);
+			const { pendingScrobbles = {} } = await this.storage.get();
+
+			let urls = Webhook.parseUrls(this.webhookUrls);
+			if (scrobbleKey in pendingScrobbles) {
+				urls = urls.filter((url) => {
+					return pendingScrobbles[scrobbleKey].includes(url);
+				});
+			}
+
+			const failedUrls = await this.sendEventToUrls('scrobble', song, urls);
+			await this.savePendingScrobble(scrobbleKey, failedUrls);
+
+			return getResult(failedUrls);
+		}
+
+		/** @override */
+		async toggleLove(song, isLoved) {
+			return this.sendEvent(isLoved ? 'love' : 'unlove', song);
+		}
+
+		/** @override */
+		canLoveSong() {
+			return true;
+		}
+
+		/** @override */
+		canSignIn() {
+			return false;
+		}
+
+		/**
+		 * Create a payload sent to webhooks.
+		 * @param  {String} event Event type
+		 * @param  {Object} song Song instance
+		 * @param  {Array} fields Song fields included in the payload
+		 * @return {Object} Payload
+		 */
+		static makePayload(event, song, fields = PAYLOAD_FIELDS) {
+			const songData = {
+				artist: song.getArtist(),
+				track: song.getTrack(),
+				album: song.getAlbum() || null,
+				albumArtist: song.getAlbumArtist() || null,
+				duration: song.getDuration() || null,
+				connector: song.connectorLabel,
+				originUrl: song.getOriginUrl() || null,
+				startTimestamp: song.metadata.startTimestamp,
+			};
+
+			const payloadSong = {};
+			for (const field of fields) {
+				payloadSong[field] = songData[field];
+			}
+
+			return {
+				event,
+				timestamp: Math.floor(Date.now() / 1000),
+				song: payloadSong,
+			};
+		}
+
+		/**
+		 * Parse whitespace-separated list of webhook URLs.
+		 * @param  {String} str String contains URLs
+		 * @return {Array} Array of URLs
+		 * @throws {Error} if any URL is invalid
+		 */
+		static parseUrls(str) {
+			const urls = splitString(str, /\s+/);
+			for (const url of urls) {
+				const { protocol } = new URL(url);
+				if (!['http:', 'https:'].includes(protocol)) {
+					throw new Error(`Invalid webhook URL: ${url}`);
+				}
+			}
+
+			return urls;
+		}
+
+		/**
+		 * Parse custom headers. Each header is placed on a separate line
+		 * in `Name: value` format.
+		 * @param  {String} str String contains headers
+		 * @return {Object} Object contains header values by header names
+		 * @throws {Error} if any header is malformed
+		 */
+		static parseHeaders(str) {
+			const headers = {};
+			for (const line of splitString(str, /\n/)) {
+				const separatorIndex = line.indexOf(':');
+				const name = line.slice(0, separatorIndex).trim();
+				if (separatorIndex === -1 || !name) {
+					throw new Error(`Invalid webhook header: ${line}`);
+				}
+
+				headers[name] = line.slice(separatorIndex + 1).trim();
+			}
+
+			return headers;
+		}
+
+		/**
+		 * Parse comma-separated list of song fields included in a payload.
+		 * All fields are used if the list is empty.
+		 * @param  {String} str String contains song fields
+		 * @return {Array} Array of song fields
+		 * @throws {Error} if any field is unknown
+		 */
+		static parseFields(str) {
+			const fields = splitString(str, /\s*,\s*/);
+			if (fields.length === 0) {
+				return PAYLOAD_FIELDS;
+			}
+
+			for (const field of fields) {
+				if (!PAYLOAD_FIELDS.includes(field)) {
+					throw new Error(`Unknown webhook field: ${field}`);
+				}
+			}
+
+			return fields;
+		}
+
+		/** Private methods. */
+
+		/**
+		 * Send event to each webhook.
+		 * @param  {String} event Event type
+		 * @param  {Object} song Song instance
+		 * @return {String} ServiceCallResult constant; the result is
+		 *                  successful only if all webhooks receive the event
+		 */
+		async sendEvent(event, song) {
+			const urls = Webhook.parseUrls(this.webhookUrls);
+			const failedUrls = await this.sendEventToUrls(event, song, urls);
+
+			return getResult(failedUrls);
+		}
+
+		/**
+		 * Send event to given webhooks.
+		 * @param  {String} event Event type
+		 * @param  {Object} song Song instance
+		 * @param  {Array} urls Array of webhook URLs
+		 * @return {Array} Array of URLs of webhooks failed to receive the event
+		 */
+		async sendEventToUrls(event, song, urls) {
+			await this.getSession();
+
+			const fields = Webhook.parseFields(this.webhookFields);
+			const payload = Webhook.makePayload(event, song, fields);
+
+			const body = JSON.stringify(payload);
+			const headers = Object.assign({
+				'Content-Type': 'application/json; charset=UTF-8'
+			}, Webhook.parseHeaders(this.webhookHeaders));
+
+			if (this.webhookSecret) {
+				const signature = await signString(this.webhookSecret, body);
+				headers[SIGNATURE_HEADER] = `sha256=${signature}`;
+			}
+
+			const results = await Promise.all(urls.map((url) => {
+				return this.sendRequest(url, { method: 'POST', headers, body });
+			}));
+
+			return urls.filter((_, index) => {
+				return results[index] !== ServiceCallResult.RESULT_OK;
+			});
+		}
+
+		/**
+		 * Save webhooks failed to receive a scrobble, or forget the scrobble
+		 * if all webhooks received it.
+		 * @param  {String} scrobbleKey Scrobble key
+		 * @param  {Array} failedUrls Array of webhook URLs
+		 */
+		async savePendingScrobble(scrobbleKey, failedUrls) {
+			const data = await this.storage.get();
+			const pendingScrobbles = data.pendingScrobbles || {};
+
+			if (!(scrobbleKey in pendingScrobbles) && failedUrls.length === 0) {
+				return;
+			}
+
+			// Re-add the scrobble to make it the newest one
+			delete pendingScrobbles[scrobbleKey];
+			if (failedUrls.length > 0) {
+				pendingScrobbles[scrobbleKey] = failedUrls;
+			}
+
+			const keys = Object.keys(pendingScrobbles);
+			for (const key of keys.slice(0, keys.length - MAX_PENDING_SCROBBLES)) {
+				delete pendingScrobbles[key];
+			}
+
+			data.pendingScrobbles = pendingScrobbles;
+			await this.storage.set(data);
+		}
+
+		async sendRequest(url, requestInfo) {
+			const promise = fetch(url, requestInfo);
+			const timeout = BaseScrobbler.REQUEST_TIMEOUT;
+
+			let response = null;
+
+			try {
+				response = await Util.timeoutPromise(timeout, promise);
+			} catch (e) {
+				this.debugLog(`Error while sending request to ${url}`, 'error');
+				return ServiceCallResult.ERROR_OTHER;
+			}
+
+			if (!response.ok) {
+				this.debugLog(`${url} responded with ${response.status}`, 'warn');
+				return ServiceCallResult.ERROR_OTHER;
+			}
+
+			return ServiceCallResult.RESULT_OK;
+		}
+	}
+
+	/**
+	 * Get result of sending an event to webhooks.
+	 * @param  {Array} failedUrls Array of URLs of webhooks failed to receive the event
+	 * @return {String} ServiceCallResult constant
+	 */
+	function getResult(failedUrls) {
+		if (failedUrls.length > 0) {
+			return ServiceCallResult.ERROR_OTHER;
+		}
+
+		return ServiceCallResult.RESULT_OK;
+	}
+
+	/**
+	 * Create a key of a scrobble. Resubmitted scrobbles have the same key
+	 * even if the song info is corrected by user.
+	 * @param  {Object} song Song instance
+	 * @return {String} Scrobble key
+	 */
+	function makeScrobbleKey(song) {
+		return [
+			song.connectorLabel, song.metadata.startTimestamp,
+			song.parsed.artist, song.parsed.track,
+		].join('\n');
+	}
+
+	/**
+	 * Split string and drop empty parts.
+	 * @param  {String} str String to split
+	 * @param  {Object} separator Separator regular expression
+	 * @return {Array} Array of non-empty parts
+	 */
+	function splitString(str, separator) {
+		if (!str) {
+			return [];
+		}
+
+		return str.trim().split(separator).filter((part) => part.length > 0);
+	}
+
+	/**
+	 * Compute HMAC-SHA256 signature of given string.
+	 * @param  {String} secret Secret key
+	 * @param  {String} str String to sign
+	 * @return {String} Hex-encoded signature
+	 */
+	async function signString(secret, str) {
+		const encoder = new TextEncoder();
+		const key = await crypto.subtle.importKey(
+			'raw', encoder.encode(secret),
+			{ name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+		);
+		const signature = await crypto.subtle.sign(
+			'HMAC', key, encoder.encode(str)
+		);
+
+		return Array.from(new Uint8Array(signature)).map((byte) => {
+			return byte.toString(16).padStart(2, '0');
+		}).join('');
+	}
+
+	return new Webhook({
+		label: 'Webhook',
+		storage: 'Webhook',
+		apiUrl: null,
+		authUrl: null,
+		statusUrl: null,
+		profileUrl: null,
+	});
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * The module manages songs which should never be scrobbled. Each blocklist
+ * item contains artist, track and album fields; empty fields match any value.
+ */
+define((require) => {
+	const BrowserStorage = require('storage/browser-storage');
+
+	/**
+	 * Fields used to match songs.
+	 * @type {Array}
+	 */
+	const BLOCKLIST_FIELDS = ['artist', 'track', 'album'];
+
+	const storage = BrowserStorage.getStorage(BrowserStorage.BLOCKLIST);
+
+	/**
+	 * Get blocklist items.
+	 * @return {Array} Array of blocklist items
+	 */
+	async function getItems() {
+		const data = await storage.get();
+		return data.items || [];
+	}
+
+	/**
+	 * Add an item to the blocklist. Does nothing if the same item
+	 * is already in the blocklist.
+	 * @param  {Object} item Object contains artist, track and album fields
+	 * @throws {Error} if the item has no fields to match
+	 */
+	async function addItem(item) {
+		const newItem = {};
+		for (const field of BLOCKLIST_FIELDS) {
+			newItem[field] = item[field] || null;
+		}
+
+		if (BLOCKLIST_FIELDS.every((field) => !newItem[field])) {
+			throw new Error('Blocklist item must have at least one field');
+		}
+
+		const items = await getItems();
+		if (items.some((i) => isSameItem(i, newItem))) {
+			return;
+		}
+
+		items.push(newItem);
+		await storage.set({ items });
+	}
+
+	/**
+	 * Remove an item from the blocklist.
+	 * @param  {Object} item Blocklist item
+	 */
+	async function removeItem(item) {
+		const items = await getItems();
+		await storage.set({
+			items: items.filter((i) => !isSameItem(i, item))
+		});
+	}
+
+	/**
+	 * Check if given song info matches any item of the blocklist.
+	 * @param  {Object} songInfo Object contains song info fields
+	 * @return {Boolean} Check result
+	 */
+	async function isBlocked(songInfo) {
+		const items = await getItems();
+		return items.some((item) => isItemMatched(item, songInfo));
+	}
+
+	/**
+	 * Check if given song info matches a blocklist item.
+	 * @param  {Object} item Blocklist item
+	 * @param  {Object} songInfo Object contains song info fields
+	 * @return {Boolean} Check result
+	 */
+	function isItemMatched(item, songInfo) {
+		return BLOCKLIST_FIELDS.every((field) => {
+			return !item[field] || isSameValue(item[field], songInfo[field]);
+		});
+	}
+
+	/**
+	 * Check if given blocklist items are the same.
+	 * @param  {Object} item1 Blocklist item
+	 * @param  {Object} item2 Blocklist item
+	 * @return {Boolean} Check result
+	 */
+	function isSameItem(item1, item2) {
+		return BLOCKLIST_FIELDS.every((field) => {
+			return isSameValue(item1[field] || '', item2[field] || '');
+		});
+	}
+
+	function isSameValue(value1, value2) {
+		if (!value1 || !value2) {
+			return value1 === value2;
+		}
+
+		return value1.trim().toLowerCase() === value2.trim().toLowerCase();
+	}
+
+	return {
+		addItem, getItems, isBlocked, removeItem,
+
+		BLOCKLIST_FIELDS,
+	};
+});
@@ -24,6 +24,78 @@ define((require) => {
 	 */
 	const CUSTOM_PATTERNS = 'customPatterns';
 
+	/**
+	 * This storage contains scrobblers used to scrobble songs from
+	 * specific connectors. If a connector has no entry in the storage,
+	 * all scrobblers are used.
+	 *
+	 * The format of storage data is following:
+	 * {
+	 *     connector_id: [scrobbler_id_1, scrobbler_id_2, ...],
+	 *     ...
+	 * }
+	 */
+	const ROUTING_RULES = 'RoutingRules';
+
+	/**
+	 * This storage contains option values overridden for specific
+	 * connectors. If a connector has no value of an option in the storage,
+	 * the global option value is used.
+	 *
+	 * The format of storage data is following:
+	 * {
+	 *     connector_id: {
+	 *         option_key: option_value,
+	 *         ...
+	 *     },
+	 *     ...
+	 * }
+	 */
+	const CONNECTOR_OVERRIDES = 'ConnectorOverrides';
+
+	/**
+	 * This storage contains ordered auto-edit rules defined by an user.
+	 * @see `util/util-edit-rules` module for the rule format.
+	 *
+	 * The format of storage data is following:
+	 * {
+	 *     rules: [rule_1, rule_2, ...],
+	 * }
+	 */
+	const EDIT_RULES = 'EditRules';
+
+	/**
+	 * This storage contains songs which should never be scrobbled.
+	 * Empty fields of an item match any value.
+	 *
+	 * The format of storage data is following:
+	 * {
+	 *     items: [{
+	 *         artist: 'Artist name', // Optional property
+	 *         track: 'Track name',   // Optional property
+	 *         album: 'Album name',   // Optional property
+	 *     }, ...],
+	 * }
+	 */
+	const BLOCKLIST = 'Blocklist';
+
+	/**
+	 * This storage contains metadata filter sets enabled or disabled
+	 * for specific connectors. If a connector has no value of a filter
+	 * set in the storage, filters defined by the connector are used.
+	 * @see `storage/metadata-filters` module for available filter sets.
+	 *
+	 * The format of storage data is following:
+	 * {
+	 *     connector_id: {
+	 *         filter_set: true, // or false to disable the filter set
+	 *         ...
+	 *     },
+	 *     ...
+	 * }
+	 */
+	const METADATA_FILTERS = 'MetadataFilters';
+
 	/**
 	 * This storage contains data used to manage notifications.
 	 *
@@ -72,14 +144,89 @@ define((require) => {
 	 */
 	const CORE = 'Core';
 
+	/**
+	 * This storage contains songs which were failed to scrobble and are
+	 * waiting to be resubmitted.
+	 * The format of storage data is following:
+	 * {
+	 *     scrobbler_id: [song_data_1, song_data_2, ...],
+	 *     ...
+	 * }
+	 *
+	 * Each song data object is a result of `Song.getCloneableData` call.
+	 */
+	const SCROBBLE_QUEUE = 'ScrobbleQueue';
+
+	/**
+	 * This storage contains Audioscrobbler-compatible services defined
+	 * by an user.
+	 * The format of storage data is following:
+	 * {
+	 *     scrobbler_id: {
+	 *         label: 'Service name',
+	 *         apiUrl: 'API URL',
+	 *         authUrl: 'Auth URL',
+	 *         apiKey: 'API key',
+	 *         apiSecret: 'API secret',
+	 *         profileUrl: 'Profile URL', // Optional property
+	 *     },
+	 *     ...
+	 * }
+	 */
+	const CUSTOM_SCROBBLERS = 'CustomScrobblers';
+
+	/**
+	 * This storage contains additional accounts on built-in scrobbling
+	 * services. Each account has its own scrobbler storage.
+	 * The format of storage data is following:
+	 * {
+	 *     account_id: {
+	 *         serviceLabel: 'Label of service scrobbler, e.g. Last.fm',
+	 *         label: 'Account name',
+	 *     },
+	 *     ...
+	 * }
+	 */
+	const SCROBBLER_ACCOUNTS = 'ScrobblerAccounts';
+
+	/**
+	 * This storage contains results of MusicBrainz lookups. Songs which
+	 * are not found on MusicBrainz have null values.
+	 * @see `storage/musicbrainz-cache` module.
+	 *
+	 * The format of storage data is following:
+	 * {
+	 *     lookup_key: {
+	 *         trackMbId: 'Recording MBID',
+	 *         artistMbId: 'Artist MBID',
+	 *         albumMbId: 'Release MBID',             // Optional property
+	 *         releaseGroupMbId: 'Release group MBID', // Optional property
+	 *         album: 'Release title',                 // Optional property
+	 *         albumArtist: 'Release artist',          // Optional property
+	 *         trackNumber: 'Track number',            // Optional property
+	 *     },
+	 *     ...
+	 * }
+	 */
+	const MUSICBRAINZ_CACHE = 'MusicBrainzCache';
+
 	const storageTypeMap = {
 		[CONNECTORS_OPTIONS]: SYNC,
 		[CUSTOM_PATTERNS]: SYNC,
+		[ROUTING_RULES]: SYNC,
+		[CONNECTOR_OVERRIDES]: SYNC,
+		[EDIT_RULES]: SYNC,
+		[BLOCKLIST]: SYNC,
+		[METADATA_FILTERS]: SYNC,
 		[NOTIFICATIONS]: SYNC,
 		[OPTIONS]: SYNC,
 
 		[LOCAL_CACHE]: LOCAL,
 		[CORE]: LOCAL,
+		[SCROBBLE_QUEUE]: LOCAL,
+		[CUSTOM_SCROBBLERS]: LOCAL,
+		[SCROBBLER_ACCOUNTS]: LOCAL,
+		[MUSICBRAINZ_CACHE]: LOCAL,
 	};
 
 	/**
@@ -138,7 +285,9 @@ define((require) => {
 
 		getLocalStorage, getSyncStorage,
 
-		CONNECTORS_OPTIONS, CUSTOM_PATTERNS,
-		NOTIFICATIONS, LOCAL_CACHE, OPTIONS, CORE
+		CONNECTORS_OPTIONS, CUSTOM_PATTERNS, ROUTING_RULES, CONNECTOR_OVERRIDES,
+		NOTIFICATIONS, LOCAL_CACHE, OPTIONS, CORE, SCROBBLE_QUEUE,
+		CUSTOM_SCROBBLERS, SCROBBLER_ACCOUNTS, EDIT_RULES, BLOCKLIST,
+		METADATA_FILTERS, MUSICBRAINZ_CACHE,
 	};
 });
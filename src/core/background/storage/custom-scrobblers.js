@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * The module manages Audioscrobbler-compatible services defined by an user.
+ */
+define((require) => {
+	const Util = require('util/util');
+	const BrowserStorage = require('storage/browser-storage');
+
+	const storage = BrowserStorage.getStorage(BrowserStorage.CUSTOM_SCROBBLERS);
+
+	return {
+		/**
+		 * Get all custom scrobblers.
+		 * @return {Object} Object contains scrobbler data by scrobbler ID
+		 */
+		getAllScrobblers() {
+			return storage.get();
+		},
+
+		/**
+		 * Add a new custom scrobbler and save it to storage.
+		 * @param  {Object} scrobblerData Scrobbler data
+		 * @return {String} ID of added scrobbler
+		 */
+		async addScrobbler(scrobblerData) {
+			const data = await storage.get();
+			const id = Util.generateId(data);
+
+			data[id] = scrobblerData;
+			await storage.set(data);
+
+			return id;
+		},
+
+		/**
+		 * Remove custom scrobbler from storage.
+		 * @param {String} id Scrobbler ID
+		 */
+		async removeScrobbler(id) {
+			const data = await storage.get();
+
+			delete data[id];
+			await storage.set(data);
+		}
+	};
+});
@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * The module manages auto-edit rules defined by an user.
+ */
+define((require) => {
+	const BrowserStorage = require('storage/browser-storage');
+
+	const { isRuleValid } = require('util/util-edit-rules');
+
+	const storage = BrowserStorage.getStorage(BrowserStorage.EDIT_RULES);
+
+	/**
+	 * Get auto-edit rules.
+	 * @return {Array} Array of rules
+	 */
+	async function getRules() {
+		const data = await storage.get();
+		return data.rules || [];
+	}
+
+	/**
+	 * Replace auto-edit rules and save them to storage.
+	 * @param  {Array} rules Array of rules
+	 */
+	async function setRules(rules) {
+		for (const rule of rules) {
+			if (!isRuleValid(rule)) {
+				throw new Error(`Invalid rule: ${JSON.stringify(rule)}`);
+			}
+		}
+
+		await storage.set({ rules });
+	}
+
+	return { getRules, setRules };
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * The module manages metadata filter sets enabled or disabled by an user
+ * for specific connectors. Filter sets are applied in content scripts,
+ * so this module contains names of filter sets only.
+ */
+define((require) => {
+	const BrowserStorage = require('storage/browser-storage');
+
+	/**
+	 * Names of available filter sets. Filter functions of each set
+	 * are defined in `BaseConnector` and must be kept in sync.
+	 * @type {Array}
+	 */
+	const FILTER_SETS = [
+		'youtube', 'remastered', 'version', 'live', 'cleanExplicit',
+		'feature', 'trackSuffix', 'htmlEntities', 'zeroWidth', 'trim',
+	];
+
+	const storage = BrowserStorage.getStorage(BrowserStorage.METADATA_FILTERS);
+
+	/**
+	 * Get filter sets enabled or disabled for given connector.
+	 * @param  {String} connectorId Connector ID
+	 * @return {Object} Object contains flags by filter set name
+	 */
+	async function getFilterSets(connectorId) {
+		const data = await storage.get();
+		return data[connectorId] || {};
+	}
+
+	/**
+	 * Replace filter sets enabled or disabled for given connector. Filter
+	 * sets which are missing in given object fall back to filters defined
+	 * by the connector.
+	 * @param  {String} connectorId Connector ID
+	 * @param  {Object} filterSets Object contains flags by filter set name
+	 * @throws {Error} if the object contains an unknown filter set
+	 */
+	async function setFilterSets(connectorId, filterSets) {
+		for (const name in filterSets) {
+			if (!FILTER_SETS.includes(name)) {
+				throw new Error(`Unknown filter set: ${name}`);
+			}
+
+			if (typeof filterSets[name] !== 'boolean') {
+				throw new Error(`Invalid value of ${name} filter set: ${filterSets[name]}`);
+			}
+		}
+
+		const data = await storage.get();
+		if (Object.keys(filterSets).length > 0) {
+			data[connectorId] = filterSets;
+		} else {
+			delete data[connectorId];
+		}
+
+		await storage.set(data);
+	}
+
+	return {
+		getFilterSets, setFilterSets,
+
+		FILTER_SETS,
+	};
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * The module manages results of MusicBrainz lookups. Results are stored
+ * in order they were added; the oldest results are removed if the cache
+ * is full.
+ */
+define((require) => {
+	const BrowserStorage = require('storage/browser-storage');
+
+	/**
+	 * Max number of lookup results stored in the cache.
+	 * @type {Number}
+	 */
+	const MAX_CACHE_SIZE = 1000;
+
+	const storage = BrowserStorage.getStorage(BrowserStorage.MUSICBRAINZ_CACHE);
+
+	/**
+	 * Get a cached lookup result of given song info.
+	 * @param  {Object} songInfo Object contains artist, track and album fields
+	 * @return {Object} Lookup result, null if the song is not found on
+	 *                  MusicBrainz, or undefined if there's no cached result
+	 */
+	async function getInfo(songInfo) {
+		const data = await storage.get();
+		return data[makeKey(songInfo)];
+	}
+
+	/**
+	 * Save a lookup result of given song info.
+	 * @param  {Object} songInfo Object contains artist, track and album fields
+	 * @param  {Object} info Lookup result or null if the song is not found
+	 */
+	async function setInfo(songInfo, info) {
+		const data = await storage.get();
+		const key = makeKey(songInfo);
+
+		// Re-add the result to make it the newest one
+		delete data[key];
+		data[key] = info;
+
+		const keys = Object.keys(data);
+		for (const oldKey of keys.slice(0, keys.length - MAX_CACHE_SIZE)) {
+			delete data[oldKey];
+		}
+
+		await storage.set(data);
+	}
+
+	/**
+	 * Create a cache key of given song info.
+	 * @param  {Object} songInfo Object contains artist, track and album fields
+	 * @return {String} Cache key
+	 */
+	function makeKey({ artist, track, album }) {
+		return [artist, track, album || ''].join('\n').toLowerCase();
+	}
+
+	return {
+		getInfo, setInfo,
+
+		MAX_CACHE_SIZE,
+	};
+});
@@ -1,19 +1,34 @@
 'use strict';
 
 define((require) => {
+	const Util = require('util/util');
 	const connectors = require('connectors');
 	const BrowserStorage = require('storage/browser-storage');
 
 	const options = BrowserStorage.getStorage(BrowserStorage.OPTIONS);
 	const connectorsOptions = BrowserStorage.getStorage(BrowserStorage.CONNECTORS_OPTIONS);
+	const connectorOverrides = BrowserStorage.getStorage(BrowserStorage.CONNECTOR_OVERRIDES);
 
 	const DISABLE_GA = 'disableGa';
 	const FORCE_RECOGNIZE = 'forceRecognize';
 	const USE_NOTIFICATIONS = 'useNotifications';
 	const SCROBBLE_PERCENT = 'scrobblePercent';
+	const MAX_SCROBBLE_TIME = 'maxScrobbleTime';
+	const MIN_TRACK_DURATION = 'minTrackDuration';
+	const DEFAULT_SCROBBLE_TIME = 'defaultScrobbleTime';
 	const DISABLED_CONNECTORS = 'disabledConnectors';
 	const USE_UNRECOGNIZED_SONG_NOTIFICATIONS = 'useUnrecognizedSongNotifications';
 	const SCROBBLE_PODCASTS = 'scrobblePodcasts';
+	const MULTI_TAB_POLICY = 'multiTabPolicy';
+	const NOW_PLAYING_REFRESH_INTERVAL = 'nowPlayingRefreshInterval';
+	const SKIP_INAUDIBLE_TABS = 'skipInaudibleTabs';
+
+	/**
+	 * Values of multi-tab policy option.
+	 */
+	const MULTI_TAB_POLICY_ALL = 'all';
+	const MULTI_TAB_POLICY_LATEST = 'latest';
+	const MULTI_TAB_POLICY_FOCUSED = 'focused';
 
 	/**
 	 * Object that stores default option values.
@@ -50,6 +65,32 @@ define((require) => {
 		 */
 		[SCROBBLE_PERCENT]: 50,
 
+		/**
+		 * Max number of seconds of playback before song is scrobbled.
+		 * @type {Number}
+		 */
+		[MAX_SCROBBLE_TIME]: Util.MAX_SCROBBLE_TIME,
+
+		/**
+		 * Min duration of scrobbleable song in seconds.
+		 * @type {Number}
+		 */
+		[MIN_TRACK_DURATION]: Util.MIN_TRACK_DURATION,
+
+		/**
+		 * Number of seconds of playback before song is scrobbled, if
+		 * song duration is unknown.
+		 * @type {Number}
+		 */
+		[DEFAULT_SCROBBLE_TIME]: Util.DEFAULT_SCROBBLE_TIME,
+
+		/**
+		 * Interval in minutes of re-sending now playing requests while
+		 * a song is playing. Zero value disables re-sending.
+		 * @type {Number}
+		 */
+		[NOW_PLAYING_REFRESH_INTERVAL]: 5,
+
 		/**
 		 * Object contains info of disabled connectors.
 		 * Each key is a connector ID. If the connector is disabled,
@@ -63,8 +104,51 @@ define((require) => {
 		 * @type {Boolean}
 		 */
 		[USE_UNRECOGNIZED_SONG_NOTIFICATIONS]: false,
+
+		/**
+		 * Policy of scrobbling if music is played in multiple tabs.
+		 * @type {String}
+		 */
+		[MULTI_TAB_POLICY]: MULTI_TAB_POLICY_ALL,
+
+		/**
+		 * Don't count playback time of muted or silent tabs.
+		 * @type {Boolean}
+		 */
+		[SKIP_INAUDIBLE_TABS]: false,
+	};
+
+	/**
+	 * Object that stores allowed ranges of numeric option values.
+	 * @type {Object}
+	 */
+	const OPTION_RANGES = {
+		[SCROBBLE_PERCENT]: { min: 10, max: 100 },
+		[MAX_SCROBBLE_TIME]: { min: 10, max: 3600 },
+		[MIN_TRACK_DURATION]: { min: 0, max: 600 },
+		[DEFAULT_SCROBBLE_TIME]: { min: 10, max: 3600 },
+		[NOW_PLAYING_REFRESH_INTERVAL]: { min: 0, max: 60 },
+	};
+
+	/**
+	 * Object that stores allowed values of string options.
+	 * @type {Object}
+	 */
+	const OPTION_VALUES = {
+		[MULTI_TAB_POLICY]: [
+			MULTI_TAB_POLICY_ALL, MULTI_TAB_POLICY_LATEST,
+			MULTI_TAB_POLICY_FOCUSED,
+		],
 	};
 
+	/**
+	 * Options which values can be overridden for specific connectors.
+	 * @type {Array}
+	 */
+	const OVERRIDABLE_OPTIONS = [
+		SCROBBLE_PERCENT, FORCE_RECOGNIZE, SCROBBLE_PODCASTS
+	];
+
 	/**
 	 * Object that stores default option values for specific connectors.
 	 * @type {Object}
@@ -129,15 +213,30 @@ define((require) => {
 		}
 	}
 
-	async function getOption(key) {
+	/**
+	 * Get option value. If connector ID is specified, and the option is
+	 * overridden for the connector, the overridden value is returned.
+	 * @param  {String} key Option key
+	 * @param  {String} connectorId Connector ID
+	 * @return {Object} Option value
+	 */
+	async function getOption(key, connectorId = null) {
 		assertValidOptionKey(key);
 
+		if (connectorId && OVERRIDABLE_OPTIONS.includes(key)) {
+			const overrides = await getConnectorOverrides(connectorId);
+			if (key in overrides) {
+				return overrides[key];
+			}
+		}
+
 		const data = await options.get();
 		return data[key];
 	}
 
 	async function setOption(key, value) {
 		assertValidOptionKey(key);
+		assertValidOptionValue(key, value);
 
 		await options.update({ [key]: value });
 	}
@@ -158,12 +257,73 @@ define((require) => {
 		await connectorsOptions.set(data);
 	}
 
+	/**
+	 * Get option values overridden for given connector.
+	 * @param  {String} connectorId Connector ID
+	 * @return {Object} Object contains option values by option key
+	 */
+	async function getConnectorOverrides(connectorId) {
+		const data = await connectorOverrides.get();
+		return data[connectorId] || {};
+	}
+
+	/**
+	 * Replace option values overridden for given connector. Options
+	 * which are missing in given object fall through to global values.
+	 * @param  {String} connectorId Connector ID
+	 * @param  {Object} overrides Object contains option values by option key
+	 */
+	async function setConnectorOverrides(connectorId, overrides) {
+		for (const key in overrides) {
+			const value = overrides[key];
+
+			assertOverridableOptionKey(key);
+			assertValidOptionValue(key, value);
+			if (typeof DEFAULT_OPTIONS[key] !== typeof value) {
+				throw new Error(`Invalid value of ${key} option: ${value}`);
+			}
+		}
+
+		const data = await connectorOverrides.get();
+		if (Object.keys(overrides).length > 0) {
+			data[connectorId] = overrides;
+		} else {
+			delete data[connectorId];
+		}
+
+		await connectorOverrides.set(data);
+	}
+
 	function assertValidOptionKey(key) {
 		if (!(key in DEFAULT_OPTIONS)) {
 			throw new Error(`Unknown option key: ${key}`);
 		}
 	}
 
+	function assertOverridableOptionKey(key) {
+		if (!OVERRIDABLE_OPTIONS.includes(key)) {
+			throw new Error(`Option cannot be overridden: ${key}`);
+		}
+	}
+
+	function assertValidOptionValue(key, value) {
+		if (key in OPTION_VALUES) {
+			if (!OPTION_VALUES[key].includes(value)) {
+				throw new Error(`Invalid value of ${key} option: ${value}`);
+			}
+			return;
+		}
+
+		if (!(key in OPTION_RANGES)) {
+			return;
+		}
+
+		const { min, max } = OPTION_RANGES[key];
+		if (!Number.isInteger(value) || value < min || value > max) {
+			throw new Error(`Invalid value of ${key} option: ${value}`);
+		}
+	}
+
 	function assertValidConnectorOptionKey(connector, key) {
 		if (!(connector in DEFAULT_CONNECTOR_OPTIONS)) {
 			throw new Error(`Unknown connector: ${connector}`);
@@ -225,8 +385,16 @@ define((require) => {
 
 		getOption, setOption, getConnectorOption, setConnectorOption,
 
+		getConnectorOverrides, setConnectorOverrides,
+
 		DISABLE_GA, FORCE_RECOGNIZE, USE_NOTIFICATIONS,
 		SCROBBLE_PODCASTS, USE_UNRECOGNIZED_SONG_NOTIFICATIONS,
-		DISABLED_CONNECTORS, SCROBBLE_PERCENT
+		DISABLED_CONNECTORS, SCROBBLE_PERCENT, MAX_SCROBBLE_TIME,
+		MIN_TRACK_DURATION, DEFAULT_SCROBBLE_TIME, MULTI_TAB_POLICY,
+		NOW_PLAYING_REFRESH_INTERVAL, SKIP_INAUDIBLE_TABS,
+
+		MULTI_TAB_POLICY_ALL, MULTI_TAB_POLICY_LATEST, MULTI_TAB_POLICY_FOCUSED,
+
+		OPTION_RANGES
 	};
 });
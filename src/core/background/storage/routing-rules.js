@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * The module manages rules which define scrobblers used to scrobble songs
+ * from specific connectors.
+ */
+define((require) => {
+	const BrowserStorage = require('storage/browser-storage');
+
+	const storage = BrowserStorage.getStorage(BrowserStorage.ROUTING_RULES);
+
+	return {
+		/**
+		 * Get routing rules for all connectors.
+		 * @return {Object} Routing rules
+		 */
+		getAllRules() {
+			return storage.get();
+		},
+
+		/**
+		 * Get IDs of scrobblers used for given connector.
+		 * @param  {String} connectorId Connector ID
+		 * @return {Array} Array of scrobbler IDs or null if the connector
+		 *                 has no routing rule
+		 */
+		async getScrobblerIds(connectorId) {
+			const data = await storage.get();
+			return data[connectorId] || null;
+		},
+
+		/**
+		 * Update routing rule and save it to storage.
+		 * @param {String} connectorId Connector ID
+		 * @param {Array} scrobblerIds Array of scrobbler IDs
+		 */
+		async setRule(connectorId, scrobblerIds) {
+			const data = await storage.get();
+
+			data[connectorId] = scrobblerIds;
+			await storage.set(data);
+		},
+
+		/**
+		 * Remove routing rule for given connector.
+		 * @param {String} connectorId Connector ID
+		 */
+		async resetRule(connectorId) {
+			const data = await storage.get();
+
+			delete data[connectorId];
+			await storage.set(data);
+		}
+	};
+});
@@ -0,0 +1,282 @@
+'use strict';
+
+/**
+ * The module manages local history of scrobbles. Unlike other storages,
+ * the history is stored in IndexedDB, since it can contain a lot of data.
+ *
+ * Each history entry is an object with the following keys:
+ *   @param  {Number} id Entry ID
+ *   @param  {Number} timestamp Time of scrobble attempt in UNIX timestamp format
+ *   @param  {Object} song Song data returned by `Song.getCloneableData`
+ *   @param  {Object} connector Object contains connector ID and label
+ *   @param  {Object} results Object contains scrobble results by scrobbler IDs
+ */
+define((require) => {
+	const UtilHistory = require('util/util-history');
+
+	const DB_NAME = 'ScrobbleHistory';
+	const DB_VERSION = 1;
+
+	const STORE_NAME = 'scrobbles';
+	const TIMESTAMP_INDEX = 'timestamp';
+
+	let dbPromise = null;
+
+	/**
+	 * Add an entry about scrobble attempt to the history.
+	 * @param  {Object} song Song instance
+	 * @param  {Object} connector Connector match object
+	 * @param  {Object} results Object contains scrobble results by scrobbler IDs
+	 * @return {Number} ID of added entry
+	 */
+	async function addEntry(song, connector, results) {
+		const entry = {
+			timestamp: Math.floor(Date.now() / 1000),
+			song: song.getCloneableData(),
+			connector: connector ? {
+				id: connector.id, label: connector.label
+			} : null,
+			results,
+		};
+
+		const store = await getObjectStore('readwrite');
+		return promisifyRequest(store.add(entry));
+	}
+
+	/**
+	 * Add given entries to the history. IDs of entries are ignored.
+	 * @param  {Array} entries Array of history entries
+	 */
+	async function addEntries(entries) {
+		const store = await getObjectStore('readwrite');
+
+		await Promise.all(UtilHistory.stripEntryIds(entries).map((entry) => {
+			return promisifyRequest(store.add(entry));
+		}));
+	}
+
+	/**
+	 * Get an entry from the history.
+	 * @param  {Number} id Entry ID
+	 * @return {Object} History entry or undefined if entry is not found
+	 */
+	async function getEntry(id) {
+		const store = await getObjectStore('readonly');
+		return promisifyRequest(store.get(id));
+	}
+
+	/**
+	 * Replace an existing entry in the history.
+	 * @param  {Object} entry History entry
+	 */
+	async function updateEntry(entry) {
+		const store = await getObjectStore('readwrite');
+		await promisifyRequest(store.put(entry));
+	}
+
+	/**
+	 * Get entries from the history. Entries are sorted by time of scrobble
+	 * attempt, the newest entries go first.
+	 * @param  {Object} options Query options
+	 * @param  {Number} options.offset Number of matching entries to skip
+	 * @param  {Number} options.limit Max number of entries to return
+	 * @param  {String} options.query String to search in artist, track and album
+	 * @param  {Number} options.from Min time of scrobble attempt
+	 * @param  {Number} options.to Max time of scrobble attempt
+	 * @param  {String} options.connectorId Connector ID
+	 * @param  {String} options.status Status of any scrobble result,
+	 *                                 one of `UtilHistory.STATUS_*` constants
+	 * @return {Object} Object contains `entries` array and `total` number
+	 *                  of matching entries
+	 */
+	async function getEntries(options = {}) {
+		const { from = null, to = null } = options;
+
+		const store = await getObjectStore('readonly');
+		const index = store.index(TIMESTAMP_INDEX);
+		const range = makeKeyRange(from, to);
+
+		const [entries, total] = await Promise.all([
+			readEntries(index, range, options),
+			countEntries(index, range, options),
+		]);
+
+		return { entries, total };
+	}
+
+	/**
+	 * Get all entries from the history, the oldest entries go first.
+	 * @return {Array} Array of entries
+	 */
+	async function getAllEntries() {
+		const store = await getObjectStore('readonly');
+		return promisifyRequest(store.index(TIMESTAMP_INDEX).getAll());
+	}
+
+	/**
+	 * Remove an entry from the history.
+	 * @param  {Number} id Entry ID
+	 */
+	async function removeEntry(id) {
+		const store = await getObjectStore('readwrite');
+		await promisifyRequest(store.delete(id));
+	}
+
+	/**
+	 * Remove all entries from the history.
+	 */
+	async function clear() {
+		const store = await getObjectStore('readwrite');
+		await promisifyRequest(store.clear());
+	}
+
+	/**
+	 * Read a page of entries matching query options, the newest entries
+	 * go first. Entries are read until the page is filled.
+	 * @param  {Object} index Timestamp index
+	 * @param  {Object} range Key range of timestamps
+	 * @param  {Object} options Query options
+	 * @return {Array} Array of entries
+	 */
+	async function readEntries(index, range, options) {
+		const {
+			offset = 0, limit = UtilHistory.DEFAULT_PAGE_SIZE
+		} = options;
+		const entries = [];
+		if (limit <= 0) {
+			return entries;
+		}
+
+		// Non-matching entries can be skipped only by reading them
+		const isFiltered = UtilHistory.hasEntryFilter(options);
+		let skippedCount = 0;
+
+		const request = index.openCursor(range, 'prev');
+		await iterateCursor(request, (entry) => {
+			if (isFiltered) {
+				if (!UtilHistory.isEntryMatched(entry, options)) {
+					return true;
+				}
+				if (skippedCount < offset) {
+					++skippedCount;
+					return true;
+				}
+			}
+
+			entries.push(entry);
+			return entries.length < limit;
+		}, isFiltered ? 0 : offset);
+
+		return entries;
+	}
+
+	/**
+	 * Count entries matching query options.
+	 * @param  {Object} index Timestamp index
+	 * @param  {Object} range Key range of timestamps
+	 * @param  {Object} options Query options
+	 * @return {Number} Number of entries
+	 */
+	async function countEntries(index, range, options) {
+		if (!UtilHistory.hasEntryFilter(options)) {
+			return promisifyRequest(index.count(range));
+		}
+
+		let count = 0;
+		await iterateCursor(index.openCursor(range), (entry) => {
+			if (UtilHistory.isEntryMatched(entry, options)) {
+				++count;
+			}
+			return true;
+		});
+
+		return count;
+	}
+
+	function makeKeyRange(from, to) {
+		if (from !== null && to !== null) {
+			return IDBKeyRange.bound(from, to);
+		} else if (from !== null) {
+			return IDBKeyRange.lowerBound(from);
+		} else if (to !== null) {
+			return IDBKeyRange.upperBound(to);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Open the database; create object store if needed.
+	 * @return {Promise} Promise resolved with IDBDatabase object
+	 */
+	function openDatabase() {
+		if (dbPromise) {
+			return dbPromise;
+		}
+
+		dbPromise = new Promise((resolve, reject) => {
+			const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+			request.onupgradeneeded = () => {
+				const db = request.result;
+				const store = db.createObjectStore(STORE_NAME, {
+					keyPath: 'id', autoIncrement: true
+				});
+				store.createIndex(TIMESTAMP_INDEX, 'timestamp');
+			};
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => {
+				dbPromise = null;
+				reject(request.error);
+			};
+		});
+
+		return dbPromise;
+	}
+
+	async function getObjectStore(mode) {
+		const db = await openDatabase();
+		return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+	}
+
+	function promisifyRequest(request) {
+		return new Promise((resolve, reject) => {
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+	}
+
+	/**
+	 * Iterate over values of a cursor.
+	 * @param  {Object} request Request of opening a cursor
+	 * @param  {Function} callback Function called with each value;
+	 *                             the iteration is stopped if it returns false
+	 * @param  {Number} offset Number of values to skip
+	 * @return {Promise} Promise resolved when the iteration is finished
+	 */
+	function iterateCursor(request, callback, offset = 0) {
+		let isAdvanced = offset === 0;
+
+		return new Promise((resolve, reject) => {
+			request.onsuccess = () => {
+				const cursor = request.result;
+				if (!cursor) {
+					resolve();
+				} else if (!isAdvanced) {
+					isAdvanced = true;
+					cursor.advance(offset);
+				} else if (callback(cursor.value)) {
+					cursor.continue();
+				} else {
+					resolve();
+				}
+			};
+			request.onerror = () => reject(request.error);
+		});
+	}
+
+	return {
+		addEntries, addEntry, clear, getAllEntries, getEntries, getEntry,
+		removeEntry, updateEntry,
+	};
+});
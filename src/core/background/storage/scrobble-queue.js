@@ -0,0 +1,163 @@
+'use strict';
+
+/**
+ * The module manages songs which were failed to scrobble. Each scrobbler
+ * has its own queue; songs are stored in order they were added.
+ *
+ * Queued songs are song data objects returned by `Song.getCloneableData`;
+ * they can contain optional `historyId` property, which is an ID of
+ * a history entry of the scrobble.
+ *
+ * Queues should be changed in the background script only, since changes
+ * are serialized within a single script. Other pages, e.g. the options
+ * page, send messages to the background script to change queues.
+ */
+define((require) => {
+	const BrowserStorage = require('storage/browser-storage');
+
+	/**
+	 * Max number of songs stored in a queue of a single scrobbler.
+	 * The oldest songs are removed if the queue is full.
+	 *
+	 * @type {Number}
+	 */
+	const MAX_QUEUE_SIZE = 500;
+
+	const storage = BrowserStorage.getStorage(BrowserStorage.SCROBBLE_QUEUE);
+
+	/**
+	 * Promise resolved when the last queue change is saved. Each change
+	 * reads and rewrites the whole storage, so changes are chained to not
+	 * overwrite each other.
+	 *
+	 * @type {Promise}
+	 */
+	let lastChange = Promise.resolve();
+
+	/**
+	 * Get songs queued for given scrobbler.
+	 * @param  {String} scrobblerId Scrobbler ID
+	 * @return {Array} Array of song data objects
+	 */
+	async function getSongs(scrobblerId) {
+		const data = await storage.get();
+		return data[scrobblerId] || [];
+	}
+
+	/**
+	 * Add song to a queue of given scrobbler.
+	 * @param  {String} scrobblerId Scrobbler ID
+	 * @param  {Object} song Song instance
+	 * @param  {Number} historyId ID of a history entry of the scrobble
+	 */
+	function addSong(scrobblerId, song, historyId = null) {
+		const songData = song.getCloneableData();
+		if (historyId !== null) {
+			songData.historyId = historyId;
+		}
+
+		return changeQueue((data) => {
+			const songs = data[scrobblerId] || [];
+
+			songs.push(songData);
+			if (songs.length > MAX_QUEUE_SIZE) {
+				songs.splice(0, songs.length - MAX_QUEUE_SIZE);
+			}
+
+			data[scrobblerId] = songs;
+		});
+	}
+
+	/**
+	 * Remove given songs from a queue of given scrobbler.
+	 * @param  {String} scrobblerId Scrobbler ID
+	 * @param  {Array} songsToRemove Array of song data objects
+	 */
+	function removeSongs(scrobblerId, songsToRemove) {
+		return changeQueue((data) => {
+			if (!data[scrobblerId]) {
+				return;
+			}
+
+			const songs = data[scrobblerId].filter((songData) => {
+				return !songsToRemove.some((songToRemove) => {
+					return isSameSong(songData, songToRemove);
+				});
+			});
+
+			if (songs.length > 0) {
+				data[scrobblerId] = songs;
+			} else {
+				delete data[scrobblerId];
+			}
+		});
+	}
+
+	/**
+	 * Remove all songs from a queue of given scrobbler.
+	 * @param  {String} scrobblerId Scrobbler ID
+	 */
+	function clearSongs(scrobblerId) {
+		return changeQueue((data) => {
+			delete data[scrobblerId];
+		});
+	}
+
+	/**
+	 * Get number of queued songs. If scrobbler ID is not specified,
+	 * return total number of songs in all queues.
+	 * @param  {String} scrobblerId Scrobbler ID
+	 * @return {Number} Number of songs
+	 */
+	async function getPendingCount(scrobblerId = null) {
+		const data = await storage.get();
+		if (scrobblerId) {
+			return (data[scrobblerId] || []).length;
+		}
+
+		let count = 0;
+		for (const queueId in data) {
+			count += data[queueId].length;
+		}
+
+		return count;
+	}
+
+	/**
+	 * Change queues by given function and save them. The change is applied
+	 * after all previous changes are saved.
+	 * @param  {Function} change Function that modifies storage data
+	 * @return {Promise} Promise resolved when the change is saved
+	 */
+	function changeQueue(change) {
+		const result = lastChange.then(async() => {
+			const data = await storage.get();
+
+			change(data);
+			await storage.set(data);
+		});
+
+		// Failed change must not break the following ones
+		lastChange = result.catch(() => { /* Do nothing */ });
+		return result;
+	}
+
+	/**
+	 * Check if given song data objects describe the same scrobble.
+	 * @param  {Object} songData1 Song data object
+	 * @param  {Object} songData2 Song data object
+	 * @return {Boolean} Check result
+	 */
+	function isSameSong(songData1, songData2) {
+		return songData1.connectorLabel === songData2.connectorLabel &&
+			songData1.metadata.startTimestamp === songData2.metadata.startTimestamp &&
+			songData1.parsed.artist === songData2.parsed.artist &&
+			songData1.parsed.track === songData2.parsed.track;
+	}
+
+	return {
+		addSong, clearSongs, getPendingCount, getSongs, removeSongs,
+
+		MAX_QUEUE_SIZE,
+	};
+});
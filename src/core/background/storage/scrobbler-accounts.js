@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * The module manages additional accounts on built-in scrobbling services
+ * added by an user.
+ */
+define((require) => {
+	const Util = require('util/util');
+	const BrowserStorage = require('storage/browser-storage');
+
+	const storage = BrowserStorage.getStorage(BrowserStorage.SCROBBLER_ACCOUNTS);
+
+	return {
+		/**
+		 * Get all additional accounts.
+		 * @return {Object} Object contains account data by account ID
+		 */
+		getAllAccounts() {
+			return storage.get();
+		},
+
+		/**
+		 * Add a new account and save it to storage.
+		 * @param  {String} serviceLabel Label of service scrobbler
+		 * @param  {String} label Account name
+		 * @return {String} ID of added account
+		 */
+		async addAccount(serviceLabel, label) {
+			const data = await storage.get();
+			const id = Util.generateId(data);
+
+			data[id] = { serviceLabel, label };
+			await storage.set(data);
+
+			return id;
+		},
+
+		/**
+		 * Remove account from storage.
+		 * @param {String} id Account ID
+		 */
+		async removeAccount(id) {
+			const data = await storage.get();
+
+			delete data[id];
+			await storage.set(data);
+		}
+	};
+});
@@ -94,6 +94,17 @@ define((require) => {
 		return browserWindow.state === 'fullscreen';
 	}
 
+	/**
+	 * Check if a tab produces sound and is not muted. The tab is considered
+	 * audible if a browser doesn't provide its audible state.
+	 * @param  {Object} tab Tab object
+	 * @return {Boolean} Check result
+	 */
+	function isTabAudible(tab) {
+		const isMuted = tab.mutedInfo && tab.mutedInfo.muted;
+		return tab.audible !== false && !isMuted;
+	}
+
 	/**
 	 * Activate tab by given tab ID.
 	 * @param {Number} tabId Tab ID
@@ -108,6 +119,7 @@ define((require) => {
 		getPlatformName,
 		getPrivacyPolicyFilename,
 		isFullscreenMode,
+		isTabAudible,
 		openTab,
 	};
 });
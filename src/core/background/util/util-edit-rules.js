@@ -0,0 +1,232 @@
+'use strict';
+
+/**
+ * Module that contains helper functions to apply auto-edit rules defined
+ * by an user to song info.
+ *
+ * Each rule is an object contains match conditions and an action:
+ * {
+ *     connectorId: 'youtube', // Optional, match any connector if empty
+ *     artist: 'regex',        // Optional, match any artist if empty
+ *     track: 'regex',         // Optional, match any track if empty
+ *     album: 'regex',         // Optional, match any album if empty
+ *     action: 'replace',      // One of `ACTION_*` constants
+ *     field: 'track',         // Field changed by `replace` and `set` actions
+ *     pattern: 'regex',       // Pattern replaced by `replace` action
+ *     value: 'string',        // Replacement or value of `set` action
+ * }
+ *
+ * Regular expressions are case-insensitive.
+ */
+define(() => {
+	/**
+	 * Replace all matches of rule pattern in rule field by rule value.
+	 * @type {String}
+	 */
+	const ACTION_REPLACE = 'replace';
+
+	/**
+	 * Set rule field to rule value.
+	 * @type {String}
+	 */
+	const ACTION_SET = 'set';
+
+	/**
+	 * Swap artist and track.
+	 * @type {String}
+	 */
+	const ACTION_SWAP = 'swap';
+
+	/**
+	 * Move featured artists (e.g. "feat. Artist") from rule field
+	 * to artist field.
+	 * @type {String}
+	 */
+	const ACTION_SPLIT_FEAT = 'splitFeat';
+
+	const ACTIONS = [
+		ACTION_REPLACE, ACTION_SET, ACTION_SWAP, ACTION_SPLIT_FEAT
+	];
+
+	/**
+	 * Fields used to match songs.
+	 * @type {Array}
+	 */
+	const MATCH_FIELDS = ['artist', 'track', 'album'];
+
+	/**
+	 * Fields changed by actions.
+	 * @type {Array}
+	 */
+	const EDIT_FIELDS = ['artist', 'track', 'album', 'albumArtist'];
+
+	/**
+	 * Actions which change a single field.
+	 * @type {Array}
+	 */
+	const FIELD_ACTIONS = [ACTION_REPLACE, ACTION_SET, ACTION_SPLIT_FEAT];
+
+	const featRegExp = /\s*[([]?\b(?:feat\.?|ft\.?|featuring)\s+([^)\]]+)[)\]]?/i;
+
+	/**
+	 * Apply given rules to song info. Rules are applied in order; each
+	 * rule is matched against song info changed by previous rules.
+	 * @param  {Object} songInfo Object contains song info fields
+	 * @param  {String} connectorId Connector ID
+	 * @param  {Array} rules Array of rules
+	 * @return {Object} Object contains changed song info fields
+	 */
+	function applyEditRules(songInfo, connectorId, rules) {
+		const result = Object.assign({}, songInfo);
+
+		for (const rule of rules) {
+			if (isRuleMatched(result, connectorId, rule)) {
+				applyAction(result, rule);
+			}
+		}
+
+		return result;
+	}
+
+	/**
+	 * Check if given rule matches song info.
+	 * @param  {Object} songInfo Object contains song info fields
+	 * @param  {String} connectorId Connector ID
+	 * @param  {Object} rule Rule
+	 * @return {Boolean} Check result
+	 */
+	function isRuleMatched(songInfo, connectorId, rule) {
+		if (rule.connectorId && rule.connectorId !== connectorId) {
+			return false;
+		}
+
+		for (const field of MATCH_FIELDS) {
+			if (!rule[field]) {
+				continue;
+			}
+
+			const regExp = new RegExp(rule[field], 'i');
+			if (!regExp.test(songInfo[field] || '')) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Check if given rule is valid.
+	 * @param  {Object} rule Rule
+	 * @return {Boolean} Check result
+	 */
+	function isRuleValid(rule) {
+		if (!ACTIONS.includes(rule.action)) {
+			return false;
+		}
+
+		if (FIELD_ACTIONS.includes(rule.action)) {
+			if (!EDIT_FIELDS.includes(rule.field)) {
+				return false;
+			}
+		}
+
+		if (rule.action === ACTION_REPLACE && !rule.pattern) {
+			return false;
+		}
+
+		const patterns = MATCH_FIELDS.map((field) => rule[field]);
+		patterns.push(rule.pattern);
+
+		return patterns.every(isRegExpValid);
+	}
+
+	/**
+	 * Apply an action of given rule to song info.
+	 * @param  {Object} songInfo Object contains song info fields
+	 * @param  {Object} rule Rule
+	 */
+	function applyAction(songInfo, rule) {
+		const { field, value } = rule;
+
+		switch (rule.action) {
+			case ACTION_REPLACE: {
+				if (!songInfo[field]) {
+					break;
+				}
+
+				const regExp = new RegExp(rule.pattern, 'gi');
+				songInfo[field] = songInfo[field].replace(regExp, value || '').trim();
+				break;
+			}
+
+			case ACTION_SET:
+				songInfo[field] = value || null;
+				break;
+
+			case ACTION_SWAP: {
+				const { artist, track } = songInfo;
+
+				songInfo.artist = track;
+				songInfo.track = artist;
+				break;
+			}
+
+			case ACTION_SPLIT_FEAT:
+				// Artist field already contains featured artists
+				if (songInfo[field] && field !== 'artist') {
+					moveFeaturingToArtist(songInfo, field);
+				}
+				break;
+
+			default:
+				throw new Error(`Unknown action: ${rule.action}`);
+		}
+	}
+
+	/**
+	 * Move featured artists from given field to artist field,
+	 * e.g. "Artist" and "Track (feat. Other Artist)" become
+	 * "Artist feat. Other Artist" and "Track".
+	 * @param  {Object} songInfo Object contains song info fields
+	 * @param  {String} field Field contains featured artists
+	 */
+	function moveFeaturingToArtist(songInfo, field) {
+		const match = songInfo[field].match(featRegExp);
+		if (!match) {
+			return;
+		}
+
+		const featArtists = match[1].trim();
+		songInfo[field] = songInfo[field].replace(featRegExp, '').trim();
+		songInfo.artist = songInfo.artist ?
+			`${songInfo.artist} feat. ${featArtists}` : featArtists;
+	}
+
+	/**
+	 * Check if given string is a valid regular expression. Empty values
+	 * are considered valid.
+	 * @param  {String} pattern Pattern
+	 * @return {Boolean} Check result
+	 */
+	function isRegExpValid(pattern) {
+		if (!pattern) {
+			return true;
+		}
+
+		try {
+			new RegExp(pattern);
+		} catch (e) {
+			return false;
+		}
+
+		return true;
+	}
+
+	return {
+		applyEditRules, isRuleMatched, isRuleValid, isRegExpValid,
+
+		ACTION_REPLACE, ACTION_SET, ACTION_SWAP, ACTION_SPLIT_FEAT,
+
+		ACTIONS, EDIT_FIELDS, MATCH_FIELDS,
+	};
+});
@@ -0,0 +1,455 @@
+'use strict';
+
+/**
+ * Module that contains helper functions to query scrobble history entries,
+ * and to convert them to different formats and back.
+ *
+ * Supported formats are JSON (array of history entries), CSV and
+ * ListenBrainz-compatible JSONL (one listen per line).
+ */
+define((require) => {
+	const ServiceCallResult = require('object/service-call-result');
+
+	/**
+	 * Statuses of scrobble results used to filter entries.
+	 *
+	 * @type {String}
+	 */
+	const STATUS_OK = 'ok';
+	const STATUS_IGNORED = 'ignored';
+	const STATUS_FAILED = 'failed';
+
+	const DEFAULT_PAGE_SIZE = 50;
+
+	const FORMAT_CSV = 'csv';
+	const FORMAT_JSON = 'json';
+	const FORMAT_JSONL = 'jsonl';
+
+	/**
+	 * Columns of CSV file mapped to song fields.
+	 * @type {Object}
+	 */
+	const CSV_COLUMNS = {
+		timestamp: 'startTimestamp',
+		artist: 'artist',
+		track: 'track',
+		album: 'album',
+		album_artist: 'albumArtist',
+		duration: 'duration',
+		connector: 'connectorLabel',
+		origin_url: 'originUrl',
+	};
+
+	/**
+	 * Get status of given scrobble result.
+	 * @param  {String} result ServiceCallResult constant
+	 * @return {String} One of `STATUS_*` constants
+	 */
+	function getResultStatus(result) {
+		switch (result) {
+			case ServiceCallResult.RESULT_OK:
+				return STATUS_OK;
+			case ServiceCallResult.RESULT_IGNORE:
+				return STATUS_IGNORED;
+			default:
+				return STATUS_FAILED;
+		}
+	}
+
+	/**
+	 * Check if given entry matches query options.
+	 * @param  {Object} entry History entry
+	 * @param  {Object} options Query options
+	 * @param  {String} options.query String to search in artist, track and album
+	 * @param  {String} options.connectorId Connector ID
+	 * @param  {String} options.status Status of any scrobble result,
+	 *                                 one of `STATUS_*` constants
+	 * @return {Boolean} Check result
+	 */
+	function isEntryMatched(entry, { query, connectorId, status }) {
+		if (connectorId) {
+			if (!entry.connector || entry.connector.id !== connectorId) {
+				return false;
+			}
+		}
+
+		if (status) {
+			const results = Object.values(entry.results);
+			if (!results.some((result) => getResultStatus(result) === status)) {
+				return false;
+			}
+		}
+
+		if (!query) {
+			return true;
+		}
+
+		const { parsed, processed } = entry.song;
+		const lowerQuery = query.toLowerCase();
+
+		return ['artist', 'track', 'album'].some((field) => {
+			const value = processed[field] || parsed[field];
+			return value && value.toLowerCase().includes(lowerQuery);
+		});
+	}
+
+	/**
+	 * Check if query options contain filters which can be checked only
+	 * by reading entries, i.e. filters other than time of scrobble attempt.
+	 * @param  {Object} options Query options
+	 * @return {Boolean} Check result
+	 */
+	function hasEntryFilter({ query, connectorId, status }) {
+		return Boolean(query || connectorId || status);
+	}
+
+	/**
+	 * Remove IDs from given entries, so the entries can be added
+	 * to the history as new ones.
+	 * @param  {Array} entries Array of history entries
+	 * @return {Array} Array of entries without IDs
+	 */
+	function stripEntryIds(entries) {
+		return entries.map(stripEntryId);
+	}
+
+	/**
+	 * Convert history entries to a string in given format.
+	 * @param  {Array} entries Array of history entries
+	 * @param  {String} format One of `FORMAT_*` constants
+	 * @return {String} Converted entries
+	 */
+	function exportEntries(entries, format) {
+		switch (format) {
+			case FORMAT_CSV:
+				return toCsv(entries);
+			case FORMAT_JSON:
+				return toJson(entries);
+			case FORMAT_JSONL:
+				return toJsonl(entries);
+			default:
+				throw new Error(`Unknown format: ${format}`);
+		}
+	}
+
+	/**
+	 * Convert a string in given format to history entries.
+	 * @param  {String} str String contains history data
+	 * @param  {String} format One of `FORMAT_*` constants
+	 * @return {Array} Array of history entries
+	 */
+	function importEntries(str, format) {
+		switch (format) {
+			case FORMAT_CSV:
+				return fromCsv(str);
+			case FORMAT_JSON:
+				return fromJson(str);
+			case FORMAT_JSONL:
+				return fromJsonl(str);
+			default:
+				throw new Error(`Unknown format: ${format}`);
+		}
+	}
+
+	/**
+	 * Get a key used to find duplicate entries. Entries with the same
+	 * start timestamp, artist and track are considered duplicates.
+	 * @param  {Object} entry History entry
+	 * @return {String} Entry key
+	 */
+	function getEntryKey(entry) {
+		const { startTimestamp, artist, track } = getSongFields(entry.song);
+		return [startTimestamp, artist, track].join('\n');
+	}
+
+	/**
+	 * Remove entries which have duplicates in existing entries or
+	 * in given array itself.
+	 * @param  {Array} entries Array of history entries
+	 * @param  {Array} existingEntries Array of existing history entries
+	 * @return {Array} Array of unique entries
+	 */
+	function removeDuplicates(entries, existingEntries) {
+		const keys = new Set(existingEntries.map(getEntryKey));
+
+		return entries.filter((entry) => {
+			const key = getEntryKey(entry);
+			if (keys.has(key)) {
+				return false;
+			}
+
+			keys.add(key);
+			return true;
+		});
+	}
+
+	/** JSON */
+
+	function toJson(entries) {
+		return JSON.stringify(entries.map(stripEntryId), null, 2);
+	}
+
+	function fromJson(str) {
+		const data = JSON.parse(str);
+		if (!Array.isArray(data)) {
+			throw new Error('Invalid JSON data');
+		}
+
+		return data.map((entry) => {
+			validateEntry(entry);
+			return stripEntryId(entry);
+		});
+	}
+
+	/** CSV */
+
+	function toCsv(entries) {
+		const lines = [Object.keys(CSV_COLUMNS)];
+		for (const entry of entries) {
+			const fields = getSongFields(entry.song);
+			lines.push(Object.values(CSV_COLUMNS).map((field) => fields[field]));
+		}
+
+		return lines.map((values) => {
+			return values.map(escapeCsvValue).join(',');
+		}).join('\r\n');
+	}
+
+	function fromCsv(str) {
+		const [header, ...rows] = parseCsv(str);
+		if (!header || !header.includes('artist') || !header.includes('track')) {
+			throw new Error('Invalid CSV header');
+		}
+
+		return rows.filter((row) => row.some((value) => value)).map((row) => {
+			const fields = {};
+			header.forEach((column, index) => {
+				const field = CSV_COLUMNS[column];
+				if (field && row[index]) {
+					fields[field] = row[index];
+				}
+			});
+
+			return makeEntry(fields);
+		});
+	}
+
+	function escapeCsvValue(value) {
+		if (value === null || value === undefined) {
+			return '';
+		}
+
+		const str = value.toString();
+		if (/[",\r\n]/.test(str)) {
+			return `"${str.replace(/"/g, '""')}"`;
+		}
+
+		return str;
+	}
+
+	/**
+	 * Parse CSV string according to RFC 4180.
+	 * @param  {String} str CSV string
+	 * @return {Array} Array of rows; each row is an array of values
+	 */
+	function parseCsv(str) {
+		const rows = [];
+		let row = [];
+		let value = '';
+		let isQuoted = false;
+
+		for (let i = 0; i < str.length; ++i) {
+			const char = str[i];
+
+			if (isQuoted) {
+				if (char === '"' && str[i + 1] === '"') {
+					value += '"';
+					++i;
+				} else if (char === '"') {
+					isQuoted = false;
+				} else {
+					value += char;
+				}
+			} else if (char === '"') {
+				isQuoted = true;
+			} else if (char === ',') {
+				row.push(value);
+				value = '';
+			} else if (char === '\n' || char === '\r') {
+				if (char === '\r' && str[i + 1] === '\n') {
+					++i;
+				}
+				row.push(value);
+				rows.push(row);
+				row = [];
+				value = '';
+			} else {
+				value += char;
+			}
+		}
+
+		if (value || row.length > 0) {
+			row.push(value);
+			rows.push(row);
+		}
+
+		return rows;
+	}
+
+	/** ListenBrainz JSONL */
+
+	function toJsonl(entries) {
+		return entries.map((entry) => {
+			const fields = getSongFields(entry.song);
+			const listen = {
+				listened_at: fields.startTimestamp,
+				track_metadata: {
+					artist_name: fields.artist,
+					track_name: fields.track,
+					additional_info: {},
+				},
+			};
+
+			const trackMeta = listen.track_metadata;
+			if (fields.album) {
+				trackMeta.release_name = fields.album;
+			}
+			if (fields.albumArtist) {
+				trackMeta.additional_info.release_artist_name = fields.albumArtist;
+			}
+			if (fields.duration) {
+				trackMeta.additional_info.duration = fields.duration;
+			}
+			if (fields.originUrl) {
+				trackMeta.additional_info.origin_url = fields.originUrl;
+			}
+			if (fields.connectorLabel) {
+				trackMeta.additional_info.music_service_name = fields.connectorLabel;
+			}
+
+			return JSON.stringify(listen);
+		}).join('\n');
+	}
+
+	function fromJsonl(str) {
+		return str.split('\n').filter((line) => line.trim()).map((line) => {
+			const listen = JSON.parse(line);
+			const trackMeta = listen.track_metadata;
+			if (!trackMeta) {
+				throw new Error('Invalid listen');
+			}
+
+			const additionalInfo = trackMeta.additional_info || {};
+
+			return makeEntry({
+				startTimestamp: listen.listened_at,
+				artist: trackMeta.artist_name,
+				track: trackMeta.track_name,
+				album: trackMeta.release_name,
+				albumArtist: additionalInfo.release_artist_name,
+				duration: additionalInfo.duration,
+				originUrl: additionalInfo.origin_url,
+				connectorLabel: additionalInfo.music_service_name,
+			});
+		});
+	}
+
+	/** Helpers */
+
+	/**
+	 * Get song fields used in exported data.
+	 * @param  {Object} songData Song data stored in a history entry
+	 * @return {Object} Song fields
+	 */
+	function getSongFields(songData) {
+		const { parsed, processed, metadata, connectorLabel } = songData;
+		const fields = { connectorLabel, startTimestamp: metadata.startTimestamp };
+
+		for (const field of ['artist', 'track', 'album', 'albumArtist', 'duration']) {
+			fields[field] = processed[field] || parsed[field] || null;
+		}
+		fields.originUrl = parsed.originUrl || null;
+
+		return fields;
+	}
+
+	/**
+	 * Create a history entry from imported song fields.
+	 * @param  {Object} fields Song fields
+	 * @return {Object} History entry
+	 * @throws {Error} if required fields are missing
+	 */
+	function makeEntry(fields) {
+		const startTimestamp = parseInt(fields.startTimestamp);
+		if (!fields.artist || !fields.track || isNaN(startTimestamp)) {
+			throw new Error('Imported song must have artist, track and timestamp');
+		}
+
+		const parsed = {
+			artist: fields.artist,
+			track: fields.track,
+			album: fields.album || null,
+			albumArtist: fields.albumArtist || null,
+			duration: parseInt(fields.duration) || null,
+			originUrl: fields.originUrl || null,
+		};
+		const connectorLabel = fields.connectorLabel || null;
+
+		return {
+			timestamp: startTimestamp,
+			song: {
+				parsed, processed: {}, flags: {}, connectorLabel,
+				metadata: { startTimestamp, label: connectorLabel },
+			},
+			connector: null,
+			results: {},
+		};
+	}
+
+	/**
+	 * Check if an imported entry contains all fields of a history entry
+	 * created by `makeEntry`.
+	 * @param  {Object} entry History entry
+	 * @throws {Error} if the entry is invalid
+	 */
+	function validateEntry(entry) {
+		if (!isObject(entry) || !isObject(entry.song) || !isObject(entry.results)) {
+			throw new Error('Invalid history entry');
+		}
+		if (entry.connector !== null && !isObject(entry.connector)) {
+			throw new Error('Invalid history entry');
+		}
+
+		const { parsed, processed, metadata, flags } = entry.song;
+		if (![parsed, processed, metadata, flags].every(isObject)) {
+			throw new Error('Invalid history entry');
+		}
+
+		const { artist, track, startTimestamp } = getSongFields(entry.song);
+		if (!artist || !track || !Number.isInteger(startTimestamp) ||
+			!Number.isInteger(entry.timestamp)) {
+			throw new Error('Imported song must have artist, track and timestamp');
+		}
+	}
+
+	function isObject(value) {
+		return value !== null && typeof value === 'object' && !Array.isArray(value);
+	}
+
+	function stripEntryId(entry) {
+		const strippedEntry = Object.assign({}, entry);
+		delete strippedEntry.id;
+
+		return strippedEntry;
+	}
+
+	return {
+		exportEntries, getEntryKey, getResultStatus, hasEntryFilter,
+		importEntries, isEntryMatched, removeDuplicates, stripEntryIds,
+
+		DEFAULT_PAGE_SIZE,
+
+		FORMAT_CSV, FORMAT_JSON, FORMAT_JSONL,
+		STATUS_OK, STATUS_IGNORED, STATUS_FAILED,
+	};
+});
@@ -45,19 +45,30 @@ define(() => {
 	 * to be scrobbled.
 	 * @param  {Number} duration Song duration
 	 * @param  {Number} percent Percent of song duration to scrobble
+	 * @param  {Object} options Object contains custom scrobble rules
+	 * @param  {Number} options.maxScrobbleTime Max number of seconds of playback
+	 * @param  {Number} options.minTrackDuration Min duration of scrobbleable track
+	 * @param  {Number} options.defaultScrobbleTime Number of seconds of playback
+	 *                                              used if duration is unknown
 	 * @return {Number} Seconds to scrobble
 	 */
-	function getSecondsToScrobble(duration, percent) {
+	function getSecondsToScrobble(duration, percent, options = {}) {
+		const {
+			maxScrobbleTime = MAX_SCROBBLE_TIME,
+			minTrackDuration = MIN_TRACK_DURATION,
+			defaultScrobbleTime = DEFAULT_SCROBBLE_TIME,
+		} = options;
+
 		if (isDurationInvalid(duration)) {
-			return DEFAULT_SCROBBLE_TIME;
+			return defaultScrobbleTime;
 		}
 
-		if (duration < MIN_TRACK_DURATION) {
+		if (duration < minTrackDuration) {
 			return -1;
 		}
 
 		const scrobbleTime = Math.round(duration * percent / 100);
-		return Math.min(scrobbleTime, MAX_SCROBBLE_TIME);
+		return Math.min(scrobbleTime, maxScrobbleTime);
 	}
 
 	/**
@@ -103,6 +114,22 @@ define(() => {
 			isNaN(duration) || !isFinite(duration);
 	}
 
+	/**
+	 * Generate a new ID which is not used by existing items. The ID is
+	 * based on current time and a random suffix.
+	 * @param  {Object} existingItems Object contains items by ID
+	 * @return {String} Generated ID
+	 */
+	function generateId(existingItems) {
+		let id = null;
+		do {
+			const suffix = Math.random().toString(36).slice(2, 6);
+			id = `${Date.now().toString(36)}${suffix}`;
+		} while (id in existingItems);
+
+		return id;
+	}
+
 	/**
 	 * Execute promise with specified timeout.
 	 * @param  {Number} timeout Timeout in milliseconds
@@ -129,6 +156,7 @@ define(() => {
 
 	return {
 		debugLog,
+		generateId,
 		getSecondsToScrobble,
 		hideObjectValue,
 		hideStringInText,
@@ -444,7 +444,8 @@ function BaseConnector() {
 	 * @param  {Object} filter Filter object
 	 */
 	this.applyFilter = (filter) => {
-		metadataFilter = filter.extend(MetadataFilter.getDefaultFilter());
+		connectorFilter = filter;
+		this.updateMetadataFilter();
 	};
 
 	/**
@@ -567,6 +568,66 @@ function BaseConnector() {
 	 */
 	let metadataFilter = MetadataFilter.getDefaultFilter();
 
+	/**
+	 * Filter used to normalize song metadata before comparing it with
+	 * filtered one.
+	 * @type {Object}
+	 */
+	const defaultMetadataFilter = MetadataFilter.getDefaultFilter();
+
+	/**
+	 * Custom filter applied by the connector.
+	 * @type {Object}
+	 */
+	let connectorFilter = null;
+
+	/**
+	 * Filter sets enabled or disabled by user.
+	 * @type {Object}
+	 */
+	let userFilterSets = {};
+
+	/**
+	 * Filter sets which can be enabled or disabled by user. Names of
+	 * filter sets must be kept in sync with `storage/metadata-filters`
+	 * module.
+	 * @type {Object}
+	 */
+	const metadataFilterSets = {
+		youtube: MetadataFilter.getYoutubeFilter(),
+		remastered: MetadataFilter.getRemasteredFilter(),
+		version: new MetadataFilter({
+			track: MetadataFilter.removeVersion,
+			album: MetadataFilter.removeVersion,
+		}),
+		live: new MetadataFilter({
+			track: MetadataFilter.removeLive,
+			album: MetadataFilter.removeLive,
+		}),
+		cleanExplicit: new MetadataFilter({
+			track: MetadataFilter.removeCleanExplicit,
+			album: MetadataFilter.removeCleanExplicit,
+		}),
+		feature: new MetadataFilter({
+			artist: MetadataFilter.normalizeFeature,
+			track: MetadataFilter.removeFeature,
+		}),
+		trackSuffix: new MetadataFilter({
+			track: MetadataFilter.fixTrackSuffix,
+			album: MetadataFilter.fixTrackSuffix,
+		}),
+		htmlEntities: new MetadataFilter({
+			all: MetadataFilter.decodeHtmlEntities,
+		}),
+		zeroWidth: new MetadataFilter({
+			all: MetadataFilter.removeZeroWidth,
+		}),
+		// Disabling the set removes trimming from the default filter as well
+		trim: new MetadataFilter({
+			all: MetadataFilter.trim,
+		}),
+	};
+
 	/**
 	 * Default values of state properties.
 	 * @type {Object}
@@ -652,6 +713,7 @@ function BaseConnector() {
 	const mediaSessionFields = ['artist', 'track', 'album', 'trackArt'];
 	const artistTrackFields = ['artist', 'track'];
 	const timeInfoFields = ['duration', 'currentTime'];
+	const songInfoFields = ['artist', 'track', 'album', 'albumArtist'];
 
 	let isMediaSessionAllowed = false;
 
@@ -667,6 +729,13 @@ function BaseConnector() {
 	 */
 	const filteredState = Object.assign({}, defaultState);
 
+	/**
+	 * Values of song fields changed by metadata filters. Contains
+	 * unfiltered values of changed fields only.
+	 * @type {Object}
+	 */
+	filteredState.originalInfo = {};
+
 	/**
 	 * Flag indicates the current state is reset by the connector.
 	 * Used to prevent spamming the controller by empty states.
@@ -805,7 +874,17 @@ function BaseConnector() {
 				case 'artist':
 				case 'track':
 				case 'album': {
+					// Whitespace changes are not considered as edits
+					const originalValue = defaultMetadataFilter.filterField(field, fieldValue);
 					fieldValue = metadataFilter.filterField(field, fieldValue) || defaultState[field];
+
+					const normalizedValue = fieldValue &&
+						defaultMetadataFilter.filterField(field, fieldValue);
+					if (originalValue && normalizedValue !== originalValue) {
+						filteredState.originalInfo[field] = originalValue;
+					} else {
+						delete filteredState.originalInfo[field];
+					}
 					break;
 				}
 				case 'currentTime':
@@ -824,6 +903,68 @@ function BaseConnector() {
 		}
 	};
 
+	/**
+	 * Apply metadata filter sets enabled or disabled by user, and filter
+	 * the current state again.
+	 * @param  {Object} filterSets Object contains flags by filter set name
+	 */
+	this.applyFilterSets = (filterSets) => {
+		userFilterSets = filterSets;
+		this.updateMetadataFilter();
+
+		const changedFields = [];
+		for (const field of songInfoFields) {
+			const oldValue = filteredState[field];
+
+			this.filterState([field]);
+			if (filteredState[field] !== oldValue) {
+				changedFields.push(field);
+			}
+		}
+
+		if (changedFields.length > 0 && this.reactorCallback !== null) {
+			this.reactorCallback(filteredState, changedFields);
+		}
+	};
+
+	/**
+	 * Create a filter used to filter song metadata. Filters of the connector
+	 * and filter sets enabled by user are applied before the default filter;
+	 * functions of filter sets disabled by user are removed.
+	 */
+	this.updateMetadataFilter = () => {
+		const filter = connectorFilter ?
+			new MetadataFilter({}).extend(connectorFilter) :
+			new MetadataFilter({});
+
+		const disabledFilterSets = [];
+		for (const name in userFilterSets) {
+			const filterSet = metadataFilterSets[name];
+			if (!filterSet) {
+				Util.debugLog(`Unknown filter set: ${name}`, 'warn');
+				continue;
+			}
+
+			if (userFilterSets[name]) {
+				filter.extend(filterSet);
+			} else {
+				disabledFilterSets.push(filterSet);
+			}
+		}
+		filter.extend(MetadataFilter.getDefaultFilter());
+
+		const mergedFilterSet = {};
+		for (const field of MetadataFilter.ALL_FIELDS) {
+			mergedFilterSet[field] = filter.mergedFilterSet[field].filter((fn) => {
+				return !disabledFilterSets.some((filterSet) => {
+					return filterSet.mergedFilterSet[field].includes(fn);
+				});
+			});
+		}
+
+		metadataFilter = new MetadataFilter(mergedFilterSet);
+	};
+
 	/**
 	 * Throttled call for state changed worker.
 	 */
@@ -832,3 +973,13 @@ function BaseConnector() {
 
 // eslint-disable-next-line
 const Connector = window.Connector || new BaseConnector();
+
+// @ifdef DEBUG
+/**
+ * Export BaseConnector object if script is executed in Node.js context.
+ */
+/* istanbul ignore next */
+if (typeof module !== 'undefined') {
+	module.exports = BaseConnector;
+}
+// @endif
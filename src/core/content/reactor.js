@@ -46,6 +46,7 @@ class Reactor { // eslint-disable-line no-unused-vars
 				return Promise.resolve(true);
 			// The controller is created and is ready to receive connector state
 			case 'EVENT_READY':
+				this.connector.applyFilterSets(message.data.filterSets);
 				this.connector.onReady();
 				break;
 		}
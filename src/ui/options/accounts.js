@@ -3,7 +3,11 @@
 define((require) => {
 	const { getCurrentTab } = require('util/util-browser');
 	const browser = require('webextension-polyfill');
+	const ScrobbleQueue = require('storage/scrobble-queue');
 	const ScrobbleService = require('object/scrobble-service');
+	const CustomScrobblers = require('storage/custom-scrobblers');
+	const ScrobblerAccounts = require('storage/scrobbler-accounts');
+	const CustomAudioScrobbler = require('scrobbler/custom-audioscrobbler');
 
 	const scrobblerPropertiesMap = {
 		ListenBrainz: {
@@ -16,13 +20,47 @@ define((require) => {
 				title: 'accountsUserToken',
 				placeholder: 'accountsUserTokenPlaceholder',
 			},
-		}
+		},
+		Maloja: {
+			userApiUrl: {
+				title: 'accountsServerUrl',
+				placeholder: 'accountsServerUrlPlaceholder',
+			},
+			userToken: {
+				type: 'password',
+				title: 'accountsApiKey',
+				placeholder: 'accountsApiKeyPlaceholder',
+			},
+		},
+		Webhook: {
+			webhookUrls: {
+				type: 'textarea',
+				title: 'accountsWebhookUrls',
+				placeholder: 'accountsWebhookUrlsPlaceholder',
+			},
+			webhookHeaders: {
+				type: 'textarea',
+				title: 'accountsWebhookHeaders',
+				placeholder: 'accountsWebhookHeadersPlaceholder',
+			},
+			webhookFields: {
+				title: 'accountsWebhookFields',
+				placeholder: 'accountsWebhookFieldsPlaceholder',
+			},
+			webhookSecret: {
+				type: 'password',
+				title: 'accountsWebhookSecret',
+				placeholder: 'accountsWebhookSecretPlaceholder',
+			},
+		},
 	};
 
 	async function initialize() {
 		await createAccountViews();
 		setupEventListeners();
 		setupDialog();
+		setupCustomScrobblerDialog();
+		setupAccountDialog();
 	}
 
 	async function setupEventListeners() {
@@ -35,7 +73,15 @@ define((require) => {
 	}
 
 	async function createAccountViews() {
-		const scrobblers = ScrobbleService.getRegisteredScrobblers();
+		const scrobblers = await ScrobbleService.loadCustomScrobblers();
+		const elementIds = scrobblers.map(getAccountViewId);
+
+		$('#accounts-wrapper').children().each(function() {
+			if (!elementIds.includes(this.id)) {
+				$(this).remove();
+			}
+		});
+
 		for (const scrobbler of scrobblers) {
 			createEmptyAccountView(scrobbler);
 			createAccountView(scrobbler);
@@ -43,19 +89,23 @@ define((require) => {
 	}
 
 	function createEmptyAccountView(scrobbler) {
-		const elementId = getAccountViewId(scrobbler);
-		if ($(`#${elementId}`).length === 0) {
+		if (getAccountView(scrobbler).length === 0) {
+			const elementId = getAccountViewId(scrobbler);
 			const $account = $('<li class="list-group-item"/>').attr('id', elementId);
 			$('#accounts-wrapper').append($account);
 		}
 	}
 
 	function getAccountViewId(scrobbler) {
-		return scrobbler.getLabel().replace('.', '');
+		return `account-${scrobbler.getId()}`;
+	}
+
+	function getAccountView(scrobbler) {
+		return $(`#${$.escapeSelector(getAccountViewId(scrobbler))}`);
 	}
 
 	async function createAccountView(scrobbler) {
-		const accountBody = $(`#${getAccountViewId(scrobbler)}`);
+		const accountBody = getAccountView(scrobbler);
 
 		let session = null;
 		try {
@@ -65,18 +115,43 @@ define((require) => {
 		}
 
 		const label = $('<h4 class="card-title"/>').text(scrobbler.getLabel());
+		if (scrobbler.getAccountId()) {
+			const serviceLabel = $('<small class="text-muted"/>')
+				.text(scrobbler.getServiceLabel());
+			label.append(' ', serviceLabel);
+		}
 		const buttons = $('<div/>');
 
+		const isPaused = await scrobbler.isPaused();
+
 		let authStr = null;
 		if (session) {
 			const userName = session.sessionName || 'anonimous';
 			const authText = browser.i18n.getMessage('accountsSignedInAs', userName);
 			authStr = $('<span class="card-text"/>').text(authText);
+
+			if (isPaused) {
+				const pausedText = browser.i18n.getMessage('accountsPaused');
+				authStr.text(`${authText} ${pausedText}`);
+			}
 		} else {
 			authStr = $('<span class="card-text"/>').attr('i18n', 'accountsNotSignedIn');
 		}
 
-		if (!session) {
+		let enabledSwitch = null;
+		if (session) {
+			enabledSwitch = createEnabledSwitch(scrobbler, !isPaused);
+		}
+
+		let pendingStr = null;
+		const pendingCount = await ScrobbleQueue.getPendingCount(scrobbler.getId());
+		if (pendingCount > 0) {
+			const pendingText = browser.i18n.getMessage(
+				'accountsPendingScrobbles', pendingCount.toString());
+			pendingStr = $('<div class="card-text text-muted"/>').text(pendingText);
+		}
+
+		if (!session && scrobbler.canSignIn()) {
 			const signInBtn = $('<a class="card-link" href="#"/>')
 				.attr('i18n', 'accountsSignIn').click(() => {
 					requestAuthenticate(scrobbler);
@@ -103,6 +178,7 @@ define((require) => {
 					});
 				buttons.append(profileBtn);
 			}
+
 			const logoutBtn = $('<a class="card-link" href="#"/>')
 				.attr('i18n', 'accountsSignOut')
 				.click(async() => {
@@ -112,7 +188,52 @@ define((require) => {
 			buttons.append(logoutBtn);
 		}
 
-		accountBody.empty().append(label, authStr, buttons);
+		if (ScrobbleService.canAddAccount(scrobbler)) {
+			const addAccountBtn = $('<a class="card-link" href="#"/>')
+				.attr('i18n', 'accountsAddAccount')
+				.click(() => {
+					initAccountDialog(scrobbler);
+				});
+			buttons.append(addAccountBtn);
+		}
+
+		if (scrobbler instanceof CustomAudioScrobbler) {
+			const removeBtn = $('<a class="card-link" href="#"/>')
+				.attr('i18n', 'accountsRemoveScrobbler')
+				.click(async() => {
+					await requestRemoveScrobbler(scrobbler);
+					createAccountViews();
+				});
+			buttons.append(removeBtn);
+		} else if (scrobbler.getAccountId()) {
+			const removeBtn = $('<a class="card-link" href="#"/>')
+				.attr('i18n', 'accountsRemoveAccount')
+				.click(async() => {
+					await requestRemoveAccount(scrobbler);
+					createAccountViews();
+				});
+			buttons.append(removeBtn);
+		}
+
+		accountBody.empty().append(
+			label, authStr, enabledSwitch, pendingStr, buttons);
+	}
+
+	function createEnabledSwitch(scrobbler, isEnabled) {
+		const id = `${getAccountViewId(scrobbler)}-enabled`;
+		const containerEl = $('<div class="custom-control custom-switch"/>');
+
+		const inputEl = $('<input class="custom-control-input" type="checkbox">')
+			.attr('id', id).prop('checked', isEnabled)
+			.change(async() => {
+				await scrobbler.setPaused(!inputEl.prop('checked'));
+				createAccountView(scrobbler);
+			});
+
+		const labelEl = $('<label class="custom-control-label"/>');
+		labelEl.attr('for', id).attr('i18n', 'accountsEnabled');
+
+		return containerEl.append(inputEl, labelEl);
 	}
 
 	function initDialog(scrobbler) {
@@ -120,18 +241,20 @@ define((require) => {
 		const title = $('#scrobbler-props-title');
 
 		const body = $('#scrobbler-props-body').empty();
-		const props = scrobblerPropertiesMap[scrobbler.getLabel()];
+		const props = scrobblerPropertiesMap[scrobbler.getServiceLabel()];
 
 		for (const prop in props) {
 			const { placeholder, title, type } = props[prop];
 
 			const formGroup = $('<div class="form-group"/>');
 			const label = $('<label/>').attr('i18n', title);
-			const input = $('<input class="form-control">')
+			const input = $(type === 'textarea' ?
+				'<textarea class="form-control" rows="3"/>' :
+				'<input class="form-control">')
 				.attr('id', prop)
 				.attr('i18n-placeholder', placeholder)
 				.val(scrobbler[prop]);
-			if (type) {
+			if (type && type !== 'textarea') {
 				input.attr('type', type);
 			}
 
@@ -141,18 +264,17 @@ define((require) => {
 
 		title.text(browser.i18n.getMessage(
 			'accountsScrobblerPropsTitle', scrobbler.getLabel()));
-		modal.data('label', scrobbler.getLabel());
+		modal.data('id', scrobbler.getId());
 		modal.modal('show');
 	}
 
 	function setupDialog() {
 		$('#scrobbler-ok').click(async() => {
 			const modal = $('#scrobbler-props');
-			const label = modal.data('label');
-			const scrobbler = ScrobbleService.getScrobblerByLabel(label);
+			const scrobbler = ScrobbleService.getScrobblerById(modal.data('id'));
 
 			const userProps = {};
-			const scrobblerProps = scrobblerPropertiesMap[label];
+			const scrobblerProps = scrobblerPropertiesMap[scrobbler.getServiceLabel()];
 
 			for (const prop in scrobblerProps) {
 				const input = $(`#${prop}`);
@@ -160,37 +282,156 @@ define((require) => {
 
 				userProps[prop] = value;
 			}
-			await requestApplyUserProps(scrobbler, userProps);
+
+			try {
+				await requestApplyUserProps(scrobbler, userProps);
+			} catch (err) {
+				for (const prop in scrobblerProps) {
+					$(`#${prop}`).addClass('is-invalid');
+				}
+				return;
+			}
 			createAccountView(scrobbler);
 
 			modal.modal('hide');
 		});
 	}
 
+	function setupCustomScrobblerDialog() {
+		const modal = $('#custom-scrobbler-modal');
+		const fields = {
+			label: $('#custom-scrobbler-label'),
+			apiUrl: $('#custom-scrobbler-api-url'),
+			authUrl: $('#custom-scrobbler-auth-url'),
+			apiKey: $('#custom-scrobbler-api-key'),
+			apiSecret: $('#custom-scrobbler-api-secret'),
+			profileUrl: $('#custom-scrobbler-profile-url'),
+		};
+
+		$('#add-scrobbler').click(() => {
+			for (const field in fields) {
+				fields[field].val('').removeClass('is-invalid');
+			}
+			modal.modal('show');
+		});
+
+		$('#custom-scrobbler-ok').click(async() => {
+			const scrobblerData = {};
+			let isValid = true;
+
+			for (const field in fields) {
+				const input = fields[field];
+				const value = input.val().trim();
+
+				const isInvalidValue = !input[0].checkValidity() ||
+					field === 'label' && ScrobbleService.getScrobblerByLabel(value);
+				input.toggleClass('is-invalid', Boolean(isInvalidValue));
+
+				if (isInvalidValue) {
+					isValid = false;
+				} else if (value) {
+					scrobblerData[field] = value;
+				}
+			}
+
+			if (!isValid) {
+				return;
+			}
+
+			await requestAddScrobbler(scrobblerData);
+			await createAccountViews();
+
+			modal.modal('hide');
+		});
+	}
+
+	function initAccountDialog(scrobbler) {
+		const modal = $('#account-modal');
+
+		$('#account-modal-title').text(browser.i18n.getMessage(
+			'accountsAddAccountTitle', scrobbler.getLabel()));
+		$('#account-label').val('').removeClass('is-invalid');
+
+		modal.data('label', scrobbler.getLabel());
+		modal.modal('show');
+	}
+
+	function setupAccountDialog() {
+		$('#account-ok').click(async() => {
+			const modal = $('#account-modal');
+			const input = $('#account-label');
+			const label = input.val().trim();
+
+			const isInvalidLabel = !label ||
+				ScrobbleService.getScrobblerByLabel(label);
+			input.toggleClass('is-invalid', Boolean(isInvalidLabel));
+			if (isInvalidLabel) {
+				return;
+			}
+
+			await requestAddAccount(modal.data('label'), label);
+			await createAccountViews();
+
+			modal.modal('hide');
+		});
+	}
+
+	async function requestAddAccount(serviceLabel, label) {
+		await ScrobblerAccounts.addAccount(serviceLabel, label);
+
+		return browser.runtime.sendMessage({
+			type: 'REQUEST_UPDATE_CUSTOM_SCROBBLERS'
+		});
+	}
+
+	function requestRemoveAccount(scrobbler) {
+		// Queued songs are removed by the background script
+		return browser.runtime.sendMessage({
+			type: 'REQUEST_REMOVE_ACCOUNT', data: { id: scrobbler.getId() }
+		});
+	}
+
+	async function requestAddScrobbler(scrobblerData) {
+		await CustomScrobblers.addScrobbler(scrobblerData);
+
+		return browser.runtime.sendMessage({
+			type: 'REQUEST_UPDATE_CUSTOM_SCROBBLERS'
+		});
+	}
+
+	function requestRemoveScrobbler(scrobbler) {
+		// Queued songs are removed by the background script
+		return browser.runtime.sendMessage({
+			type: 'REQUEST_REMOVE_CUSTOM_SCROBBLER',
+			data: { id: scrobbler.getId() }
+		});
+	}
+
 	function requestAuthenticate(scrobbler) {
 		browser.runtime.sendMessage({
 			type: 'REQUEST_AUTHENTICATE',
-			data: { label: scrobbler.getLabel() }
+			data: { id: scrobbler.getId() }
 		});
 	}
 
-	function requestApplyUserProps(scrobbler, userProps) {
-		// FIXME Called for local instance update
-		scrobbler.applyUserProperties(userProps);
-
-		const label = scrobbler.getLabel();
-		return browser.runtime.sendMessage({
-			type: 'REQUEST_APPLY_USER_OPTIONS', data: { label, userProps }
+	async function requestApplyUserProps(scrobbler, userProps) {
+		const id = scrobbler.getId();
+		// Throws an error if user properties are rejected by the scrobbler
+		await browser.runtime.sendMessage({
+			type: 'REQUEST_APPLY_USER_OPTIONS', data: { id, userProps }
 		});
+
+		// FIXME Called for local instance update
+		await scrobbler.applyUserProperties(userProps);
 	}
 
 	function requestSignOut(scrobbler) {
 		// FIXME Called for local instance update
 		scrobbler.signOut();
 
-		const label = scrobbler.getLabel();
+		const id = scrobbler.getId();
 		return browser.runtime.sendMessage({
-			type: 'REQUEST_SIGN_OUT', data: { label }
+			type: 'REQUEST_SIGN_OUT', data: { id }
 		});
 	}
 
@@ -0,0 +1,87 @@
+'use strict';
+
+define((require) => {
+	const browser = require('webextension-polyfill');
+	const Blocklist = require('storage/blocklist');
+
+	const { BLOCKLIST_FIELDS } = Blocklist;
+
+	/**
+	 * Object that maps blocklist fields to i18n keys of their labels.
+	 * @type {Object}
+	 */
+	const FIELD_LABELS = {
+		artist: 'historyEditArtist',
+		track: 'historyEditTrack',
+		album: 'historyEditAlbum',
+	};
+
+	function initialize() {
+		const modal = $('#blocklist-modal');
+
+		$('#view-blocklist').click(async(e) => {
+			e.preventDefault();
+
+			for (const field of BLOCKLIST_FIELDS) {
+				$(`#blocklist-${field}`).val('');
+			}
+			await updateBlocklist();
+
+			modal.modal('show');
+		});
+
+		$('#blocklist-add').click(async() => {
+			const item = {};
+			for (const field of BLOCKLIST_FIELDS) {
+				item[field] = $(`#blocklist-${field}`).val().trim() || null;
+			}
+
+			const isEmpty = BLOCKLIST_FIELDS.every((field) => !item[field]);
+			$('#blocklist-form input').toggleClass('is-invalid', isEmpty);
+			if (isEmpty) {
+				return;
+			}
+
+			await Blocklist.addItem(item);
+
+			for (const field of BLOCKLIST_FIELDS) {
+				$(`#blocklist-${field}`).val('');
+			}
+			await updateBlocklist();
+		});
+	}
+
+	/**
+	 * Fill the blocklist modal by blocklist items.
+	 */
+	async function updateBlocklist() {
+		const content = $('#blocklist-content').empty();
+		const items = await Blocklist.getItems();
+
+		if (items.length === 0) {
+			content.append($('<li>').attr('i18n', 'blocklistEmpty'));
+			return;
+		}
+
+		for (const item of items) {
+			const description = BLOCKLIST_FIELDS.filter((field) => item[field])
+				.map((field) => {
+					const label = browser.i18n.getMessage(FIELD_LABELS[field]);
+					return `${label}: ${item[field]}`;
+				}).join(', ');
+
+			const removeBtn = $(
+				`<button type="button" class="close close-btn">
+					&times;
+				</button>`);
+			removeBtn.click(async() => {
+				await Blocklist.removeItem(item);
+				await updateBlocklist();
+			});
+
+			content.append($('<li/>').text(description).append(removeBtn));
+		}
+	}
+
+	return { initialize };
+});
@@ -2,11 +2,47 @@
 
 define((require) => {
 	const browser = require('webextension-polyfill');
+	const Options = require('storage/options');
+	const RoutingRules = require('storage/routing-rules');
 	const CustomPatterns = require('storage/custom-patterns');
+	const MetadataFilters = require('storage/metadata-filters');
 	const BrowserStorage = require('storage/browser-storage');
+	const ScrobbleService = require('object/scrobble-service');
 
 	const { getSortedConnectors } = require('util/util-connector');
 
+	const percentValues = [
+		10, 20, 30, 40, 50, 60, 70, 80, 90, 100
+	];
+
+	/**
+	 * Object that maps options which can be overridden for connectors
+	 * to their element IDs.
+	 * @type {Object}
+	 */
+	const OVERRIDES_UI_MAP = {
+		'#conn-conf-scrobble-percent': Options.SCROBBLE_PERCENT,
+		'#conn-conf-force-recognize': Options.FORCE_RECOGNIZE,
+		'#conn-conf-scrobble-podcasts': Options.SCROBBLE_PODCASTS,
+	};
+
+	/**
+	 * Object that maps metadata filter sets to i18n keys of their labels.
+	 * @type {Object}
+	 */
+	const FILTER_SET_LABELS = {
+		youtube: 'metadataFilterYoutube',
+		remastered: 'metadataFilterRemastered',
+		version: 'metadataFilterVersion',
+		live: 'metadataFilterLive',
+		cleanExplicit: 'metadataFilterCleanExplicit',
+		feature: 'metadataFilterFeature',
+		trackSuffix: 'metadataFilterTrackSuffix',
+		htmlEntities: 'metadataFilterHtmlEntities',
+		zeroWidth: 'metadataFilterZeroWidth',
+		trim: 'metadataFilterTrim',
+	};
+
 	const sortedConnectors = getSortedConnectors();
 	const localCache = BrowserStorage.getStorage(BrowserStorage.LOCAL_CACHE);
 
@@ -16,6 +52,16 @@ define((require) => {
 	}
 
 	function initAddPatternDialog() {
+		const scrobblePercentEl = $('#conn-conf-scrobble-percent');
+		for (const val of percentValues) {
+			scrobblePercentEl.append($('<option/>').val(val).text(`${val}%`));
+		}
+
+		const filterSetsEl = $('.conn-conf-filter-sets');
+		for (const name of MetadataFilters.FILTER_SETS) {
+			filterSetsEl.append(createFilterSetSelect(name));
+		}
+
 		$('body').on('click', 'a.conn-config', async(e) => {
 			e.preventDefault();
 
@@ -35,6 +81,34 @@ define((require) => {
 			}
 
 			modal.find('.conn-conf-patterns').html(inputs);
+
+			const scrobblerIds = await RoutingRules.getScrobblerIds(connector.id);
+			const checkboxes = $('<div id="conn-conf-scrobblers"></div>');
+			const scrobblers = await ScrobbleService.loadCustomScrobblers();
+			for (const scrobbler of scrobblers) {
+				const isChecked = scrobblerIds === null ||
+					scrobblerIds.includes(scrobbler.getId());
+
+				checkboxes.append(createScrobblerCheckbox(scrobbler, isChecked));
+			}
+
+			modal.find('.conn-conf-scrobblers').html(checkboxes);
+
+			const overrides = await Options.getConnectorOverrides(connector.id);
+			for (const elementId in OVERRIDES_UI_MAP) {
+				const option = OVERRIDES_UI_MAP[elementId];
+				const value = option in overrides ? overrides[option].toString() : '';
+
+				$(elementId).val(value);
+			}
+
+			const filterSets = await MetadataFilters.getFilterSets(connector.id);
+			for (const name of MetadataFilters.FILTER_SETS) {
+				const value = name in filterSets ? filterSets[name].toString() : '';
+
+				getFilterSetSelect(name).val(value);
+			}
+
 			modal.modal('show');
 		});
 
@@ -58,6 +132,38 @@ define((require) => {
 				CustomPatterns.resetPatterns(connector.id);
 			}
 
+			const checkboxes = $('#conn-conf-scrobblers').find('input:checkbox');
+			const scrobblerIds = checkboxes.filter(':checked').map(function() {
+				return $(this).data('id');
+			}).get();
+
+			if (scrobblerIds.length < checkboxes.length) {
+				RoutingRules.setRule(connector.id, scrobblerIds);
+			} else {
+				RoutingRules.resetRule(connector.id);
+			}
+
+			const overrides = {};
+			for (const elementId in OVERRIDES_UI_MAP) {
+				const option = OVERRIDES_UI_MAP[elementId];
+				const value = $(elementId).val();
+
+				if (value) {
+					overrides[option] = JSON.parse(value);
+				}
+			}
+			Options.setConnectorOverrides(connector.id, overrides);
+
+			const filterSets = {};
+			for (const name of MetadataFilters.FILTER_SETS) {
+				const value = getFilterSetSelect(name).val();
+
+				if (value) {
+					filterSets[name] = JSON.parse(value);
+				}
+			}
+			MetadataFilters.setFilterSets(connector.id, filterSets);
+
 			modal.modal('hide');
 		});
 
@@ -72,6 +178,9 @@ define((require) => {
 			const connector = sortedConnectors[index];
 
 			CustomPatterns.resetPatterns(connector.id);
+			RoutingRules.resetRule(connector.id);
+			Options.setConnectorOverrides(connector.id, {});
+			MetadataFilters.setFilterSets(connector.id, {});
 
 			modal.modal('hide');
 		});
@@ -160,5 +269,44 @@ define((require) => {
 		return containerEl;
 	}
 
+	function createScrobblerCheckbox(scrobbler, isChecked) {
+		const id = `conn-conf-scrobbler-${scrobbler.getId()}`;
+		const containerEl = $('<div class="form-check"/>');
+
+		const inputEl = $('<input class="form-check-input" type="checkbox">');
+		inputEl.attr('id', id).data('id', scrobbler.getId())
+			.prop('checked', isChecked);
+
+		const labelEl = $('<label class="form-check-label"/>');
+		labelEl.attr('for', id).text(scrobbler.getLabel());
+
+		containerEl.append(inputEl, labelEl);
+
+		return containerEl;
+	}
+
+	function createFilterSetSelect(name) {
+		const id = `conn-conf-filter-set-${name}`;
+		const containerEl = $('<div class="form-group"/>');
+
+		const labelEl = $('<label/>');
+		labelEl.attr({ for: id, i18n: FILTER_SET_LABELS[name] });
+
+		const selectEl = $('<select class="custom-select custom-select-sm"/>');
+		selectEl.attr('id', id).append(
+			$('<option value=""/>').attr('i18n', 'metadataFiltersDefault'),
+			$('<option value="true"/>').attr('i18n', 'metadataFiltersEnabled'),
+			$('<option value="false"/>').attr('i18n', 'metadataFiltersDisabled'),
+		);
+
+		containerEl.append(labelEl, selectEl);
+
+		return containerEl;
+	}
+
+	function getFilterSetSelect(name) {
+		return $(`#conn-conf-filter-set-${name}`);
+	}
+
 	return { initialize };
 });
@@ -0,0 +1,355 @@
+'use strict';
+
+define((require) => {
+	const browser = require('webextension-polyfill');
+	const EditRules = require('storage/edit-rules');
+	const UtilEditRules = require('util/util-edit-rules');
+
+	const { getSortedConnectors } = require('util/util-connector');
+
+	const {
+		ACTION_REPLACE, ACTION_SET, ACTION_SWAP, ACTION_SPLIT_FEAT,
+		EDIT_FIELDS, MATCH_FIELDS,
+	} = UtilEditRules;
+
+	/**
+	 * Object that maps actions to i18n keys of their labels.
+	 * @type {Object}
+	 */
+	const ACTION_LABELS = {
+		[ACTION_REPLACE]: 'editRulesActionReplace',
+		[ACTION_SET]: 'editRulesActionSet',
+		[ACTION_SWAP]: 'editRulesActionSwap',
+		[ACTION_SPLIT_FEAT]: 'editRulesActionSplitFeat',
+	};
+
+	/**
+	 * Object that maps song fields to i18n keys of their labels.
+	 * @type {Object}
+	 */
+	const FIELD_LABELS = {
+		artist: 'historyEditArtist',
+		track: 'historyEditTrack',
+		album: 'historyEditAlbum',
+		albumArtist: 'historyEditAlbumArtist',
+	};
+
+	/**
+	 * Object that maps match fields to i18n keys of input placeholders.
+	 * @type {Object}
+	 */
+	const MATCH_PLACEHOLDERS = {
+		artist: 'editRulesMatchArtist',
+		track: 'editRulesMatchTrack',
+		album: 'editRulesMatchAlbum',
+	};
+
+	const sortedConnectors = getSortedConnectors();
+
+	/**
+	 * Song info of the now playing song used to preview rules.
+	 * @type {Object}
+	 */
+	let previewSongInfo = null;
+
+	/**
+	 * ID of a connector of the now playing song.
+	 * @type {String}
+	 */
+	let previewConnectorId = null;
+
+	function initialize() {
+		const modal = $('#edit-rules-modal');
+		const rulesList = $('#edit-rules-list');
+
+		$('#edit-rules').click(async(e) => {
+			e.preventDefault();
+
+			rulesList.empty();
+			for (const rule of await EditRules.getRules()) {
+				rulesList.append(createRuleItem(rule));
+			}
+
+			await loadPreviewSong();
+			updatePreview();
+
+			modal.modal('show');
+		});
+
+		$('#add-edit-rule').click(() => {
+			rulesList.append(createRuleItem({
+				action: ACTION_REPLACE, field: 'track'
+			}));
+			updatePreview();
+		});
+
+		rulesList.on('input change', 'input, select', updatePreview);
+
+		$('#edit-rules-ok').click(async() => {
+			const entries = readRules();
+			if (!entries.every(({ isValid }) => isValid)) {
+				return;
+			}
+
+			await EditRules.setRules(entries.map(({ rule }) => rule));
+			modal.modal('hide');
+		});
+	}
+
+	/**
+	 * Create a list item used to edit a given rule.
+	 * @param  {Object} rule Rule
+	 * @return {Object} List item
+	 */
+	function createRuleItem(rule) {
+		const item = $('<li class="list-group-item edit-rule"/>');
+
+		const connectorSelect = createSelect('connectorId');
+		connectorSelect.append(
+			$('<option value=""/>').attr('i18n', 'editRulesAnyConnector'));
+		for (const connector of sortedConnectors) {
+			connectorSelect.append(
+				$('<option/>').val(connector.id).text(connector.label));
+		}
+		connectorSelect.val(rule.connectorId || '');
+
+		const conditionRow = $('<div class="form-row mb-2"/>');
+		conditionRow.append(createColumn(connectorSelect));
+		for (const field of MATCH_FIELDS) {
+			const input = createInput(field, MATCH_PLACEHOLDERS[field]);
+			conditionRow.append(createColumn(input.val(rule[field] || '')));
+		}
+
+		const actionSelect = createSelect('action');
+		for (const action in ACTION_LABELS) {
+			actionSelect.append(
+				$('<option/>').val(action).attr('i18n', ACTION_LABELS[action]));
+		}
+		actionSelect.val(rule.action);
+
+		const fieldSelect = createSelect('field');
+		for (const field of EDIT_FIELDS) {
+			fieldSelect.append(
+				$('<option/>').val(field).attr('i18n', FIELD_LABELS[field]));
+		}
+		fieldSelect.val(rule.field || EDIT_FIELDS[0]);
+
+		const patternInput = createInput('pattern', 'editRulesPattern');
+		const valueInput = createInput('value', 'editRulesValue');
+
+		const actionRow = $('<div class="form-row"/>');
+		actionRow.append(
+			createColumn(actionSelect),
+			createColumn(fieldSelect),
+			createColumn(patternInput.val(rule.pattern || '')),
+			createColumn(valueInput.val(rule.value || '')),
+			createColumn(createRuleButtons(item)).addClass('col-auto'),
+		);
+
+		actionSelect.on('change', () => updateActionInputs(item));
+
+		item.append(conditionRow, actionRow);
+		updateActionInputs(item);
+
+		return item;
+	}
+
+	/**
+	 * Create buttons used to move and remove a given rule item.
+	 * @param  {Object} item Rule item
+	 * @return {Object} Button group
+	 */
+	function createRuleButtons(item) {
+		const moveUpButton = createButton('&uarr;', 'editRulesMoveUp');
+		moveUpButton.click(() => {
+			item.prev().before(item);
+			updatePreview();
+		});
+
+		const moveDownButton = createButton('&darr;', 'editRulesMoveDown');
+		moveDownButton.click(() => {
+			item.next().after(item);
+			updatePreview();
+		});
+
+		const removeButton = createButton('&times;', 'editRulesRemove');
+		removeButton.click(() => {
+			item.remove();
+			updatePreview();
+		});
+
+		return $('<div class="btn-group btn-group-sm"/>').append(
+			moveUpButton, moveDownButton, removeButton);
+	}
+
+	/**
+	 * Show inputs used by a selected action of a given rule item only.
+	 * @param  {Object} item Rule item
+	 */
+	function updateActionInputs(item) {
+		const action = getRuleProp(item, 'action').val();
+
+		const hasField = action !== ACTION_SWAP;
+		const hasPattern = action === ACTION_REPLACE;
+		const hasValue = action === ACTION_REPLACE || action === ACTION_SET;
+
+		getRuleProp(item, 'field').parent().toggleClass('d-none', !hasField);
+		getRuleProp(item, 'pattern').parent().toggleClass('d-none', !hasPattern);
+		getRuleProp(item, 'value').parent().toggleClass('d-none', !hasValue);
+	}
+
+	/**
+	 * Get rules from the rules list and mark invalid inputs.
+	 * @return {Array} Array of objects contain a rule and its validity
+	 */
+	function readRules() {
+		return $('#edit-rules-list .edit-rule').map(function() {
+			const item = $(this);
+			const rule = getRuleFromItem(item);
+			const isValid = validateRuleItem(item, rule);
+
+			return { rule, isValid };
+		}).get();
+	}
+
+	/**
+	 * Create a rule from values of a given rule item.
+	 * @param  {Object} item Rule item
+	 * @return {Object} Rule
+	 */
+	function getRuleFromItem(item) {
+		const rule = {};
+
+		item.find('[data-prop]').each(function() {
+			const input = $(this);
+			if (input.parent().hasClass('d-none')) {
+				return;
+			}
+
+			const value = input.val();
+			if (value) {
+				rule[input.data('prop')] = value;
+			}
+		});
+
+		return rule;
+	}
+
+	/**
+	 * Mark invalid inputs of a given rule item.
+	 * @param  {Object} item Rule item
+	 * @param  {Object} rule Rule created from the item
+	 * @return {Boolean} True if the rule is valid
+	 */
+	function validateRuleItem(item, rule) {
+		for (const prop of [...MATCH_FIELDS, 'pattern']) {
+			const isValid = UtilEditRules.isRegExpValid(rule[prop]);
+			getRuleProp(item, prop).toggleClass('is-invalid', !isValid);
+		}
+
+		if (rule.action === ACTION_REPLACE && !rule.pattern) {
+			getRuleProp(item, 'pattern').addClass('is-invalid');
+		}
+
+		return UtilEditRules.isRuleValid(rule);
+	}
+
+	/**
+	 * Load info of the now playing song to preview rules.
+	 */
+	async function loadPreviewSong() {
+		previewSongInfo = null;
+		previewConnectorId = null;
+
+		let songData = null;
+		try {
+			const tabId = await browser.runtime.sendMessage({
+				type: 'REQUEST_ACTIVE_TABID'
+			});
+			songData = await browser.runtime.sendMessage({
+				type: 'REQUEST_GET_SONG', tabId
+			});
+		} catch (e) {
+			// No song is playing
+		}
+
+		if (!songData) {
+			return;
+		}
+
+		const { parsed, connectorLabel } = songData;
+		const connector = sortedConnectors.find((c) => {
+			return c.label === connectorLabel;
+		});
+
+		previewSongInfo = {};
+		for (const field of EDIT_FIELDS) {
+			previewSongInfo[field] = parsed[field] || null;
+		}
+		previewConnectorId = connector ? connector.id : null;
+	}
+
+	/**
+	 * Show the now playing song edited by rules from the rules list.
+	 */
+	function updatePreview() {
+		const preview = $('#edit-rules-preview').empty();
+		const rules = readRules()
+			.filter(({ isValid }) => isValid)
+			.map(({ rule }) => rule);
+
+		if (!previewSongInfo) {
+			preview.append(
+				$('<p class="text-muted mb-0"/>').attr('i18n', 'editRulesNoSong'));
+			return;
+		}
+
+		const editedInfo = UtilEditRules.applyEditRules(
+			previewSongInfo, previewConnectorId, rules);
+
+		const table = $('<table class="table table-sm mb-0"/>');
+		table.append($('<tr/>').append(
+			$('<th/>'),
+			$('<th/>').attr('i18n', 'editRulesPreviewOriginal'),
+			$('<th/>').attr('i18n', 'editRulesPreviewEdited'),
+		));
+
+		for (const field of EDIT_FIELDS) {
+			const isChanged = editedInfo[field] !== previewSongInfo[field];
+			const editedCell = $('<td/>').text(editedInfo[field] || '');
+
+			table.append($('<tr/>').append(
+				$('<th/>').attr('i18n', FIELD_LABELS[field]),
+				$('<td/>').text(previewSongInfo[field] || ''),
+				editedCell.toggleClass('text-success', isChanged),
+			));
+		}
+
+		preview.append(table);
+	}
+
+	function getRuleProp(item, prop) {
+		return item.find(`[data-prop="${prop}"]`);
+	}
+
+	function createColumn(element) {
+		return $('<div class="col"/>').append(element);
+	}
+
+	function createSelect(prop) {
+		return $('<select class="custom-select custom-select-sm"/>')
+			.attr('data-prop', prop);
+	}
+
+	function createInput(prop, placeholder) {
+		return $('<input type="text" class="form-control form-control-sm"/>')
+			.attr({ 'data-prop': prop, 'i18n-placeholder': placeholder });
+	}
+
+	function createButton(text, title) {
+		return $('<button type="button" class="btn btn-outline-secondary"/>')
+			.html(text).attr('i18n-title', title);
+	}
+
+	return { initialize };
+});
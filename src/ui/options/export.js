@@ -1,9 +1,24 @@
 'use strict';
 
 define((require) => {
+	const browser = require('webextension-polyfill');
+	const History = require('options/history');
+	const UtilHistory = require('util/util-history');
 	const BrowserStorage = require('storage/browser-storage');
+	const ScrobbleHistory = require('storage/scrobble-history');
 
 	const EXPORT_FILENAME = 'local-cache.json';
+	const HISTORY_FILENAME = 'scrobble-history';
+
+	/**
+	 * Object that maps history formats to file extensions.
+	 * @type {Object}
+	 */
+	const HISTORY_FILE_EXTENSIONS = {
+		[UtilHistory.FORMAT_CSV]: '.csv',
+		[UtilHistory.FORMAT_JSON]: '.json',
+		[UtilHistory.FORMAT_JSONL]: '.jsonl',
+	};
 
 	const localCache = BrowserStorage.getStorage(BrowserStorage.LOCAL_CACHE);
 
@@ -17,6 +32,16 @@ define((require) => {
 			e.preventDefault();
 			importLocalStorage();
 		});
+
+		$('.export-history').click((e) => {
+			e.preventDefault();
+			exportHistory($(e.currentTarget).data('format'));
+		});
+
+		$('#import-history').click((e) => {
+			e.preventDefault();
+			importHistory();
+		});
 	}
 
 	/**
@@ -25,12 +50,80 @@ define((require) => {
 	async function exportLocalCache() {
 		const data = await localCache.get();
 		const dataStr = JSON.stringify(data, null, 2);
+
+		saveFile(dataStr, EXPORT_FILENAME);
+	}
+
+	/**
+	 * Import LocalCache storage from a file.
+	 */
+	function importLocalStorage() {
+		const resultEl = $('#edited-import-result');
+
+		openFile('.json', resultEl, async(dataStr) => {
+			const data = JSON.parse(dataStr);
+			await localCache.update(data);
+		});
+	}
+
+	/**
+	 * Export scrobble history to a file in given format.
+	 * @param  {String} format History format
+	 */
+	async function exportHistory(format) {
+		const entries = await ScrobbleHistory.getAllEntries();
+		const dataStr = UtilHistory.exportEntries(entries, format);
+		const extension = HISTORY_FILE_EXTENSIONS[format];
+
+		saveFile(dataStr, `${HISTORY_FILENAME}${extension}`);
+	}
+
+	/**
+	 * Import scrobble history from a file. Format is detected by file
+	 * extension; entries which are already in the history are skipped.
+	 */
+	function importHistory() {
+		const extensions = Object.values(HISTORY_FILE_EXTENSIONS);
+		const resultEl = $('#history-import-result');
+
+		openFile(extensions.join(','), resultEl, async(dataStr, fileName) => {
+			const format = Object.keys(HISTORY_FILE_EXTENSIONS).find((format) => {
+				return fileName.endsWith(HISTORY_FILE_EXTENSIONS[format]);
+			});
+
+			let entries = null;
+			try {
+				entries = UtilHistory.importEntries(dataStr, format);
+			} catch (err) {
+				console.warn(`Unable to import history: ${err.message}`);
+				resultEl.text(browser.i18n.getMessage('historyImportError'));
+				return;
+			}
+
+			const existingEntries = await ScrobbleHistory.getAllEntries();
+			const newEntries = UtilHistory.removeDuplicates(entries, existingEntries);
+			await ScrobbleHistory.addEntries(newEntries);
+
+			resultEl.text(browser.i18n.getMessage('historyImportResult', [
+				newEntries.length.toString(),
+				(entries.length - newEntries.length).toString()
+			]));
+			History.reloadEntries();
+		});
+	}
+
+	/**
+	 * Save given string to a file.
+	 * @param  {String} dataStr File content
+	 * @param  {String} fileName File name
+	 */
+	function saveFile(dataStr, fileName) {
 		const blob = new Blob([dataStr], { 'type': 'application/octet-stream' });
 		const url = URL.createObjectURL(blob);
 
 		const a = document.createElement('a');
 		a.href = url;
-		a.download = EXPORT_FILENAME;
+		a.download = fileName;
 		a.dispatchEvent(new MouseEvent('click'));
 		a.remove();
 
@@ -38,14 +131,18 @@ define((require) => {
 	}
 
 	/**
-	 * Import LocalCache storage from a file.
+	 * Ask user to choose a file and read its content. If the file cannot
+	 * be imported, an error is displayed in a given element.
+	 * @param  {String} accept Comma-separated list of file extensions
+	 * @param  {Object} resultEl Element to display import result
+	 * @param  {Function} callback Function called with file content and name
 	 */
-	function importLocalStorage() {
+	function openFile(accept, resultEl, callback) {
 		const fileInput = document.createElement('input');
 
 		fileInput.style.display = 'none';
 		fileInput.type = 'file';
-		fileInput.accept = '.json';
+		fileInput.accept = accept;
 		fileInput.acceptCharset = 'utf-8';
 
 		document.body.appendChild(fileInput);
@@ -58,12 +155,18 @@ define((require) => {
 				const file = fileInput.files[0];
 
 				const reader = new FileReader();
-				reader.onloadend = (event) => {
+				reader.onloadend = async(event) => {
 					const dataStr = event.target.result;
-					const data = JSON.parse(dataStr);
-
-					localCache.update(data).then(fileInput.remove);
-
+					resultEl.text('');
+
+					try {
+						await callback(dataStr, file.name);
+					} catch (err) {
+						console.warn(`Unable to import file: ${err.message}`);
+						resultEl.text(browser.i18n.getMessage('optionsImportError'));
+					} finally {
+						fileInput.remove();
+					}
 				};
 				reader.readAsText(file, 'utf-8');
 			}
@@ -0,0 +1,262 @@
+'use strict';
+
+define((require) => {
+	const browser = require('webextension-polyfill');
+	const ScrobbleService = require('object/scrobble-service');
+	const UtilHistory = require('util/util-history');
+	const ScrobbleHistory = require('storage/scrobble-history');
+
+	const { getSortedConnectors } = require('util/util-connector');
+
+	const PAGE_SIZE = 20;
+	const SEARCH_DELAY = 300;
+
+	const defaultTrackArtUrl = '/icons/cover_art_default.png';
+
+	const statusBadgeClasses = {
+		[UtilHistory.STATUS_OK]: 'badge-success',
+		[UtilHistory.STATUS_IGNORED]: 'badge-secondary',
+		[UtilHistory.STATUS_FAILED]: 'badge-danger',
+	};
+
+	const statusTitles = {
+		[UtilHistory.STATUS_OK]: 'historyStatusOk',
+		[UtilHistory.STATUS_IGNORED]: 'historyStatusIgnored',
+		[UtilHistory.STATUS_FAILED]: 'historyStatusFailed',
+	};
+
+	let loadedCount = 0;
+	let searchTimeoutId = null;
+
+	/**
+	 * ID of the last request of entries. Responses of previous requests
+	 * are not displayed, since they are stale.
+	 * @type {Number}
+	 */
+	let lastRequestId = 0;
+
+	async function initialize() {
+		initFilters();
+		initEditDialog();
+
+		$('#history-more').click(() => {
+			loadEntries(loadedCount);
+		});
+
+		$('#collapseHistory').on('show.bs.collapse', () => {
+			reloadEntries();
+		});
+	}
+
+	function initFilters() {
+		const connectorSelect = $('#history-connector');
+		for (const connector of getSortedConnectors()) {
+			const option = $('<option/>')
+				.val(connector.id).text(connector.label);
+			connectorSelect.append(option);
+		}
+
+		$('#history-filters').on('submit', (e) => {
+			e.preventDefault();
+		});
+		$('#history-filters').find('select, input[type="date"]').change(() => {
+			reloadEntries();
+		});
+		$('#history-query').on('input', () => {
+			clearTimeout(searchTimeoutId);
+			searchTimeoutId = setTimeout(reloadEntries, SEARCH_DELAY);
+		});
+	}
+
+	function initEditDialog() {
+		const modal = $('#history-edit-modal');
+		const errorEl = $('#history-edit-error');
+		const fields = {
+			artist: $('#history-edit-artist'),
+			track: $('#history-edit-track'),
+			album: $('#history-edit-album'),
+			albumArtist: $('#history-edit-album-artist'),
+		};
+
+		$('#history-list').on('click', '.history-edit', (e) => {
+			e.preventDefault();
+
+			const entry = $(e.currentTarget).closest('li').data('entry');
+			const { parsed, processed } = entry.song;
+
+			for (const field in fields) {
+				const value = processed[field] || parsed[field] || '';
+				fields[field].val(value).removeClass('is-invalid');
+			}
+
+			errorEl.text('');
+			modal.data('entry', entry);
+			modal.modal('show');
+		});
+
+		$('#history-edit-ok').click(async() => {
+			const entry = modal.data('entry');
+			const songInfo = {};
+			let isValid = true;
+
+			for (const field in fields) {
+				const input = fields[field];
+				const value = input.val().trim();
+
+				const isInvalidValue = !input[0].checkValidity();
+				input.toggleClass('is-invalid', isInvalidValue);
+				if (isInvalidValue) {
+					isValid = false;
+				}
+
+				songInfo[field] = value || null;
+			}
+
+			if (!isValid) {
+				return;
+			}
+
+			let updatedEntry = null;
+			try {
+				updatedEntry = await browser.runtime.sendMessage({
+					type: 'REQUEST_RESUBMIT_SCROBBLE',
+					data: { id: entry.id, songInfo },
+				});
+			} catch (err) {
+				errorEl.text(browser.i18n.getMessage('historyResubmitError'));
+				return;
+			}
+			$(`#history-entry-${entry.id}`).replaceWith(
+				createEntryView(updatedEntry));
+
+			modal.modal('hide');
+		});
+	}
+
+	function getFilters() {
+		const from = $('#history-from')[0].valueAsNumber;
+		const to = $('#history-to')[0].valueAsNumber;
+
+		return {
+			query: $('#history-query').val().trim() || null,
+			connectorId: $('#history-connector').val() || null,
+			status: $('#history-status').val() || null,
+			from: isNaN(from) ? null : Math.floor(from / 1000),
+			// Include the whole day
+			to: isNaN(to) ? null : Math.floor(to / 1000) + 24 * 60 * 60 - 1,
+		};
+	}
+
+	function reloadEntries() {
+		return loadEntries(0);
+	}
+
+	/**
+	 * Load a page of entries matching current filters. Loaded entries
+	 * replace displayed ones if the page is the first one.
+	 * @param  {Number} offset Number of entries to skip
+	 */
+	async function loadEntries(offset) {
+		const requestId = ++lastRequestId;
+		const options = Object.assign({
+			offset, limit: PAGE_SIZE
+		}, getFilters());
+		const { entries, total } = await ScrobbleHistory.getEntries(options);
+		// Results are stored by scrobbler IDs; labels are displayed instead
+		await ScrobbleService.loadCustomScrobblers();
+
+		if (requestId !== lastRequestId) {
+			return;
+		}
+
+		const historyList = $('#history-list');
+		if (offset === 0) {
+			historyList.empty();
+		}
+		for (const entry of entries) {
+			historyList.append(createEntryView(entry));
+		}
+		loadedCount = offset + entries.length;
+
+		$('#history-total').text(browser.i18n.getMessage(
+			'historyTotal', total.toString()));
+		$('#history-more').toggle(loadedCount < total);
+	}
+
+	function createEntryView(entry) {
+		const { song, connector, results, timestamp } = entry;
+		const { parsed, processed, metadata } = song;
+
+		const artist = processed.artist || parsed.artist;
+		const track = processed.track || parsed.track;
+		const album = processed.album || parsed.album;
+		const trackArtUrl = parsed.trackArt || metadata.trackArtUrl;
+
+		const item = $('<li class="list-group-item history-entry"/>')
+			.attr('id', `history-entry-${entry.id}`)
+			.data('entry', entry);
+
+		const trackArt = $('<img class="history-entry-art" alt=""/>')
+			.attr('src', trackArtUrl || defaultTrackArtUrl);
+
+		const info = $('<div class="history-entry-info"/>');
+		info.append($('<div class="text-truncate"/>').text(`${artist} — ${track}`));
+		if (album) {
+			info.append($('<div class="text-truncate text-muted"/>').text(album));
+		}
+
+		const date = new Date(timestamp * 1000).toLocaleString();
+		const source = connector ? `${date}, ${connector.label}` : date;
+		info.append($('<small class="text-muted d-block"/>').text(source));
+
+		let isResubmitAllowed = false;
+		const badges = $('<div/>');
+		for (const scrobblerId in results) {
+			const status = UtilHistory.getResultStatus(results[scrobblerId]);
+			if (status !== UtilHistory.STATUS_OK) {
+				isResubmitAllowed = true;
+			}
+
+			badges.append(createResultBadge(scrobblerId, results[scrobblerId]));
+		}
+
+		if (isResubmitAllowed) {
+			const editBtn = $('<a class="card-link history-edit" href="#"/>')
+				.attr('i18n', 'historyEditAndResubmit');
+			badges.append(editBtn);
+		}
+		info.append(badges);
+
+		item.append(trackArt, info);
+
+		return item;
+	}
+
+	/**
+	 * Create a badge displaying result of a scrobble attempt.
+	 * @param  {String} scrobblerId Scrobbler ID
+	 * @param  {String} result API call result
+	 * @return {Object} Badge element
+	 */
+	function createResultBadge(scrobblerId, result) {
+		const status = UtilHistory.getResultStatus(result);
+
+		return $('<span class="badge"/>')
+			.addClass(statusBadgeClasses[status])
+			.attr('title', browser.i18n.getMessage(statusTitles[status]))
+			.text(getScrobblerLabel(scrobblerId));
+	}
+
+	/**
+	 * Get label of a scrobbler with given ID. Removed scrobblers are
+	 * displayed by their IDs.
+	 * @param  {String} scrobblerId Scrobbler ID
+	 * @return {String} Scrobbler label
+	 */
+	function getScrobblerLabel(scrobblerId) {
+		const scrobbler = ScrobbleService.getScrobblerById(scrobblerId);
+		return scrobbler ? scrobbler.getLabel() : scrobblerId;
+	}
+
+	return { initialize, reloadEntries, createResultBadge };
+});
@@ -3,14 +3,19 @@
 require([
 	'webextension-polyfill',
 	'options/accounts',
+	'options/blocklist',
 	'options/connectors',
 	'options/dialogs',
+	'options/edit-rules',
 	'options/export',
+	'options/history',
+	'options/manual-scrobble',
 	'options/options',
 	'util/util-browser',
 	'bootstrap'
 ],
-(browser, Accounts, Connectors, Dialogs, Export, Options, Util) => {
+(browser, Accounts, Blocklist, Connectors, Dialogs, EditRules, Export,
+	History, ManualScrobble, Options, Util) => {
 	const GITHUB_RELEASES_URL =
 		'https://github.com/web-scrobbler/web-scrobbler/releases/tag';
 	const GITHUB_RAW_SRC =
@@ -20,9 +25,13 @@ require([
 		await Promise.all([
 			Connectors.initialize(),
 			Accounts.initialize(),
+			Blocklist.initialize(),
 			Dialogs.initialize(),
+			EditRules.initialize(),
 			Options.initialize(),
 			Export.initialize(),
+			History.initialize(),
+			ManualScrobble.initialize(),
 		]);
 
 		updateSections();
@@ -39,6 +48,10 @@ require([
 				$('#collapseOptions').collapse('show');
 				$('#collapseContacts').collapse('hide');
 				break;
+			case '#history':
+				$('#collapseHistory').collapse('show');
+				$('#collapseContacts').collapse('hide');
+				break;
 		}
 	}
 
@@ -0,0 +1,129 @@
+'use strict';
+
+define((require) => {
+	const browser = require('webextension-polyfill');
+	const History = require('options/history');
+	const ServiceCallResult = require('object/service-call-result');
+
+	function initialize() {
+		const modal = $('#manual-scrobble-modal');
+		const fields = {
+			artist: $('#manual-scrobble-artist'),
+			track: $('#manual-scrobble-track'),
+			album: $('#manual-scrobble-album'),
+			albumArtist: $('#manual-scrobble-album-artist'),
+		};
+		const timeInput = $('#manual-scrobble-time');
+		const forceCheckbox = $('#manual-scrobble-force');
+
+		$('#add-scrobble').click((e) => {
+			e.preventDefault();
+
+			for (const field in fields) {
+				fields[field].val('').removeClass('is-invalid');
+			}
+
+			const now = toDateTimeLocalString(new Date());
+			timeInput.val(now).attr('max', now).removeClass('is-invalid');
+			forceCheckbox.prop('checked', false);
+			$('#manual-scrobble-results').empty();
+
+			modal.modal('show');
+		});
+
+		$('#manual-scrobble-ok').click(async() => {
+			const songInfo = {};
+			let isValid = true;
+
+			for (const field in fields) {
+				const input = fields[field];
+				const value = input.val().trim();
+
+				const isInvalidValue = !input[0].checkValidity() ||
+					input.prop('required') && !value;
+				input.toggleClass('is-invalid', isInvalidValue);
+				if (isInvalidValue) {
+					isValid = false;
+				}
+
+				songInfo[field] = value || null;
+			}
+
+			// Value of `datetime-local` input is parsed as local time
+			const time = new Date(timeInput.val()).getTime();
+			const isInvalidTime = isNaN(time) || time > Date.now();
+			timeInput.toggleClass('is-invalid', isInvalidTime);
+
+			if (!isValid || isInvalidTime) {
+				return;
+			}
+
+			const okButton = $('#manual-scrobble-ok').prop('disabled', true);
+			try {
+				const response = await browser.runtime.sendMessage({
+					type: 'REQUEST_SCROBBLE_SONG',
+					data: {
+						songInfo,
+						timestamp: Math.floor(time / 1000),
+						force: forceCheckbox.prop('checked'),
+					},
+				});
+
+				showResults(response.isValid, response.results);
+				if (response.isValid) {
+					History.reloadEntries();
+				}
+			} finally {
+				okButton.prop('disabled', false);
+			}
+		});
+	}
+
+	function showResults(isRecognized, results) {
+		const resultsList = $('#manual-scrobble-results').empty();
+
+		if (!isRecognized) {
+			const item = $('<li class="list-group-item text-danger"/>')
+				.attr('i18n', 'manualScrobbleUnrecognized');
+			resultsList.append(item);
+			return;
+		}
+
+		const scrobblerIds = Object.keys(results);
+		if (scrobblerIds.length === 0) {
+			const item = $('<li class="list-group-item text-muted"/>')
+				.attr('i18n', 'manualScrobbleNoServices');
+			resultsList.append(item);
+			return;
+		}
+
+		for (const scrobblerId of scrobblerIds) {
+			const result = results[scrobblerId];
+			let description = ServiceCallResult.ERROR_DESCRIPTIONS[result];
+			if (result === ServiceCallResult.RESULT_OK) {
+				description = 'manualScrobbleOk';
+			} else if (result === ServiceCallResult.RESULT_IGNORE) {
+				description = 'manualScrobbleIgnored';
+			}
+
+			const badge = History.createResultBadge(scrobblerId, result);
+			const text = $('<span class="ml-2"/>')
+				.text(browser.i18n.getMessage(description));
+
+			resultsList.append(
+				$('<li class="list-group-item"/>').append(badge, text));
+		}
+	}
+
+	/**
+	 * Format given date to a string used as `datetime-local` input value.
+	 * @param  {Object} date Date instance
+	 * @return {String} Formatted date
+	 */
+	function toDateTimeLocalString(date) {
+		const localTime = date.getTime() - date.getTimezoneOffset() * 60 * 1000;
+		return new Date(localTime).toISOString().slice(0, 16);
+	}
+
+	return { initialize };
+});
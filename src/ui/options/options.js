@@ -20,7 +20,20 @@ define((require) => {
 		'#use-notifications': Options.USE_NOTIFICATIONS,
 		'#use-unrecognized-song-notifications': Options.USE_UNRECOGNIZED_SONG_NOTIFICATIONS,
 		'#scrobble-podcasts': Options.SCROBBLE_PODCASTS,
+		'#skip-inaudible-tabs': Options.SKIP_INAUDIBLE_TABS,
 	};
+
+	/**
+	 * Object that maps numeric options to their element IDs.
+	 * @type {Object}
+	 */
+	const NUMERIC_OPTIONS_UI_MAP = {
+		'#maxScrobbleTime': Options.MAX_SCROBBLE_TIME,
+		'#minTrackDuration': Options.MIN_TRACK_DURATION,
+		'#defaultScrobbleTime': Options.DEFAULT_SCROBBLE_TIME,
+		'#nowPlayingRefreshInterval': Options.NOW_PLAYING_REFRESH_INTERVAL,
+	};
+
 	const CONNECTORS_OPTIONS_UI_MAP = {
 		Tidal: {
 			'#tdl-short-track-names': 'useShortTrackNames'
@@ -61,6 +74,30 @@ define((require) => {
 			Options.setOption(Options.SCROBBLE_PERCENT, percent);
 		});
 
+		const multiTabPolicyEl = $('#multiTabPolicy');
+
+		multiTabPolicyEl.val(await Options.getOption(Options.MULTI_TAB_POLICY));
+		multiTabPolicyEl.on('change', function() {
+			Options.setOption(Options.MULTI_TAB_POLICY, this.value);
+		});
+
+		for (const optionId in NUMERIC_OPTIONS_UI_MAP) {
+			const option = NUMERIC_OPTIONS_UI_MAP[optionId];
+			const { min, max } = Options.OPTION_RANGES[option];
+
+			$(optionId).attr({ min, max }).on('change', function() {
+				const isValid = this.value !== '' && this.checkValidity();
+				$(this).toggleClass('is-invalid', !isValid);
+
+				if (isValid) {
+					Options.setOption(option, Number(this.value));
+				}
+			});
+
+			const optionValue = await Options.getOption(option);
+			$(optionId).val(optionValue);
+		}
+
 		$(optionsContainerId).bind('click', function(event) {
 			if (event.altKey) {
 				showHiddenOptions();
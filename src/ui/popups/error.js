@@ -0,0 +1,38 @@
+'use strict';
+
+require([
+	'webextension-polyfill',
+	'object/service-call-result',
+], (browser, ServiceCallResult) => {
+	/**
+	 * Entry point.
+	 */
+	async function main() {
+		const tabId = await browser.runtime.sendMessage({
+			type: 'REQUEST_ACTIVE_TABID'
+		});
+
+		let song = null;
+		try {
+			song = await browser.runtime.sendMessage({
+				type: 'REQUEST_GET_SONG', tabId
+			});
+		} catch (err) {
+			// Do nothing
+		}
+
+		if (!song || !song.metadata.errorResult) {
+			return;
+		}
+
+		const { errorResult } = song.metadata;
+		const descriptionId = ServiceCallResult.ERROR_DESCRIPTIONS[errorResult];
+		if (descriptionId) {
+			$('#error-reason').text(browser.i18n.getMessage(descriptionId));
+		}
+	}
+
+	$(document).ready(() => {
+		main();
+	});
+});
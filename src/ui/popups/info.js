@@ -4,7 +4,8 @@ require([
 	'webextension-polyfill',
 	'popups/info.popup',
 	'popups/info.view',
-], (browser, InfoPopup, InfoPopupView) => {
+	'storage/scrobble-queue',
+], (browser, InfoPopup, InfoPopupView, ScrobbleQueue) => {
 	/** General code */
 
 	/**
@@ -22,6 +23,9 @@ require([
 		});
 
 		infoPopupView.getInfoPopup().setSong(await requestCurrentSong());
+		infoPopupView.getInfoPopup().setPendingScrobbleCount(
+			await ScrobbleQueue.getPendingCount()
+		);
 	}
 
 	/** Implementations */
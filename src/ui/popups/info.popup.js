@@ -82,22 +82,27 @@ class InfoPopup {
 		this.view.setUserLovedIcon(userloved);
 		this.view.setUserPlayCount(userPlayCount);
 		this.view.setConnectorLabel(this.song.connectorLabel);
+		this.view.setFilteredInfo(
+			this.song.parsed.originalInfo || {}, this.song.parsed);
 	}
 
 	updateControls() {
 		if (this.mode === modeInfo) {
-			const { isCorrectedByUser, isScrobbled, isSkipped } = this.song.flags;
+			const {
+				isCorrectedByUser, isScrobbled, isSkipped, isBlocked
+			} = this.song.flags;
 			const isEnabled = !(isScrobbled || isSkipped);
 
 			this.view.setRevertButtonVisible(isCorrectedByUser);
 			this.view.setSkipButtonVisible(!isSkipped);
 			this.view.setUnskipButtonVisible(isSkipped);
+			this.view.setBlockButtonsVisible(!isSkipped);
 
 			this.view.setEditButtonState(isEnabled);
 			this.view.setRevertButtonState(isEnabled);
 
 			this.view.setSkipButtonState(!isScrobbled);
-			this.view.setUnskipButtonState(false);
+			this.view.setUnskipButtonState(false, isBlocked);
 		} else if (this.mode === modeEdit) {
 			const isEnabled = InfoPopup.areTrackFieldsComplete(this.trackFields);
 
@@ -141,6 +146,10 @@ class InfoPopup {
 		}
 	}
 
+	setPendingScrobbleCount(count) {
+		this.view.setPendingScrobbleCount(count);
+	}
+
 	/** Control listeners */
 
 	onEditBtnClick() {
@@ -156,6 +165,14 @@ class InfoPopup {
 		this.sendMessage('REQUEST_SKIP_SONG');
 	}
 
+	onBlockTrackBtnClick() {
+		this.sendMessage('REQUEST_BLOCK_SONG', { isArtistBlocked: false });
+	}
+
+	onBlockArtistBtnClick() {
+		this.sendMessage('REQUEST_BLOCK_SONG', { isArtistBlocked: true });
+	}
+
 	onSwapBtnClick() {
 		this.swapArtistAndTrack();
 	}
@@ -10,6 +10,8 @@ const editBtnId = '#edit-link';
 const loveBtnId = '#love-link';
 const skipBtnId = '#skip-link';
 const unskipBtnId = '#unskip-link';
+const blockTrackBtnId = '#block-track-link';
+const blockArtistBtnId = '#block-artist-link';
 const submitBtnId = '#submit-link';
 const swapBtnId = '#swap-link';
 const revertBtnId = '#revert-link';
@@ -23,6 +25,13 @@ const fieldTitleMap = {
 	albumArtist: 'infoViewArtistPage',
 };
 
+const fieldLabelMap = {
+	album: 'historyEditAlbum',
+	track: 'historyEditTrack',
+	artist: 'historyEditArtist',
+	albumArtist: 'historyEditAlbumArtist',
+};
+
 const defaultTrackArtUrl = '/icons/cover_art_default.png';
 
 class InfoPopupView {
@@ -35,6 +44,8 @@ class InfoPopupView {
 			[editBtnId]: this.infoPopup.onEditBtnClick,
 			[revertBtnId]: this.infoPopup.onRevertBtnClick,
 			[skipBtnId]: this.infoPopup.onSkipBtnClick,
+			[blockTrackBtnId]: this.infoPopup.onBlockTrackBtnClick,
+			[blockArtistBtnId]: this.infoPopup.onBlockArtistBtnClick,
 			[submitBtnId]: this.infoPopup.onSubmitBtnClick,
 			[swapBtnId]: this.infoPopup.onSwapBtnClick,
 		};
@@ -110,6 +121,35 @@ class InfoPopupView {
 		}
 	}
 
+	setPendingScrobbleCount(count) {
+		if (count === 0) {
+			$('#pendingCount').prop('hidden', true);
+		} else {
+			$('#pendingCount').prop('hidden', false);
+			$('#pendingCount').attr('title', this.i18n('infoPendingScrobbles', count));
+			$('#pendingCountLabel').text(count);
+		}
+	}
+
+	setFilteredInfo(originalInfo, filteredInfo) {
+		const fields = Object.keys(originalInfo);
+		if (fields.length === 0) {
+			$('#filteredInfo').prop('hidden', true);
+			return;
+		}
+
+		const lines = fields.map((field) => {
+			const fieldLabel = this.i18n(fieldLabelMap[field]);
+			const filteredValue = filteredInfo[field] || '';
+
+			return `${fieldLabel}: ${originalInfo[field]} → ${filteredValue}`;
+		});
+		lines.unshift(this.i18n('infoFilteredInfo'));
+
+		$('#filteredInfo').prop('hidden', false);
+		$('#filteredInfo').attr('title', lines.join('\n'));
+	}
+
 	showDebugInfo(data) {
 		$('#debug').prop('hidden', false);
 		$('#debug pre').text(data);
@@ -155,16 +195,23 @@ class InfoPopupView {
 		);
 	}
 
-	setUnskipButtonState(flag) {
-		this.setButtonState(
-			unskipBtnId, flag, 'infoSkippedTitle', 'infoSkippedTitle'
-		);
+	setUnskipButtonState(flag, isBlocked = false) {
+		const titleId = isBlocked ? 'infoBlockedTitle' : 'infoSkippedTitle';
+		this.setButtonState(unskipBtnId, flag, titleId, titleId);
 	}
 
 	setUnskipButtonVisible(flag) {
 		$(unskipBtnId).prop('hidden', !flag);
 	}
 
+	setBlockButtonsVisible(flag) {
+		$(blockTrackBtnId).prop('hidden', !flag);
+		$(blockArtistBtnId).prop('hidden', !flag);
+
+		this.setButtonTitle(blockTrackBtnId, 'infoBlockTrackTitle');
+		this.setButtonTitle(blockArtistBtnId, 'infoBlockArtistTitle');
+	}
+
 	/** Fields */
 
 	getEditedTrackFields() {
@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * Tests for 'AudioScrobbler' module.
+ */
+
+const expect = require('chai').expect;
+const AudioScrobbler = require('../../src/core/background/scrobbler/audioscrobbler');
+const ServiceCallResult = require('../../src/core/background/object/service-call-result');
+
+const {
+	RESULT_OK, RESULT_IGNORE, ERROR_OTHER,
+	ERROR_RATE_LIMIT, ERROR_TEMPORARY, ERROR_INVALID_DATA,
+} = ServiceCallResult;
+
+/**
+ * Create a scrobble item of `track.scrobble` response.
+ * @param  {String} code Code of ignored message
+ * @return {Object} Scrobble item
+ */
+function makeScrobbleItem(code) {
+	return { ignoredMessage: { code, '#text': '' } };
+}
+
+const PROCESS_SCROBBLES_DATA = [{
+	description: 'should return OK result for accepted single scrobble',
+	args: [{
+		scrobble: makeScrobbleItem('0'),
+		'@attr': { accepted: '1', ignored: '0' },
+	}, 1],
+	expected: [RESULT_OK],
+}, {
+	description: 'should return ignore result for ignored single scrobble',
+	args: [{
+		scrobble: makeScrobbleItem('1'),
+		'@attr': { accepted: '0', ignored: '1' },
+	}, 1],
+	expected: [RESULT_IGNORE],
+}, {
+	description: 'should return result for each scrobble',
+	args: [{
+		scrobble: [
+			makeScrobbleItem('0'), makeScrobbleItem('2'), makeScrobbleItem('0')
+		],
+		'@attr': { accepted: '2', ignored: '1' },
+	}, 3],
+	expected: [RESULT_OK, RESULT_IGNORE, RESULT_OK],
+}, {
+	description: 'should use accepted count if scrobble items are missing',
+	args: [{
+		'@attr': { accepted: '2', ignored: '0' },
+	}, 2],
+	expected: [RESULT_OK, RESULT_OK],
+}, {
+	description: 'should use accepted count if nothing is accepted',
+	args: [{
+		'@attr': { accepted: '0', ignored: '2' },
+	}, 2],
+	expected: [RESULT_IGNORE, RESULT_IGNORE],
+}, {
+	description: 'should return other error if some scrobbles are accepted',
+	args: [{
+		scrobble: [makeScrobbleItem('0'), makeScrobbleItem('1')],
+		'@attr': { accepted: '2', ignored: '1' },
+	}, 3],
+	expected: [ERROR_OTHER, ERROR_OTHER, ERROR_OTHER],
+}];
+
+const PROCESS_RESPONSE_DATA = [{
+	description: 'should return OK result for successful response',
+	args: [{ scrobbles: {} }],
+	expected: RESULT_OK,
+}, {
+	description: 'should return rate limit error for error 29',
+	args: [{ error: 29 }],
+	expected: ERROR_RATE_LIMIT,
+}, {
+	description: 'should return temporary error for error 11',
+	args: [{ error: 11 }],
+	expected: ERROR_TEMPORARY,
+}, {
+	description: 'should return temporary error for error 16',
+	args: [{ error: 16 }],
+	expected: ERROR_TEMPORARY,
+}, {
+	description: 'should return invalid data error for error 6',
+	args: [{ error: 6 }],
+	expected: ERROR_INVALID_DATA,
+}, {
+	description: 'should return invalid data error for error 13',
+	args: [{ error: 13 }],
+	expected: ERROR_INVALID_DATA,
+}, {
+	description: 'should return other error for unknown error',
+	args: [{ error: 8 }],
+	expected: ERROR_OTHER,
+}];
+
+const PROCESS_ERROR_RESPONSE_DATA = [{
+	description: 'should use error code from response data',
+	args: [400, { error: 6 }],
+	expected: ERROR_INVALID_DATA,
+}, {
+	description: 'should return rate limit error for 429 status',
+	args: [429, null],
+	expected: ERROR_RATE_LIMIT,
+}, {
+	description: 'should return temporary error for 503 status',
+	args: [503, null],
+	expected: ERROR_TEMPORARY,
+}, {
+	description: 'should return other error for 404 status',
+	args: [404, null],
+	expected: ERROR_OTHER,
+}];
+
+/**
+ * Test function.
+ * @param  {Function} func Function to be tested
+ * @param  {Array} testData Array of test data
+ */
+function testFunction(func, testData) {
+	for (const data of testData) {
+		const { description, args, expected } = data;
+		it(description, () => {
+			const actual = func(...args);
+			expect(actual).to.be.deep.equal(expected);
+		});
+	}
+}
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	describe('processScrobbles', () => {
+		testFunction(AudioScrobbler.processScrobbles, PROCESS_SCROBBLES_DATA);
+	});
+
+	describe('processResponse', () => {
+		testFunction(AudioScrobbler.processResponse, PROCESS_RESPONSE_DATA);
+	});
+
+	describe('processErrorResponse', () => {
+		testFunction(AudioScrobbler.processErrorResponse, PROCESS_ERROR_RESPONSE_DATA);
+	});
+}
+
+runTests();
@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * Tests for 'AutoEdit' pipeline stage.
+ */
+
+const expect = require('chai').expect;
+const Song = require('../../src/core/background/object/song');
+const AutoEdit = require('../../src/core/background/pipeline/auto-edit');
+const EditRules = require('../../src/core/background/storage/edit-rules');
+const UtilEditRules = require('../../src/core/background/util/util-edit-rules');
+
+const CONNECTOR = { id: 'youtube', label: 'YouTube' };
+
+/**
+ * Create song object.
+ * @param  {String} artist Song artist
+ * @param  {String} track Song title
+ * @return {Object} Song instance
+ */
+function createSong(artist, track) {
+	return new Song({ artist, track }, CONNECTOR);
+}
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	after(() => EditRules.setRules([]));
+
+	it('should apply rules to song info', async() => {
+		await EditRules.setRules([
+			{ action: UtilEditRules.ACTION_SPLIT_FEAT, field: 'track' },
+		]);
+
+		const song = createSong('Artist', 'Track (feat. Other Artist)');
+		await AutoEdit.process(song, CONNECTOR);
+
+		expect(song.getArtist()).to.be.equal('Artist feat. Other Artist');
+		expect(song.getTrack()).to.be.equal('Track');
+	});
+
+	it('should not apply rules twice if song is processed again', async() => {
+		await EditRules.setRules([{ action: UtilEditRules.ACTION_SWAP }]);
+
+		const song = createSong('Track', 'Artist');
+		await AutoEdit.process(song, CONNECTOR);
+		await AutoEdit.process(song, CONNECTOR);
+
+		expect(song.getArtist()).to.be.equal('Artist');
+		expect(song.getTrack()).to.be.equal('Track');
+	});
+}
+
+runTests();
@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Tests for 'BaseScrobbler' module.
+ */
+
+const expect = require('chai').expect;
+const BaseScrobbler = require('../../src/core/background/scrobbler/base');
+
+/**
+ * Create scrobbler which uses given storage.
+ * @param  {String} storage Storage namespace
+ * @return {Object} Scrobbler instance
+ */
+function createScrobbler(storage) {
+	return new BaseScrobbler({
+		label: 'Test',
+		storage,
+		apiUrl: null,
+		authUrl: null,
+		statusUrl: null,
+		profileUrl: null,
+	});
+}
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	describe('isPaused', () => {
+		it('should not be paused by default', async() => {
+			const scrobbler = createScrobbler('BaseTestDefault');
+			expect(await scrobbler.isPaused()).to.be.false;
+		});
+	});
+
+	describe('setPaused', () => {
+		const scrobbler = createScrobbler('BaseTest');
+
+		afterEach(() => scrobbler.storage.clear());
+
+		it('should pause scrobbler', async() => {
+			await scrobbler.setPaused(true);
+			expect(await scrobbler.isPaused()).to.be.true;
+		});
+
+		it('should resume scrobbler', async() => {
+			await scrobbler.setPaused(true);
+			await scrobbler.setPaused(false);
+
+			expect(await scrobbler.isPaused()).to.be.false;
+			expect(await scrobbler.storage.get()).to.not.have.property('isPaused');
+		});
+
+		it('should keep session data', async() => {
+			await scrobbler.storage.set({ sessionID: 'id', sessionName: 'name' });
+			await scrobbler.setPaused(true);
+
+			expect(await scrobbler.storage.get()).to.be.deep.equal({
+				sessionID: 'id', sessionName: 'name', isPaused: true,
+			});
+		});
+
+		it('should keep paused state after sign out', async() => {
+			await scrobbler.storage.set({ sessionID: 'id', sessionName: 'name' });
+			await scrobbler.setPaused(true);
+			await scrobbler.signOut();
+
+			expect(await scrobbler.isPaused()).to.be.true;
+		});
+
+		it('should not pause other scrobblers', async() => {
+			const otherScrobbler = createScrobbler('BaseTestOther');
+			await scrobbler.setPaused(true);
+
+			expect(await otherScrobbler.isPaused()).to.be.false;
+		});
+	});
+}
+
+runTests();
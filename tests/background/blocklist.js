@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Tests for 'Blocklist' module.
+ */
+
+const expect = require('chai').expect;
+const Blocklist = require('../../src/core/background/storage/blocklist');
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	it('should not block song if blocklist is empty', async() => {
+		const songInfo = { artist: 'Artist', track: 'Track', album: null };
+		expect(await Blocklist.isBlocked(songInfo)).to.be.false;
+	});
+
+	it('should block all songs of artist', async() => {
+		await Blocklist.addItem({ artist: 'Artist' });
+
+		const songInfo = { artist: 'artist', track: 'Track', album: null };
+		expect(await Blocklist.isBlocked(songInfo)).to.be.true;
+	});
+
+	it('should block song by artist and track only', async() => {
+		await Blocklist.addItem({ artist: 'Artist 2', track: 'Track' });
+
+		expect(await Blocklist.isBlocked({
+			artist: 'Artist 2', track: 'Track', album: 'Album',
+		})).to.be.true;
+		expect(await Blocklist.isBlocked({
+			artist: 'Artist 2', track: 'Another Track', album: null,
+		})).to.be.false;
+	});
+
+	it('should not add the same item twice', async() => {
+		await Blocklist.addItem({ artist: 'ARTIST' });
+		expect(await Blocklist.getItems()).to.have.lengthOf(2);
+	});
+
+	it('should throw an error for empty item', async() => {
+		let error = null;
+		try {
+			await Blocklist.addItem({});
+		} catch (e) {
+			error = e;
+		}
+
+		expect(error).to.be.an('error');
+	});
+
+	it('should remove item', async() => {
+		await Blocklist.removeItem({ artist: 'Artist' });
+		await Blocklist.removeItem({ artist: 'Artist 2', track: 'Track' });
+
+		expect(await Blocklist.getItems()).to.be.deep.equal([]);
+	});
+}
+
+runTests();
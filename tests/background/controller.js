@@ -0,0 +1,306 @@
+'use strict';
+
+/**
+ * Tests for 'Controller' module.
+ */
+
+const expect = require('chai').expect;
+const browser = require('../stubs/webextension-polyfill');
+const Song = require('../../src/core/background/object/song');
+const Options = require('../../src/core/background/storage/options');
+const Controller = require('../../src/core/background/object/controller');
+const ControllerMode = require('../../src/core/background/object/controller-mode');
+
+const TAB_ID = 1;
+
+const CONNECTOR = { id: 'test', label: 'Test' };
+
+/**
+ * Max difference in seconds between changes of current time and
+ * wall-clock time which is not considered as a seek.
+ * @type {Number}
+ */
+const SEEK_DETECTION_THRESHOLD = 3;
+
+/**
+ * Wall-clock time in seconds passed between updates of current time.
+ * @type {Number}
+ */
+const WALL_TIME = 10;
+
+/**
+ * Current time in seconds saved by the controller on the last update.
+ * @type {Number}
+ */
+const LAST_CURRENT_TIME = 60;
+
+const UPDATE_PLAYBACK_TIME_DATA = [{
+	description: 'should not correct timer if song is played normally',
+	args: [LAST_CURRENT_TIME + WALL_TIME],
+	expected: [0],
+}, {
+	description: 'should correct timer if song is played faster',
+	args: [LAST_CURRENT_TIME + WALL_TIME + SEEK_DETECTION_THRESHOLD],
+	expected: [SEEK_DETECTION_THRESHOLD],
+}, {
+	description: 'should correct timer if song is played slower',
+	args: [LAST_CURRENT_TIME + WALL_TIME / 2],
+	expected: [-WALL_TIME / 2],
+}, {
+	description: 'should not count wall time if song is seeked forward',
+	args: [LAST_CURRENT_TIME + WALL_TIME + SEEK_DETECTION_THRESHOLD + 1],
+	expected: [-WALL_TIME],
+}, {
+	description: 'should not count wall time if song is seeked backward',
+	args: [LAST_CURRENT_TIME - 1],
+	expected: [-WALL_TIME],
+}, {
+	description: 'should not correct timer if current time is invalid',
+	args: [null],
+	expected: [],
+}];
+
+class TestController extends Controller {
+	/** @override */
+	onSongUpdated() {
+		// Do nothing
+	}
+
+	/** @override */
+	onModeChanged() {
+		// Do nothing
+	}
+
+	/** @override */
+	onControllerEvent() {
+		// Do nothing
+	}
+}
+
+/**
+ * Create controller with a song which is already processed.
+ * @param  {Boolean} isPlaying Song playing state
+ * @return {Object} Controller instance
+ */
+function createControllerWithSong(isPlaying) {
+	const ctrl = new TestController(TAB_ID, CONNECTOR, true);
+
+	ctrl.currentSong = new Song({
+		artist: 'Artist', track: 'Track', isPlaying,
+	}, CONNECTOR);
+	ctrl.playbackTimer.start(() => {
+		// Do nothing
+	});
+	ctrl.setMode(ControllerMode.Playing);
+
+	return ctrl;
+}
+
+/**
+ * Create controller which saved current time `WALL_TIME` seconds ago,
+ * and records corrections of playback timer.
+ * @param  {Number} now Current wall-clock time in milliseconds
+ * @return {Object} Controller instance
+ */
+function createControllerWithTimeUpdate(now) {
+	const ctrl = createControllerWithSong(true);
+
+	ctrl.lastCurrentTime = LAST_CURRENT_TIME;
+	ctrl.lastCurrentTimeUpdate = now - WALL_TIME * 1000;
+
+	ctrl.adjustments = [];
+	ctrl.playbackTimer.adjust = (seconds) => {
+		ctrl.adjustments.push(seconds);
+	};
+
+	return ctrl;
+}
+
+/**
+ * Create controller with a new song which is not recognized by the pipeline.
+ * @return {Object} Controller instance
+ */
+function createControllerWithUnknownSong() {
+	const ctrl = new TestController(TAB_ID, CONNECTOR, true);
+
+	ctrl.currentSong = new Song({ artist: 'Artist', track: 'Track' }, CONNECTOR);
+	ctrl.pipeline.process = async() => true;
+
+	return ctrl;
+}
+
+/**
+ * Test correction of playback timer by current time.
+ * @param  {Array} testData Array of test data
+ * @param  {Number} now Current wall-clock time in milliseconds
+ */
+function testUpdatePlaybackTime(testData, now) {
+	for (const data of testData) {
+		const { description, args, expected } = data;
+		it(description, () => {
+			const ctrl = createControllerWithTimeUpdate(now);
+			ctrl.updatePlaybackTime(...args);
+
+			expect(ctrl.adjustments).to.be.deep.equal(expected);
+			ctrl.finish();
+		});
+	}
+}
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	describe('setSuspended', () => {
+		let ctrl = null;
+
+		afterEach(() => ctrl.finish());
+
+		it('should keep mode of controller without song', () => {
+			ctrl = new TestController(TAB_ID, CONNECTOR, true);
+
+			ctrl.setSuspended(true);
+			expect(ctrl.isSuspended).to.be.true;
+			expect(ctrl.mode).to.be.equal(ControllerMode.Base);
+
+			ctrl.setSuspended(false);
+			expect(ctrl.isSuspended).to.be.false;
+			expect(ctrl.mode).to.be.equal(ControllerMode.Base);
+		});
+
+		it('should suspend controller with song', () => {
+			ctrl = createControllerWithSong(true);
+			ctrl.setSuspended(true);
+
+			expect(ctrl.mode).to.be.equal(ControllerMode.Suspended);
+			expect(ctrl.modeToRestore).to.be.equal(ControllerMode.Playing);
+			expect(ctrl.playbackTimer.pausedOn).to.not.be.null;
+		});
+
+		it('should not change mode if controller is suspended twice', () => {
+			ctrl = createControllerWithSong(true);
+			ctrl.setSuspended(true);
+			ctrl.setSuspended(true);
+
+			expect(ctrl.modeToRestore).to.be.equal(ControllerMode.Playing);
+		});
+
+		it('should restore mode of paused song on resume', () => {
+			ctrl = createControllerWithSong(false);
+			ctrl.setSuspended(true);
+			ctrl.setSuspended(false);
+
+			expect(ctrl.mode).to.be.equal(ControllerMode.Playing);
+			expect(ctrl.modeToRestore).to.be.null;
+		});
+
+		it('should resume playback timer of scrobbled song', () => {
+			ctrl = createControllerWithSong(true);
+			ctrl.currentSong.flags.isScrobbled = true;
+			ctrl.setMode(ControllerMode.Scrobbled);
+
+			ctrl.setSuspended(true);
+			ctrl.setSuspended(false);
+
+			expect(ctrl.mode).to.be.equal(ControllerMode.Scrobbled);
+			expect(ctrl.playbackTimer.pausedOn).to.be.null;
+		});
+
+		it('should not resume playback timer if tab is muted', () => {
+			ctrl = createControllerWithSong(true);
+			ctrl.currentSong.flags.isScrobbled = true;
+			ctrl.setTabAudible(false);
+
+			ctrl.setSuspended(true);
+			ctrl.setSuspended(false);
+
+			expect(ctrl.playbackTimer.pausedOn).to.not.be.null;
+		});
+	});
+
+	describe('updatePlaybackTime', () => {
+		const NOW = 1000000;
+		const dateNow = Date.now;
+		let ctrl = null;
+
+		beforeEach(() => {
+			Date.now = () => NOW;
+			ctrl = createControllerWithTimeUpdate(NOW);
+		});
+
+		afterEach(() => {
+			Date.now = dateNow;
+			ctrl.finish();
+		});
+
+		testUpdatePlaybackTime(UPDATE_PLAYBACK_TIME_DATA, NOW);
+
+		it('should not correct timer if previous current time is unknown', () => {
+			ctrl.saveCurrentTime(null);
+			ctrl.updatePlaybackTime(LAST_CURRENT_TIME);
+
+			expect(ctrl.adjustments).to.be.empty;
+		});
+
+		it('should correct timer on state update of playing song', () => {
+			ctrl.onStateChanged({
+				artist: 'Artist', track: 'Track', isPlaying: true,
+				currentTime: LAST_CURRENT_TIME - 1,
+			});
+
+			expect(ctrl.adjustments).to.be.deep.equal([-WALL_TIME]);
+			expect(ctrl.lastCurrentTime).to.be.equal(LAST_CURRENT_TIME - 1);
+		});
+
+		it('should not correct timer if controller is suspended', () => {
+			ctrl.setSuspended(true);
+			ctrl.onStateChanged({
+				artist: 'Artist', track: 'Track', isPlaying: true,
+				currentTime: LAST_CURRENT_TIME - 1,
+			});
+
+			expect(ctrl.adjustments).to.be.empty;
+		});
+	});
+
+	describe('processSong', () => {
+		const { sync } = browser.storage;
+		const { get } = sync;
+		let ctrl = null;
+
+		beforeEach(async() => {
+			await Options.setOption(Options.FORCE_RECOGNIZE, true);
+			ctrl = createControllerWithUnknownSong();
+		});
+
+		afterEach(async() => {
+			sync.get = get;
+			ctrl.finish();
+
+			await Options.setOption(Options.FORCE_RECOGNIZE, false);
+		});
+
+		it('should force recognition of unknown song', async() => {
+			await ctrl.processSong();
+
+			expect(ctrl.currentSong.flags.isValid).to.be.true;
+		});
+
+		it('should not change song which is changed while option is loaded', async() => {
+			const newSong = new Song({ artist: 'Other', track: 'Track' }, CONNECTOR);
+			sync.get = async() => {
+				ctrl.currentSong = newSong;
+				sync.get = get;
+
+				return sync.get();
+			};
+
+			await ctrl.processSong();
+
+			expect(newSong.flags.isValid).to.be.false;
+			expect(ctrl.mode).to.be.equal(ControllerMode.Loading);
+		});
+	});
+}
+
+runTests();
@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * Tests for 'CustomAudioScrobbler' module.
+ */
+
+const expect = require('chai').expect;
+const Song = require('../../src/core/background/object/song');
+const CustomAudioScrobbler = require('../../src/core/background/scrobbler/custom-audioscrobbler');
+const ServiceCallResult = require('../../src/core/background/object/service-call-result');
+
+const { stubFetch, restoreFetch } = require('../stubs/fetch');
+
+const SCROBBLER_ID = 'custom';
+
+const SCROBBLER_DATA = {
+	label: 'Custom Service',
+	apiUrl: 'https://example.com/2.0/',
+	authUrl: 'https://example.com/api/auth/',
+	apiKey: 'key',
+	apiSecret: 'secret',
+};
+
+/**
+ * Create scrobbler from given storage data.
+ * @param  {Object} data Scrobbler data
+ * @return {Object} Scrobbler instance
+ */
+function createScrobbler(data = SCROBBLER_DATA) {
+	return CustomAudioScrobbler.fromStorageData(SCROBBLER_ID, data);
+}
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	after(restoreFetch);
+
+	describe('fromStorageData', () => {
+		const scrobbler = createScrobbler();
+
+		it('should create scrobbler with given data', () => {
+			expect(scrobbler.getLabel()).to.be.equal(SCROBBLER_DATA.label);
+			expect(scrobbler.apiUrl).to.be.equal(SCROBBLER_DATA.apiUrl);
+			expect(scrobbler.authUrl).to.be.equal(SCROBBLER_DATA.authUrl);
+			expect(scrobbler.apiKey).to.be.equal(SCROBBLER_DATA.apiKey);
+			expect(scrobbler.apiSecret).to.be.equal(SCROBBLER_DATA.apiSecret);
+		});
+
+		it('should use scrobbler ID as storage namespace', () => {
+			expect(scrobbler.storage.namespace).to.be.equal(
+				`CustomScrobbler_${SCROBBLER_ID}`);
+		});
+
+		it('should throw an error if required data is missing', () => {
+			const data = Object.assign({}, SCROBBLER_DATA, { apiKey: undefined });
+			expect(() => createScrobbler(data)).to.throw();
+		});
+	});
+
+	describe('getId', () => {
+		it('should return scrobbler ID instead of label', () => {
+			expect(createScrobbler().getId()).to.be.equal(SCROBBLER_ID);
+		});
+	});
+
+	describe('getProfileUrl', () => {
+		it('should return null if profile URL is not set', async() => {
+			expect(await createScrobbler().getProfileUrl()).to.be.null;
+		});
+
+		it('should return profile URL of signed in user', async() => {
+			const scrobbler = createScrobbler(Object.assign({
+				profileUrl: 'https://example.com/user/',
+			}, SCROBBLER_DATA));
+			await scrobbler.storage.set({ sessionID: 'id', sessionName: 'name' });
+
+			expect(await scrobbler.getProfileUrl()).to.be.equal(
+				'https://example.com/user/name');
+			await scrobbler.storage.clear();
+		});
+	});
+
+	describe('sendRequest', () => {
+		const scrobbler = createScrobbler();
+
+		it('should send POST request params as form data', async() => {
+			const requests = stubFetch([{ body: {} }]);
+			await scrobbler.sendRequest({ method: 'POST' }, {
+				method: 'track.love', track: 'Track & Title',
+			});
+
+			const [{ init }] = requests;
+			expect(init.headers).to.be.deep.equal({
+				'Content-Type': 'application/x-www-form-urlencoded'
+			});
+			expect(init.body).to.include('method=track.love');
+			expect(init.body).to.include('track=Track%20%26%20Title');
+		});
+
+		it('should send GET request without body', async() => {
+			const requests = stubFetch([{ body: { token: 'token' } }]);
+			await scrobbler.sendRequest({ method: 'GET' }, {
+				method: 'auth.getToken',
+			}, { signed: false });
+
+			const [{ url, init }] = requests;
+			expect(url).to.include(SCROBBLER_DATA.apiUrl);
+			expect(init.body).to.be.undefined;
+		});
+	});
+
+	describe('scrobble', () => {
+		it('should send scrobble to custom service', async() => {
+			const scrobbler = createScrobbler();
+			await scrobbler.storage.set({ sessionID: 'id', sessionName: 'name' });
+
+			const song = new Song({
+				artist: 'Artist', track: 'Track'
+			}, { label: 'Connector' });
+			song.metadata.startTimestamp = 1000;
+
+			const requests = stubFetch([{
+				body: {
+					scrobbles: {
+						scrobble: { ignoredMessage: { code: '0', '#text': '' } },
+						'@attr': { accepted: '1', ignored: '0' },
+					},
+				},
+			}]);
+			const result = await scrobbler.scrobble(song);
+
+			expect(result).to.be.equal(ServiceCallResult.RESULT_OK);
+			expect(requests[0].url).to.include(SCROBBLER_DATA.apiUrl);
+			expect(requests[0].init.body).to.include('method=track.scrobble');
+			await scrobbler.storage.clear();
+		});
+	});
+}
+
+runTests();
@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * Tests for 'Extension' module.
+ */
+
+const expect = require('chai').expect;
+const { requirejs } = require('node-define');
+const Song = require('../../src/core/background/object/song');
+const Options = require('../../src/core/background/storage/options');
+const Extension = require('../../src/core/background/extension');
+const BaseScrobbler = require('../../src/core/background/scrobbler/base');
+const ServiceCallResult = require('../../src/core/background/object/service-call-result');
+
+const { stubFetch, restoreFetch } = require('../stubs/fetch');
+
+// Get the same instances of modules as the extension module uses
+const ScrobbleService = requirejs('object/scrobble-service');
+const ScrobbleQueue = requirejs('storage/scrobble-queue');
+const ScrobblerAccounts = requirejs('storage/scrobbler-accounts');
+
+const TIMESTAMP = 1000;
+
+const SONG_INFO = {
+	artist: 'Artist', track: 'Track', album: 'Album', albumArtist: null,
+};
+
+class TestScrobbler extends BaseScrobbler {
+	constructor() {
+		super({
+			label: 'Test',
+			storage: 'ExtensionTest',
+			apiUrl: null,
+			authUrl: null,
+			statusUrl: null,
+			profileUrl: null,
+		});
+
+		this.scrobbledSongs = [];
+	}
+
+	/** @override */
+	async scrobble(song) {
+		this.scrobbledSongs.push(song);
+		return ServiceCallResult.RESULT_OK;
+	}
+}
+
+/**
+ * Create extension object. The constructor is not called, since it adds
+ * listeners of browser events.
+ * @return {Object} Extension instance
+ */
+function createExtension() {
+	return Object.create(Extension.prototype);
+}
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	describe('scrobbleSong', () => {
+		const extension = createExtension();
+		const scrobbler = new TestScrobbler();
+
+		before(() => ScrobbleService.bindScrobbler(scrobbler));
+
+		beforeEach(() => {
+			// Song info is not loaded from scrobble services
+			stubFetch([]);
+			scrobbler.scrobbledSongs = [];
+		});
+
+		afterEach(() => Options.setOption(Options.FORCE_RECOGNIZE, false));
+
+		after(() => {
+			ScrobbleService.unbindScrobbler(scrobbler);
+			restoreFetch();
+		});
+
+		it('should not scrobble unrecognized song', async() => {
+			const { song, isValid, results } = await extension.scrobbleSong(
+				SONG_INFO, TIMESTAMP);
+
+			expect(isValid).to.be.false;
+			expect(results).to.be.deep.equal({});
+			expect(song.processed).to.include(SONG_INFO);
+			expect(song.flags.isValid).to.be.false;
+			expect(scrobbler.scrobbledSongs).to.be.empty;
+		});
+
+		it('should mark song as corrected by user', async() => {
+			const { song } = await extension.scrobbleSong(SONG_INFO, TIMESTAMP);
+			expect(song.flags.isCorrectedByUser).to.be.true;
+		});
+
+		it('should scrobble unrecognized song if it is forced', async() => {
+			const { song, isValid, results } = await extension.scrobbleSong(
+				SONG_INFO, TIMESTAMP, true);
+
+			expect(isValid).to.be.true;
+			expect(song.flags.isValid).to.be.true;
+			expect(results).to.be.deep.equal({
+				[scrobbler.getId()]: ServiceCallResult.RESULT_OK,
+			});
+		});
+
+		it('should scrobble unrecognized song if option is enabled', async() => {
+			await Options.setOption(Options.FORCE_RECOGNIZE, true);
+
+			const { isValid } = await extension.scrobbleSong(SONG_INFO, TIMESTAMP);
+			expect(isValid).to.be.true;
+		});
+
+		it('should scrobble song with given info and timestamp', async() => {
+			await extension.scrobbleSong(SONG_INFO, TIMESTAMP, true);
+			const [song] = scrobbler.scrobbledSongs;
+
+			expect(song.getArtist()).to.be.equal(SONG_INFO.artist);
+			expect(song.getTrack()).to.be.equal(SONG_INFO.track);
+			expect(song.getAlbum()).to.be.equal(SONG_INFO.album);
+			expect(song.metadata.startTimestamp).to.be.equal(TIMESTAMP);
+		});
+
+		it('should normalize song info', async() => {
+			const songInfo = Object.assign({}, SONG_INFO, {
+				artist: 'Beyonce\u0301',
+			});
+			const { song } = await extension.scrobbleSong(songInfo, TIMESTAMP, true);
+
+			expect(song.processed.artist).to.be.equal('Beyonc\u00e9');
+		});
+	});
+
+	describe('processMessage', () => {
+		const extension = createExtension();
+
+		it('should remove account with queued songs', async() => {
+			const id = await ScrobblerAccounts.addAccount('Last.fm', 'Account');
+			await ScrobbleService.loadCustomScrobblers();
+
+			const song = new Song(SONG_INFO, { label: 'Connector' });
+			await ScrobbleQueue.addSong(id, song);
+
+			await extension.processMessage(null, 'REQUEST_REMOVE_ACCOUNT', { id });
+
+			expect(ScrobbleService.getScrobblerById(id)).to.be.null;
+			expect(await ScrobblerAccounts.getAllAccounts()).to.not.have.property(id);
+			expect(await ScrobbleQueue.getPendingCount(id)).to.be.equal(0);
+		});
+	});
+}
+
+runTests();
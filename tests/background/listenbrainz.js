@@ -0,0 +1,253 @@
+'use strict';
+
+/**
+ * Tests for 'ListenBrainz' module.
+ */
+
+const expect = require('chai').expect;
+const Song = require('../../src/core/background/object/song');
+const ListenBrainz = require('../../src/core/background/scrobbler/listenbrainz');
+const ServiceCallResult = require('../../src/core/background/object/service-call-result');
+
+const { stubFetch, restoreFetch } = require('../stubs/fetch');
+
+const ListenBrainzClass = ListenBrainz.constructor;
+
+const API_URL = 'https://api.listenbrainz.org/1/submit-listens';
+
+/**
+ * Create ListenBrainz scrobbler signed in with a token.
+ * @param  {String} userApiUrl Custom URL used to submit listens
+ * @return {Object} Scrobbler instance
+ */
+function createScrobbler(userApiUrl = null) {
+	const scrobbler = new ListenBrainzClass({
+		label: 'ListenBrainz',
+		storage: 'ListenBrainzTest',
+		apiUrl: API_URL,
+		authUrl: 'https://listenbrainz.org/login',
+		statusUrl: 'https://listenbrainz.org/current-status',
+		profileUrl: 'https://listenbrainz.org/user/',
+	});
+
+	scrobbler.userToken = 'token';
+	scrobbler.userApiUrl = userApiUrl;
+
+	return scrobbler;
+}
+
+/**
+ * Create song object.
+ * @param  {Object} metadata Song metadata
+ * @return {Object} Song instance
+ */
+function createSong(metadata = {}) {
+	const song = new Song({
+		artist: 'Artist', track: 'Track'
+	}, { label: 'Connector' });
+	Object.assign(song.metadata, metadata);
+
+	return song;
+}
+
+/**
+ * Create response of recording lookup.
+ * @param  {Object} props Properties to override
+ * @return {Object} Response data
+ */
+function makeLookupResponse(props = {}) {
+	return {
+		body: Object.assign({
+			artist_credit_name: 'artist',
+			recording_name: 'track',
+			recording_mbid: 'recording',
+		}, props),
+	};
+}
+
+/**
+ * Create response of feedback request.
+ * @param  {Number} score Feedback score
+ * @return {Object} Response data
+ */
+function makeFeedbackResponse(score) {
+	return {
+		body: { feedback: [{ recording_mbid: 'recording', score }] },
+	};
+}
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	after(restoreFetch);
+
+	describe('makeApiUrl', () => {
+		it('should use root of default API URL', () => {
+			const url = createScrobbler().makeApiUrl('validate-token');
+			expect(url).to.be.equal('https://api.listenbrainz.org/1/validate-token');
+		});
+
+		it('should use root of custom API URL', () => {
+			const url = createScrobbler('https://example.com/1/submit-listens/')
+				.makeApiUrl('validate-token');
+			expect(url).to.be.equal('https://example.com/1/validate-token');
+		});
+
+		it('should append endpoint to custom API URL', () => {
+			const url = createScrobbler('https://example.com/api')
+				.makeApiUrl('validate-token');
+			expect(url).to.be.equal('https://example.com/api/validate-token');
+		});
+	});
+
+	describe('lookupRecording', () => {
+		it('should return recording of the same song', async() => {
+			const requests = stubFetch([makeLookupResponse()]);
+			const recording = await createScrobbler().lookupRecording(createSong());
+
+			expect(recording.recording_mbid).to.be.equal('recording');
+			expect(requests[0].url).to.be.equal(
+				'https://api.listenbrainz.org/1/metadata/lookup/?artist_name=Artist&recording_name=Track');
+		});
+
+		it('should return null for recording of other song', async() => {
+			stubFetch([makeLookupResponse({ recording_name: 'Other track' })]);
+			const recording = await createScrobbler().lookupRecording(createSong());
+
+			expect(recording).to.be.null;
+		});
+
+		it('should return null if nothing is found', async() => {
+			stubFetch([{ body: {} }]);
+			const recording = await createScrobbler().lookupRecording(createSong());
+
+			expect(recording).to.be.null;
+		});
+	});
+
+	describe('getFeedback', () => {
+		const testData = [
+			{ score: 1, expected: true },
+			{ score: -1, expected: false },
+			{ score: 0, expected: null },
+		];
+
+		for (const { score, expected } of testData) {
+			it(`should return ${expected} for ${score} score`, async() => {
+				stubFetch([makeFeedbackResponse(score)]);
+				const isLoved = await createScrobbler().getFeedback('user', 'recording');
+
+				expect(isLoved).to.be.equal(expected);
+			});
+		}
+
+		it('should return null if request is failed', async() => {
+			stubFetch([new Error('Network error')]);
+			const isLoved = await createScrobbler().getFeedback('user', 'recording');
+
+			expect(isLoved).to.be.null;
+		});
+	});
+
+	describe('getLoveStatus', () => {
+		afterEach(() => createScrobbler().storage.clear());
+
+		it('should not send requests for song without recording MBID', async() => {
+			const requests = stubFetch([]);
+			const isLoved = await createScrobbler().getLoveStatus(createSong());
+
+			expect(isLoved).to.be.null;
+			expect(requests).to.be.empty;
+		});
+
+		it('should return feedback of token owner', async() => {
+			const requests = stubFetch([
+				{ body: { valid: true, user_name: 'user' } },
+				makeFeedbackResponse(1),
+			]);
+			const song = createSong({ trackMbId: 'recording' });
+			const isLoved = await createScrobbler().getLoveStatus(song);
+
+			expect(isLoved).to.be.true;
+			expect(requests[1].url).to.include('feedback/user/user/');
+			expect(song.metadata.userloved).to.be.undefined;
+		});
+
+		it('should validate token only once', async() => {
+			const requests = stubFetch([
+				{ body: { valid: true, user_name: 'user' } },
+				makeFeedbackResponse(1),
+				makeFeedbackResponse(1),
+			]);
+			const scrobbler = createScrobbler();
+			const song = createSong({ trackMbId: 'recording' });
+
+			await scrobbler.getLoveStatus(song);
+			await scrobbler.getLoveStatus(song);
+
+			expect(requests).to.have.lengthOf(3);
+			expect(requests[2].url).to.include('feedback/user/user/');
+		});
+
+		it('should validate new token again', async() => {
+			const requests = stubFetch([
+				{ body: { valid: true, user_name: 'user' } },
+				makeFeedbackResponse(1),
+				{ body: { valid: true, user_name: 'user2' } },
+				makeFeedbackResponse(1),
+			]);
+			const scrobbler = createScrobbler();
+			const song = createSong({ trackMbId: 'recording' });
+
+			await scrobbler.getLoveStatus(song);
+			await scrobbler.applyUserProperties({ userToken: 'token2' });
+			await scrobbler.getLoveStatus(song);
+
+			expect(requests).to.have.lengthOf(4);
+			expect(requests[3].url).to.include('feedback/user/user2/');
+		});
+	});
+
+	describe('toggleLove', () => {
+		it('should send feedback for resolved recording', async() => {
+			const requests = stubFetch([{ body: { status: 'ok' } }]);
+			const song = createSong({ trackMbId: 'recording' });
+			const result = await createScrobbler().toggleLove(song, true);
+
+			expect(result).to.be.equal(ServiceCallResult.RESULT_OK);
+			expect(requests).to.have.lengthOf(1);
+			expect(requests[0].init.method).to.be.equal('POST');
+			expect(JSON.parse(requests[0].init.body)).to.be.deep.equal({
+				recording_mbid: 'recording', score: 1,
+			});
+		});
+
+		it('should look up recording of song without MBID', async() => {
+			const requests = stubFetch([
+				makeLookupResponse(), { body: { status: 'ok' } },
+			]);
+			const result = await createScrobbler().toggleLove(createSong(), false);
+
+			expect(result).to.be.equal(ServiceCallResult.RESULT_OK);
+			expect(JSON.parse(requests[1].init.body)).to.be.deep.equal({
+				recording_mbid: 'recording', score: 0,
+			});
+		});
+
+		it('should return invalid data error if recording is not found', async() => {
+			stubFetch([{ body: {} }]);
+			const result = await createScrobbler().toggleLove(createSong(), true);
+
+			expect(result).to.be.equal(ServiceCallResult.ERROR_INVALID_DATA);
+		});
+	});
+
+	describe('canLoadSongInfo', () => {
+		it('should not load song info', () => {
+			expect(createScrobbler().canLoadSongInfo()).to.be.false;
+		});
+	});
+}
+
+runTests();
@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * Tests for 'Maloja' module.
+ */
+
+const expect = require('chai').expect;
+const Song = require('../../src/core/background/object/song');
+const Maloja = require('../../src/core/background/scrobbler/maloja');
+const ServiceCallResult = require('../../src/core/background/object/service-call-result');
+
+const { stubFetch, restoreFetch } = require('../stubs/fetch');
+
+const MalojaClass = Maloja.constructor;
+
+const SERVER_URL = 'https://maloja.example.com/';
+
+/**
+ * Create Maloja scrobbler with test server URL and API key.
+ * @return {Object} Scrobbler instance
+ */
+function createScrobbler() {
+	const scrobbler = new MalojaClass({
+		label: 'Maloja',
+		storage: 'MalojaTest',
+		apiUrl: null,
+		authUrl: null,
+		statusUrl: null,
+		profileUrl: null,
+	});
+
+	scrobbler.userApiUrl = SERVER_URL;
+	scrobbler.userToken = 'key';
+
+	return scrobbler;
+}
+
+/**
+ * Create song object.
+ * @return {Object} Song instance
+ */
+function createSong() {
+	const song = new Song({
+		artist: 'Artist', track: 'Track', album: 'Album', duration: 180,
+	}, { label: 'Connector' });
+	song.metadata.startTimestamp = 1000;
+
+	return song;
+}
+
+/**
+ * Check if given promise is rejected with given error.
+ * @param  {Promise} promise Promise
+ * @param  {Object} expected Expected error
+ */
+async function expectRejection(promise, expected) {
+	let error = null;
+	try {
+		await promise;
+	} catch (e) {
+		error = e;
+	}
+
+	expect(error).to.be.equal(expected);
+}
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	after(restoreFetch);
+
+	describe('scrobble', () => {
+		it('should send song to Maloja server', async() => {
+			const requests = stubFetch([{ body: { status: 'success' } }]);
+			const result = await createScrobbler().scrobble(createSong());
+
+			expect(result).to.be.equal(ServiceCallResult.RESULT_OK);
+			expect(requests[0].init.method).to.be.equal('POST');
+			expect(requests[0].url).to.be.equal(
+				'https://maloja.example.com/apis/mlj_1/newscrobble');
+			expect(JSON.parse(requests[0].init.body)).to.be.deep.equal({
+				key: 'key',
+				artist: 'Artist',
+				title: 'Track',
+				album: 'Album',
+				time: 1000,
+				length: 180,
+			});
+		});
+
+		it('should return other error for failed scrobble', async() => {
+			stubFetch([{ status: 400, body: { status: 'failure' } }]);
+			const result = await createScrobbler().scrobble(createSong());
+
+			expect(result).to.be.equal(ServiceCallResult.ERROR_OTHER);
+		});
+	});
+
+	describe('sendRequest', () => {
+		for (const status of [401, 403]) {
+			it(`should throw auth error for non-JSON ${status} response`, async() => {
+				stubFetch([{ status, body: 'Forbidden' }]);
+
+				const promise = createScrobbler().sendRequest(SERVER_URL, 'test', {});
+				await expectRejection(promise, ServiceCallResult.ERROR_AUTH);
+			});
+		}
+
+		it('should throw other error for non-JSON response', async() => {
+			stubFetch([{ status: 200, body: 'Not JSON' }]);
+
+			const promise = createScrobbler().sendRequest(SERVER_URL, 'test', {});
+			await expectRejection(promise, ServiceCallResult.ERROR_OTHER);
+		});
+
+		it('should throw other error if request is failed', async() => {
+			stubFetch([new Error('Network error')]);
+
+			const promise = createScrobbler().sendRequest(SERVER_URL, 'test', {});
+			await expectRejection(promise, ServiceCallResult.ERROR_OTHER);
+		});
+	});
+
+	describe('validateApiKey', () => {
+		it('should send API key in query string of GET request', async() => {
+			const requests = stubFetch([{ body: { status: 'ok' } }]);
+			await createScrobbler().validateApiKey(SERVER_URL, 'key&value');
+
+			const [{ url, init }] = requests;
+			expect(init.method).to.be.equal('GET');
+			expect(init.body).to.be.undefined;
+			expect(url).to.be.equal(
+				'https://maloja.example.com/apis/mlj_1/test?key=key%26value');
+		});
+
+		it('should throw auth error for rejected API key', async() => {
+			stubFetch([{ status: 403, body: 'Forbidden' }]);
+
+			const promise = createScrobbler().validateApiKey(SERVER_URL, 'key');
+			await expectRejection(promise, ServiceCallResult.ERROR_AUTH);
+		});
+
+		it('should throw auth error if server URL is missing', async() => {
+			const promise = createScrobbler().validateApiKey(null, 'key');
+			await expectRejection(promise, ServiceCallResult.ERROR_AUTH);
+		});
+	});
+}
+
+runTests();
@@ -0,0 +1,205 @@
+'use strict';
+
+/**
+ * Tests for 'MusicBrainz' pipeline stage.
+ */
+
+const expect = require('chai').expect;
+const Song = require('../../src/core/background/object/song');
+const MusicBrainz = require('../../src/core/background/pipeline/musicbrainz');
+const BrowserStorage = require('../../src/core/background/storage/browser-storage');
+
+const { stubFetch, restoreFetch } = require('../stubs/fetch');
+
+const SONG_INFO = { artist: 'Artist', track: 'Track', album: null };
+
+/**
+ * Create a release of a recording search result.
+ * @param  {String} id Release MBID
+ * @param  {String} releaseGroupId Release group MBID
+ * @param  {String} primaryType Primary type of the release group
+ * @return {Object} Release
+ */
+function makeRelease(id, releaseGroupId, primaryType = 'Album') {
+	return {
+		id,
+		title: `Album ${releaseGroupId}`,
+		status: 'Official',
+		'release-group': { id: releaseGroupId, 'primary-type': primaryType },
+		media: [{ position: 1, track: [{ number: '3' }] }],
+	};
+}
+
+/**
+ * Create a recording search result.
+ * @param  {Array} releases Array of releases
+ * @param  {Object} props Properties to override
+ * @return {Object} Search result
+ */
+function makeSearchResult(releases, props = {}) {
+	return {
+		recordings: [Object.assign({
+			id: 'recording',
+			score: 100,
+			title: 'track',
+			'artist-credit': [{ name: 'artist', artist: { id: 'artist' } }],
+			releases,
+		}, props)],
+	};
+}
+
+const PARSE_RECORDING_INFO_DATA = [{
+	description: 'should return null for empty search result',
+	args: [{ recordings: [] }, SONG_INFO],
+	expected: null,
+}, {
+	description: 'should return null for recording with low score',
+	args: [makeSearchResult([], { score: 50 }), SONG_INFO],
+	expected: null,
+}, {
+	description: 'should return null for recording of other artist',
+	args: [makeSearchResult([], {
+		'artist-credit': [{ name: 'Artist 2', artist: { id: 'artist2' } }],
+	}), SONG_INFO],
+	expected: null,
+}, {
+	description: 'should return recording info only if album is ambiguous',
+	args: [makeSearchResult([
+		makeRelease('release1', 'group1'), makeRelease('release2', 'group2'),
+	]), SONG_INFO],
+	expected: { trackMbId: 'recording', artistMbId: 'artist' },
+}, {
+	description: 'should return release info of single album',
+	args: [makeSearchResult([
+		makeRelease('release1', 'group1'),
+		makeRelease('release2', 'group1'),
+		makeRelease('release3', 'group2', 'Single'),
+	]), SONG_INFO],
+	expected: {
+		trackMbId: 'recording',
+		artistMbId: 'artist',
+		albumMbId: 'release1',
+		releaseGroupMbId: 'group1',
+		album: 'Album group1',
+		trackNumber: '3',
+	},
+}, {
+	description: 'should return release info of known album',
+	args: [makeSearchResult([
+		makeRelease('release1', 'group1'), makeRelease('release2', 'group2'),
+	]), { artist: 'Artist', track: 'Track', album: 'album group2' }],
+	expected: {
+		trackMbId: 'recording',
+		artistMbId: 'artist',
+		albumMbId: 'release2',
+		releaseGroupMbId: 'group2',
+		album: 'Album group2',
+		trackNumber: '3',
+	},
+}, {
+	description: 'should return album artist of compilation',
+	args: [makeSearchResult([Object.assign(makeRelease('release1', 'group1'), {
+		'artist-credit': [{ name: 'Various Artists' }],
+	})]), SONG_INFO],
+	expected: {
+		trackMbId: 'recording',
+		artistMbId: 'artist',
+		albumMbId: 'release1',
+		releaseGroupMbId: 'group1',
+		album: 'Album group1',
+		albumArtist: 'Various Artists',
+		trackNumber: '3',
+	},
+}];
+
+/**
+ * Create song object.
+ * @param  {String} track Track name
+ * @return {Object} Song instance
+ */
+function createSong(track = 'Track') {
+	return new Song({ artist: 'Artist', track }, { label: 'Connector' });
+}
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	describe('parseRecordingInfo', () => {
+		for (const data of PARSE_RECORDING_INFO_DATA) {
+			const { description, args, expected } = data;
+			it(description, () => {
+				const actual = MusicBrainz.parseRecordingInfo(...args);
+				expect(actual).to.be.deep.equal(expected);
+			});
+		}
+	});
+
+	describe('process', () => {
+		const cache = BrowserStorage.getStorage(BrowserStorage.MUSICBRAINZ_CACHE);
+		const dateNow = Date.now;
+		const { setTimeout } = global;
+
+		let now = dateNow();
+		let delays = [];
+
+		beforeEach(() => {
+			// Previous requests are sent long ago
+			now += MusicBrainz.REQUEST_INTERVAL * 10;
+			delays = [];
+
+			Date.now = () => now;
+			global.setTimeout = (callback, delay) => {
+				delays.push(delay);
+				callback();
+			};
+		});
+
+		afterEach(async() => {
+			Date.now = dateNow;
+			global.setTimeout = setTimeout;
+
+			restoreFetch();
+			await cache.clear();
+		});
+
+		it('should send User-Agent header', async() => {
+			const requests = stubFetch([{ body: makeSearchResult([]) }]);
+			await MusicBrainz.process(createSong());
+
+			const [{ init }] = requests;
+			expect(init.headers['User-Agent']).to.be.equal(
+				'WebScrobbler/0.0.0 ( https://web-scrobbler.github.io/ )');
+		});
+
+		it('should send requests not more often than once per second', async() => {
+			const requests = stubFetch([
+				{ body: makeSearchResult([]) }, { body: makeSearchResult([]) },
+			]);
+			await Promise.all([
+				MusicBrainz.process(createSong('Track 1')),
+				MusicBrainz.process(createSong('Track 2')),
+			]);
+
+			expect(requests).to.have.lengthOf(2);
+			expect(delays).to.be.deep.equal([MusicBrainz.REQUEST_INTERVAL]);
+		});
+
+		it('should not cache result if service is unavailable', async() => {
+			const requests = stubFetch([
+				{ status: 503, body: 'Service Unavailable' },
+				{ body: makeSearchResult([]) },
+			]);
+			const song = createSong();
+
+			await MusicBrainz.process(song);
+			expect(song.metadata.trackMbId).to.be.undefined;
+
+			await MusicBrainz.process(song);
+			expect(song.metadata.trackMbId).to.be.equal('recording');
+			expect(requests).to.have.lengthOf(2);
+		});
+	});
+}
+
+runTests();
@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * Tests for 'Options' module.
+ */
+
+const expect = require('chai').expect;
+const Options = require('../../src/core/background/storage/options');
+
+const CONNECTOR_ID = 'youtube';
+const OTHER_CONNECTOR_ID = 'spotify';
+
+const GLOBAL_SCROBBLE_PERCENT = 50;
+const OVERRIDDEN_SCROBBLE_PERCENT = 80;
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	describe('getOption', () => {
+		before(async() => {
+			await Options.setOption(Options.SCROBBLE_PERCENT, GLOBAL_SCROBBLE_PERCENT);
+			await Options.setOption(Options.FORCE_RECOGNIZE, false);
+			await Options.setConnectorOverrides(CONNECTOR_ID, {
+				[Options.SCROBBLE_PERCENT]: OVERRIDDEN_SCROBBLE_PERCENT,
+			});
+		});
+
+		after(() => Options.setConnectorOverrides(CONNECTOR_ID, {}));
+
+		it('should return overridden value for connector', async() => {
+			const value = await Options.getOption(
+				Options.SCROBBLE_PERCENT, CONNECTOR_ID);
+			expect(value).to.be.equal(OVERRIDDEN_SCROBBLE_PERCENT);
+		});
+
+		it('should fall through to global value if option is not overridden', async() => {
+			const value = await Options.getOption(
+				Options.FORCE_RECOGNIZE, CONNECTOR_ID);
+			expect(value).to.be.false;
+		});
+
+		it('should fall through to global value for connector without overrides', async() => {
+			const value = await Options.getOption(
+				Options.SCROBBLE_PERCENT, OTHER_CONNECTOR_ID);
+			expect(value).to.be.equal(GLOBAL_SCROBBLE_PERCENT);
+		});
+
+		it('should return global value if connector is not given', async() => {
+			const value = await Options.getOption(Options.SCROBBLE_PERCENT);
+			expect(value).to.be.equal(GLOBAL_SCROBBLE_PERCENT);
+		});
+
+		it('should return global value after overrides are removed', async() => {
+			await Options.setConnectorOverrides(CONNECTOR_ID, {});
+
+			const value = await Options.getOption(
+				Options.SCROBBLE_PERCENT, CONNECTOR_ID);
+			expect(value).to.be.equal(GLOBAL_SCROBBLE_PERCENT);
+		});
+	});
+
+	describe('setConnectorOverrides', () => {
+		after(() => Options.setConnectorOverrides(CONNECTOR_ID, {}));
+
+		it('should throw an error for non-overridable option', async() => {
+			let error = null;
+			try {
+				await Options.setConnectorOverrides(CONNECTOR_ID, {
+					[Options.MULTI_TAB_POLICY]: Options.MULTI_TAB_POLICY_ALL,
+				});
+			} catch (err) {
+				error = err;
+			}
+
+			expect(error).to.be.instanceOf(Error);
+			expect(await Options.getConnectorOverrides(CONNECTOR_ID)).to.be.empty;
+		});
+
+		it('should throw an error for invalid option value', async() => {
+			let error = null;
+			try {
+				await Options.setConnectorOverrides(CONNECTOR_ID, {
+					[Options.FORCE_RECOGNIZE]: 'true',
+				});
+			} catch (err) {
+				error = err;
+			}
+
+			expect(error).to.be.instanceOf(Error);
+		});
+	});
+}
+
+runTests();
@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * Tests for 'RoutingRules' module.
+ */
+
+const expect = require('chai').expect;
+const RoutingRules = require('../../src/core/background/storage/routing-rules');
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	it('should return null for connector without rule', async() => {
+		const scrobblerIds = await RoutingRules.getScrobblerIds('connector');
+		expect(scrobblerIds).to.be.null;
+	});
+
+	it('should set rule for connector', async() => {
+		const scrobblerIds = ['Last.fm'];
+
+		await RoutingRules.setRule('connector', scrobblerIds);
+		expect(await RoutingRules.getScrobblerIds('connector')).to.be.deep.equal(scrobblerIds);
+	});
+
+	it('should keep empty rule for connector', async() => {
+		await RoutingRules.setRule('connector', []);
+		expect(await RoutingRules.getScrobblerIds('connector')).to.be.deep.equal([]);
+	});
+
+	it('should reset rule for connector', async() => {
+		await RoutingRules.resetRule('connector');
+		expect(await RoutingRules.getAllRules()).to.be.deep.equal({});
+	});
+}
+
+runTests();
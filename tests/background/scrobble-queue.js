@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * Tests for 'ScrobbleQueue' module.
+ */
+
+const expect = require('chai').expect;
+const Song = require('../../src/core/background/object/song');
+const ScrobbleQueue = require('../../src/core/background/storage/scrobble-queue');
+
+const LABEL = 'Scrobbler';
+const ANOTHER_LABEL = 'Another scrobbler';
+
+const DUMMY_CONNECTOR = {
+	label: 'Dummy label'
+};
+
+/**
+ * Create song object.
+ * @param  {Number} index Song index
+ * @return {Object} Song instance
+ */
+function createSong(index) {
+	return new Song({
+		artist: `Artist ${index}`, track: `Track ${index}`
+	}, DUMMY_CONNECTOR);
+}
+
+/**
+ * Get artist names of given song data objects.
+ * @param  {Array} songs Array of song data objects
+ * @return {Array} Array of artist names
+ */
+function getArtists(songs) {
+	return songs.map((songData) => songData.parsed.artist);
+}
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	it('should return empty queue', async() => {
+		const songs = await ScrobbleQueue.getSongs(LABEL);
+		expect(songs).to.be.deep.equal([]);
+	});
+
+	it('should add songs to queue in order', async() => {
+		await ScrobbleQueue.addSong(LABEL, createSong(1));
+		await ScrobbleQueue.addSong(LABEL, createSong(2));
+		await ScrobbleQueue.addSong(LABEL, createSong(3));
+
+		const songs = await ScrobbleQueue.getSongs(LABEL);
+		expect(getArtists(songs)).to.be.deep.equal([
+			'Artist 1', 'Artist 2', 'Artist 3'
+		]);
+	});
+
+	it('should return pending count of scrobbler', async() => {
+		await ScrobbleQueue.addSong(ANOTHER_LABEL, createSong(4));
+
+		const count = await ScrobbleQueue.getPendingCount(LABEL);
+		expect(count).to.be.equal(3);
+	});
+
+	it('should return total pending count', async() => {
+		const count = await ScrobbleQueue.getPendingCount();
+		expect(count).to.be.equal(4);
+	});
+
+	it('should remove given songs', async() => {
+		const queuedSongs = await ScrobbleQueue.getSongs(LABEL);
+		await ScrobbleQueue.removeSongs(LABEL, [queuedSongs[0], queuedSongs[2]]);
+
+		const songs = await ScrobbleQueue.getSongs(LABEL);
+		expect(getArtists(songs)).to.be.deep.equal(['Artist 2']);
+	});
+
+	it('should clear queue', async() => {
+		await ScrobbleQueue.clearSongs(LABEL);
+		await ScrobbleQueue.clearSongs(ANOTHER_LABEL);
+
+		const count = await ScrobbleQueue.getPendingCount();
+		expect(count).to.be.equal(0);
+	});
+
+	it('should save history entry ID of queued song', async() => {
+		await ScrobbleQueue.addSong(LABEL, createSong(1), 42);
+
+		const [songData] = await ScrobbleQueue.getSongs(LABEL);
+		expect(songData.historyId).to.be.equal(42);
+
+		await ScrobbleQueue.clearSongs(LABEL);
+	});
+
+	it('should keep songs added concurrently', async() => {
+		await Promise.all([
+			ScrobbleQueue.addSong(LABEL, createSong(1)),
+			ScrobbleQueue.addSong(ANOTHER_LABEL, createSong(2)),
+			ScrobbleQueue.addSong(LABEL, createSong(3)),
+		]);
+
+		const count = await ScrobbleQueue.getPendingCount();
+		expect(count).to.be.equal(3);
+	});
+
+	it('should keep songs added while other songs are removed', async() => {
+		const queuedSongs = await ScrobbleQueue.getSongs(LABEL);
+		await Promise.all([
+			ScrobbleQueue.removeSongs(LABEL, queuedSongs),
+			ScrobbleQueue.addSong(LABEL, createSong(4)),
+		]);
+
+		const songs = await ScrobbleQueue.getSongs(LABEL);
+		expect(getArtists(songs)).to.be.deep.equal(['Artist 4']);
+
+		await ScrobbleQueue.clearSongs(LABEL);
+		await ScrobbleQueue.clearSongs(ANOTHER_LABEL);
+	});
+
+	it('should not exceed max queue size', async() => {
+		const songsCount = ScrobbleQueue.MAX_QUEUE_SIZE + 1;
+		for (let i = 0; i < songsCount; ++i) {
+			await ScrobbleQueue.addSong(LABEL, createSong(i));
+		}
+
+		const songs = await ScrobbleQueue.getSongs(LABEL);
+		expect(songs.length).to.be.equal(ScrobbleQueue.MAX_QUEUE_SIZE);
+		expect(songs[0].parsed.artist).to.be.equal('Artist 1');
+
+		await ScrobbleQueue.clearSongs(LABEL);
+	});
+}
+
+runTests();
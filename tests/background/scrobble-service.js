@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Tests for 'ScrobbleService' module.
+ */
+
+const expect = require('chai').expect;
+const Song = require('../../src/core/background/object/song');
+const ScrobbleService = require('../../src/core/background/object/scrobble-service');
+const ScrobblerAccounts = require('../../src/core/background/storage/scrobbler-accounts');
+
+const { stubFetch, restoreFetch } = require('../stubs/fetch');
+
+/**
+ * Create song object.
+ * @return {Object} Song instance
+ */
+function createSong() {
+	return new Song({ artist: 'Artist', track: 'Track' }, { label: 'Connector' });
+}
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	describe('getSongInfo', () => {
+		let accountId = null;
+
+		before(async() => {
+			accountId = await ScrobblerAccounts.addAccount('Last.fm', 'Account');
+			await ScrobbleService.loadCustomScrobblers();
+		});
+
+		after(async() => {
+			const account = ScrobbleService.getScrobblerById(accountId);
+			await ScrobbleService.removeAccount(account);
+
+			restoreFetch();
+		});
+
+		it('should send one request per service', async() => {
+			const requests = stubFetch([{ body: {} }, { body: {} }]);
+			const songInfoArr = await ScrobbleService.getSongInfo(createSong());
+
+			expect(requests).to.have.lengthOf(1);
+			expect(songInfoArr).to.have.lengthOf(1);
+		});
+	});
+}
+
+runTests();
@@ -360,6 +360,32 @@ function testGetArtistTrackString() {
 	});
 }
 
+function testFromCloneableData() {
+	const song = createSong(PARSED_DATA, PROCESSED_DATA);
+	song.flags.isScrobbled = true;
+	song.metadata.startTimestamp = 1234567890;
+
+	const restoredSong = Song.fromCloneableData(song.getCloneableData());
+
+	it('should restore song info', () => {
+		expect(restoredSong.getArtist()).to.be.equal(song.getArtist());
+		expect(restoredSong.getTrack()).to.be.equal(song.getTrack());
+		expect(restoredSong.getAlbum()).to.be.equal(song.getAlbum());
+	});
+
+	it('should restore song metadata', () => {
+		expect(restoredSong.metadata).to.be.deep.equal(song.metadata);
+	});
+
+	it('should restore song flags', () => {
+		expect(restoredSong.flags).to.be.deep.equal(song.flags);
+	});
+
+	it('should restore connector label', () => {
+		expect(restoredSong.connectorLabel).to.be.equal(song.connectorLabel);
+	});
+}
+
 /**
  * Run all tests.
  */
@@ -379,6 +405,7 @@ function runTests() {
 	describe('getDuration', testGetDuration);
 	describe('setLoveStatus', testSetLoveStatus);
 	describe('getCloneableData', testGetCloneableData);
+	describe('fromCloneableData', testFromCloneableData);
 	describe('getArtistTrackString', testGetArtistTrackString);
 }
 
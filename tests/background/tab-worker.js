@@ -0,0 +1,310 @@
+'use strict';
+
+/**
+ * Tests for 'TabWorker' module.
+ */
+
+const expect = require('chai').expect;
+const browser = require('../stubs/webextension-polyfill');
+const Options = require('../../src/core/background/storage/options');
+const TabWorker = require('../../src/core/background/object/tab-worker');
+
+const TAB_ID = 1;
+const OTHER_TAB_ID = 2;
+
+/**
+ * Number of milliseconds a tab should be inaudible before a controller
+ * is notified.
+ * @type {Number}
+ */
+const INAUDIBLE_GRACE_PERIOD = 10000;
+
+const CONNECTOR = {
+	id: 'test', label: 'Test', js: 'connectors/test.js',
+};
+
+class TestTabWorker extends TabWorker {
+	/** @override */
+	onConnectorActivated() {
+		// Do nothing
+	}
+
+	/** @override */
+	onControllerEvent() {
+		// Do nothing
+	}
+}
+
+/**
+ * Create tab worker and wait until it's initialized.
+ * @return {Object} TabWorker instance
+ */
+async function createTabWorker() {
+	const worker = new TestTabWorker();
+	await worker.initialize();
+
+	return worker;
+}
+
+/**
+ * Create controller stub which records changes of tab audible state.
+ * @param  {Number} tabId Tab ID
+ * @param  {Boolean} isPlaying Playing state of the controller
+ * @return {Object} Controller stub
+ */
+function createControllerStub(tabId, isPlaying = false) {
+	return {
+		tabId,
+		isSuspended: false,
+		audibleStates: [],
+
+		isPlaying() {
+			return isPlaying;
+		},
+
+		setSuspended(isSuspended) {
+			this.isSuspended = isSuspended;
+		},
+
+		setTabAudible(isAudible) {
+			this.audibleStates.push(isAudible);
+		},
+
+		finish() {
+			// Do nothing
+		},
+	};
+}
+
+/**
+ * Replace global timer functions by stubs which don't run callbacks
+ * until they are called explicitly.
+ * @return {Object} Object contains pending timers and restore function
+ */
+function stubTimers() {
+	const { setTimeout, clearTimeout } = global;
+	const timers = new Map();
+	let lastTimerId = 0;
+
+	global.setTimeout = (callback, delay) => {
+		timers.set(++lastTimerId, { callback, delay });
+		return lastTimerId;
+	};
+	global.clearTimeout = (timerId) => {
+		timers.delete(timerId);
+	};
+
+	return {
+		timers,
+
+		restore() {
+			global.setTimeout = setTimeout;
+			global.clearTimeout = clearTimeout;
+		},
+	};
+}
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	describe('processTabAudioChange', () => {
+		let worker = null;
+		let ctrl = null;
+		let timerStub = null;
+
+		beforeEach(async() => {
+			await Options.setOption(Options.SKIP_INAUDIBLE_TABS, true);
+
+			worker = await createTabWorker();
+			ctrl = createControllerStub(TAB_ID);
+			worker.tabControllers[TAB_ID] = ctrl;
+
+			timerStub = stubTimers();
+		});
+
+		afterEach(async() => {
+			timerStub.restore();
+			await Options.setOption(Options.SKIP_INAUDIBLE_TABS, false);
+		});
+
+		it('should resume audible tab immediately', async() => {
+			await worker.processTabAudioChange(TAB_ID, true);
+
+			expect(ctrl.audibleStates).to.be.deep.equal([true]);
+			expect(timerStub.timers.size).to.be.equal(0);
+		});
+
+		it('should pause inaudible tab after grace period', async() => {
+			await worker.processTabAudioChange(TAB_ID, false);
+			expect(ctrl.audibleStates).to.be.empty;
+
+			const [timer] = timerStub.timers.values();
+			expect(timer.delay).to.be.equal(INAUDIBLE_GRACE_PERIOD);
+
+			timer.callback();
+			expect(ctrl.audibleStates).to.be.deep.equal([false]);
+		});
+
+		it('should not pause tab which becomes audible in grace period', async() => {
+			await worker.processTabAudioChange(TAB_ID, false);
+			await worker.processTabAudioChange(TAB_ID, true);
+
+			expect(ctrl.audibleStates).to.be.deep.equal([true]);
+			expect(timerStub.timers.size).to.be.equal(0);
+		});
+
+		it('should cancel grace period if controller is unloaded', async() => {
+			await worker.processTabAudioChange(TAB_ID, false);
+			await worker.unloadController(TAB_ID);
+
+			expect(timerStub.timers.size).to.be.equal(0);
+		});
+
+		it('should not pause inaudible tab if option is disabled', async() => {
+			await Options.setOption(Options.SKIP_INAUDIBLE_TABS, false);
+			await worker.processTabAudioChange(TAB_ID, false);
+
+			expect(ctrl.audibleStates).to.be.deep.equal([true]);
+			expect(timerStub.timers.size).to.be.equal(0);
+		});
+	});
+
+	describe('applyMultiTabPolicy', () => {
+		let worker = null;
+		let currentCtrl = null;
+		let otherCtrl = null;
+
+		beforeEach(async() => {
+			worker = await createTabWorker();
+			worker.currentTabId = TAB_ID;
+
+			currentCtrl = createControllerStub(TAB_ID, true);
+			otherCtrl = createControllerStub(OTHER_TAB_ID, true);
+			worker.tabControllers[TAB_ID] = currentCtrl;
+			worker.tabControllers[OTHER_TAB_ID] = otherCtrl;
+
+			// The other tab has started playback later
+			worker.playbackStartTimes[TAB_ID] = 1000;
+			worker.playbackStartTimes[OTHER_TAB_ID] = 2000;
+		});
+
+		afterEach(async() => {
+			await Options.setOption(
+				Options.MULTI_TAB_POLICY, Options.MULTI_TAB_POLICY_ALL);
+		});
+
+		it('should not suspend tabs if all tabs are allowed', async() => {
+			await worker.applyMultiTabPolicy();
+
+			expect(currentCtrl.isSuspended).to.be.false;
+			expect(otherCtrl.isSuspended).to.be.false;
+		});
+
+		it('should suspend all tabs except latest one', async() => {
+			await Options.setOption(
+				Options.MULTI_TAB_POLICY, Options.MULTI_TAB_POLICY_LATEST);
+			await worker.applyMultiTabPolicy();
+
+			expect(currentCtrl.isSuspended).to.be.true;
+			expect(otherCtrl.isSuspended).to.be.false;
+		});
+
+		it('should suspend all tabs except focused one', async() => {
+			await Options.setOption(
+				Options.MULTI_TAB_POLICY, Options.MULTI_TAB_POLICY_FOCUSED);
+			await worker.applyMultiTabPolicy();
+
+			expect(currentCtrl.isSuspended).to.be.false;
+			expect(otherCtrl.isSuspended).to.be.true;
+		});
+
+		it('should allow audible tab if focused tab is muted', async() => {
+			await Options.setOption(
+				Options.MULTI_TAB_POLICY, Options.MULTI_TAB_POLICY_FOCUSED);
+			await worker.processTabAudioChange(TAB_ID, false);
+			await worker.applyMultiTabPolicy();
+
+			expect(currentCtrl.isSuspended).to.be.true;
+			expect(otherCtrl.isSuspended).to.be.false;
+		});
+
+		it('should prefer audible tab to latest one', async() => {
+			await Options.setOption(
+				Options.MULTI_TAB_POLICY, Options.MULTI_TAB_POLICY_FOCUSED);
+			worker.currentTabId = browser.tabs.TAB_ID_NONE;
+			await worker.processTabAudioChange(OTHER_TAB_ID, false);
+			await worker.applyMultiTabPolicy();
+
+			expect(currentCtrl.isSuspended).to.be.false;
+			expect(otherCtrl.isSuspended).to.be.true;
+		});
+
+		it('should allow latest tab if all tabs are muted', async() => {
+			await Options.setOption(
+				Options.MULTI_TAB_POLICY, Options.MULTI_TAB_POLICY_FOCUSED);
+			await worker.processTabAudioChange(TAB_ID, false);
+			await worker.processTabAudioChange(OTHER_TAB_ID, false);
+			await worker.applyMultiTabPolicy();
+
+			expect(currentCtrl.isSuspended).to.be.true;
+			expect(otherCtrl.isSuspended).to.be.false;
+		});
+
+		it('should resume all tabs if no tab is playing', async() => {
+			await Options.setOption(
+				Options.MULTI_TAB_POLICY, Options.MULTI_TAB_POLICY_LATEST);
+			for (const ctrl of [currentCtrl, otherCtrl]) {
+				ctrl.isPlaying = () => false;
+				ctrl.isSuspended = true;
+			}
+			await worker.applyMultiTabPolicy();
+
+			expect(currentCtrl.isSuspended).to.be.false;
+			expect(otherCtrl.isSuspended).to.be.false;
+		});
+	});
+
+	describe('tryToInjectConnector', () => {
+		const { get, sendMessage } = browser.tabs;
+		let worker = null;
+
+		beforeEach(async() => {
+			// Connector is usually injected into the current tab
+			worker = await createTabWorker();
+			worker.currentTabId = TAB_ID;
+			worker.activeTabId = TAB_ID;
+
+			browser.tabs.sendMessage = async(tabId, { type }) => {
+				// Connector is not injected yet
+				if (type === 'EVENT_PING') {
+					throw new Error('Could not establish connection');
+				}
+			};
+		});
+
+		afterEach(() => {
+			browser.tabs.get = get;
+			browser.tabs.sendMessage = sendMessage;
+		});
+
+		it('should create controller for matched tab', async() => {
+			await worker.tryToInjectConnector(TAB_ID, CONNECTOR);
+
+			expect(worker.tabControllers[TAB_ID]).to.exist;
+			worker.unloadController(TAB_ID);
+		});
+
+		it('should remove controller if tab is closed', async() => {
+			browser.tabs.get = async(tabId) => {
+				throw new Error(`No tab with id: ${tabId}`);
+			};
+
+			await worker.tryToInjectConnector(TAB_ID, CONNECTOR);
+
+			expect(worker.tabControllers[TAB_ID]).to.not.exist;
+		});
+	});
+}
+
+runTests();
@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * Tests for 'Timer' module.
+ */
+
+const expect = require('chai').expect;
+const Timer = require('../../src/core/background/object/timer');
+
+/**
+ * Get elapsed time of paused timer without adjustments.
+ * @param  {Object} timer Timer instance
+ * @return {Number} Elapsed seconds
+ */
+function getElapsed(timer) {
+	return timer.pausedOn - timer.startedOn;
+}
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	describe('adjust', () => {
+		const timer = new Timer();
+
+		beforeEach(() => {
+			timer.start(() => {
+				// Do nothing
+			});
+			timer.update(100);
+			// Paused timer keeps elapsed time unchanged
+			timer.pause();
+		});
+
+		afterEach(() => {
+			timer.reset();
+		});
+
+		it('should decrease elapsed time', () => {
+			timer.adjust(-10);
+			expect(timer.getRemainingSeconds()).to.be.equal(110 - getElapsed(timer));
+		});
+
+		it('should increase elapsed time', () => {
+			timer.adjust(10);
+			expect(timer.getRemainingSeconds()).to.be.equal(90 - getElapsed(timer));
+		});
+
+		it('should expire timer if elapsed time exceeds target time', () => {
+			timer.adjust(101);
+			expect(timer.isExpired()).to.be.true;
+		});
+
+		it('should do nothing if timer is not started', () => {
+			timer.reset();
+			timer.adjust(10);
+			expect(timer.getRemainingSeconds()).to.be.null;
+		});
+	});
+}
+
+runTests();
@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Tests for 'util-edit-rules' module.
+ */
+
+const expect = require('chai').expect;
+const UtilEditRules = require('../../src/core/background/util/util-edit-rules');
+
+const {
+	ACTION_REPLACE, ACTION_SET, ACTION_SWAP, ACTION_SPLIT_FEAT
+} = UtilEditRules;
+
+const SONG_INFO = {
+	artist: 'Artist - Topic',
+	track: 'Track (feat. Other Artist) (Official Video)',
+	album: null,
+	albumArtist: null,
+};
+
+const APPLY_TEST_DATA = [{
+	description: 'should replace pattern in field',
+	rules: [{
+		action: ACTION_REPLACE, field: 'artist', pattern: '\\s*-\\s*topic$',
+	}],
+	expected: { artist: 'Artist' },
+}, {
+	description: 'should set field value',
+	rules: [{
+		action: ACTION_SET, field: 'album', value: 'Album',
+	}],
+	expected: { album: 'Album' },
+}, {
+	description: 'should swap artist and track',
+	rules: [{ action: ACTION_SWAP }],
+	expected: { artist: SONG_INFO.track, track: SONG_INFO.artist },
+}, {
+	description: 'should move featured artists to artist',
+	rules: [{ action: ACTION_SPLIT_FEAT, field: 'track' }],
+	expected: {
+		artist: 'Artist - Topic feat. Other Artist',
+		track: 'Track (Official Video)',
+	},
+}, {
+	description: 'should not change artist with featured artists',
+	rules: [
+		{ action: ACTION_SPLIT_FEAT, field: 'track' },
+		{ action: ACTION_SPLIT_FEAT, field: 'artist' },
+	],
+	expected: {
+		artist: 'Artist - Topic feat. Other Artist',
+		track: 'Track (Official Video)',
+	},
+}, {
+	description: 'should not apply rule if connector is not matched',
+	rules: [{
+		connectorId: 'spotify', action: ACTION_SET, field: 'album', value: 'Album',
+	}],
+	expected: {},
+}, {
+	description: 'should not apply rule if artist is not matched',
+	rules: [{
+		artist: '^Another Artist$', action: ACTION_SET, field: 'album', value: 'Album',
+	}],
+	expected: {},
+}, {
+	description: 'should apply rules in order',
+	rules: [{
+		action: ACTION_REPLACE, field: 'track', pattern: '\\(official video\\)',
+	}, {
+		track: 'video', action: ACTION_SET, field: 'album', value: 'Album',
+	}, {
+		connectorId: 'youtube', track: 'feat', action: ACTION_SPLIT_FEAT, field: 'track',
+	}],
+	expected: { artist: 'Artist - Topic feat. Other Artist', track: 'Track' },
+}];
+
+const VALIDATE_TEST_DATA = [{
+	description: 'should accept valid rule',
+	rule: { artist: '^Artist', action: ACTION_REPLACE, field: 'track', pattern: 'a' },
+	expected: true,
+}, {
+	description: 'should reject rule with unknown action',
+	rule: { action: 'remove', field: 'track' },
+	expected: false,
+}, {
+	description: 'should reject rule with unknown field',
+	rule: { action: ACTION_SET, field: 'duration', value: '1' },
+	expected: false,
+}, {
+	description: 'should reject replace rule without pattern',
+	rule: { action: ACTION_REPLACE, field: 'track' },
+	expected: false,
+}, {
+	description: 'should reject rule with invalid regular expression',
+	rule: { track: '(', action: ACTION_SWAP },
+	expected: false,
+}];
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	describe('applyEditRules', () => {
+		for (const data of APPLY_TEST_DATA) {
+			const { description, rules, expected } = data;
+
+			it(description, () => {
+				const actual = UtilEditRules.applyEditRules(
+					SONG_INFO, 'youtube', rules);
+
+				expect(actual).to.be.deep.equal(
+					Object.assign({}, SONG_INFO, expected));
+			});
+		}
+	});
+
+	describe('isRuleValid', () => {
+		for (const data of VALIDATE_TEST_DATA) {
+			const { description, rule, expected } = data;
+
+			it(description, () => {
+				expect(UtilEditRules.isRuleValid(rule)).to.be.equal(expected);
+			});
+		}
+	});
+}
+
+runTests();
@@ -0,0 +1,281 @@
+'use strict';
+
+/**
+ * Tests for 'util-history' module.
+ */
+
+const expect = require('chai').expect;
+const UtilHistory = require('../../src/core/background/util/util-history');
+const ServiceCallResult = require('../../src/core/background/object/service-call-result');
+
+const { FORMAT_CSV, FORMAT_JSON, FORMAT_JSONL } = UtilHistory;
+const { STATUS_OK, STATUS_IGNORED, STATUS_FAILED } = UtilHistory;
+
+/**
+ * Create history entry.
+ * @param  {Number} startTimestamp Song start timestamp
+ * @param  {Object} parsed Parsed song data
+ * @return {Object} History entry
+ */
+function makeEntry(startTimestamp, parsed) {
+	return {
+		id: startTimestamp,
+		timestamp: startTimestamp,
+		song: {
+			parsed: Object.assign({
+				album: null, albumArtist: null, duration: null, originUrl: null,
+			}, parsed),
+			processed: {},
+			flags: {},
+			metadata: { startTimestamp, label: 'Connector' },
+			connectorLabel: 'Connector',
+		},
+		connector: null,
+		results: {},
+	};
+}
+
+const ENTRIES = [
+	makeEntry(1000, { artist: 'Artist', track: 'Track, "quoted"' }),
+	makeEntry(2000, {
+		artist: 'Artist 2', track: 'Track 2', album: 'Album\nwith newline',
+		albumArtist: 'Album Artist', duration: 180,
+		originUrl: 'https://example.com/',
+	}),
+];
+
+/**
+ * History entry with scrobble results used to test queries.
+ * @type {Object}
+ */
+const QUERY_ENTRY = Object.assign(makeEntry(3000, {
+	artist: 'Artist', track: 'Track', album: 'Album',
+}), {
+	connector: { id: 'youtube', label: 'YouTube' },
+	results: {
+		'Last.fm': ServiceCallResult.RESULT_OK,
+		'ListenBrainz': ServiceCallResult.ERROR_OTHER,
+	},
+});
+QUERY_ENTRY.song.processed = { track: 'Renamed' };
+
+const GET_RESULT_STATUS_DATA = [{
+	description: 'should return OK status for successful result',
+	args: [ServiceCallResult.RESULT_OK],
+	expected: STATUS_OK,
+}, {
+	description: 'should return ignored status for ignored result',
+	args: [ServiceCallResult.RESULT_IGNORE],
+	expected: STATUS_IGNORED,
+}, {
+	description: 'should return failed status for error',
+	args: [ServiceCallResult.ERROR_AUTH],
+	expected: STATUS_FAILED,
+}];
+
+const IS_ENTRY_MATCHED_DATA = [{
+	description: 'should match entry if no options are given',
+	args: [QUERY_ENTRY, {}],
+	expected: true,
+}, {
+	description: 'should match entry by connector ID',
+	args: [QUERY_ENTRY, { connectorId: 'youtube' }],
+	expected: true,
+}, {
+	description: 'should not match entry by other connector ID',
+	args: [QUERY_ENTRY, { connectorId: 'spotify' }],
+	expected: false,
+}, {
+	description: 'should not match entry without connector by connector ID',
+	args: [ENTRIES[0], { connectorId: 'youtube' }],
+	expected: false,
+}, {
+	description: 'should match entry by status of any result',
+	args: [QUERY_ENTRY, { status: STATUS_FAILED }],
+	expected: true,
+}, {
+	description: 'should not match entry without results of given status',
+	args: [QUERY_ENTRY, { status: STATUS_IGNORED }],
+	expected: false,
+}, {
+	description: 'should match entry by query case-insensitively',
+	args: [QUERY_ENTRY, { query: 'album' }],
+	expected: true,
+}, {
+	description: 'should match entry by processed value',
+	args: [QUERY_ENTRY, { query: 'renamed' }],
+	expected: true,
+}, {
+	description: 'should not match entry by parsed value if it is edited',
+	args: [QUERY_ENTRY, { query: 'Track' }],
+	expected: false,
+}, {
+	description: 'should not match entry by unknown query',
+	args: [QUERY_ENTRY, { query: 'unknown' }],
+	expected: false,
+}, {
+	description: 'should match entry only if all options are matched',
+	args: [QUERY_ENTRY, { query: 'artist', status: STATUS_IGNORED }],
+	expected: false,
+}];
+
+const HAS_ENTRY_FILTER_DATA = [{
+	description: 'should return false for empty options',
+	args: [{}],
+	expected: false,
+}, {
+	description: 'should return false for time range only',
+	args: [{ from: 1000, to: 2000, offset: 20, limit: 20 }],
+	expected: false,
+}, {
+	description: 'should return true for query',
+	args: [{ query: 'artist', from: 1000 }],
+	expected: true,
+}, {
+	description: 'should return true for connector',
+	args: [{ connectorId: 'youtube' }],
+	expected: true,
+}, {
+	description: 'should return true for status',
+	args: [{ status: STATUS_FAILED }],
+	expected: true,
+}];
+
+/**
+ * Entries which must not be imported from JSON.
+ * @type {Array}
+ */
+const INVALID_JSON_ENTRIES = [{
+	description: 'entry which is not an object',
+	entry: 'entry',
+}, {
+	description: 'entry without results',
+	entry: Object.assign(makeEntry(1000, ENTRIES[0].song.parsed), {
+		results: undefined,
+	}),
+}, {
+	description: 'entry without processed song info',
+	entry: Object.assign(makeEntry(1000, ENTRIES[0].song.parsed), {
+		song: Object.assign({}, ENTRIES[0].song, { processed: null }),
+	}),
+}, {
+	description: 'entry without artist',
+	entry: makeEntry(1000, { artist: '', track: 'Track' }),
+}, {
+	description: 'entry with invalid start timestamp',
+	entry: Object.assign(makeEntry(1000, ENTRIES[0].song.parsed), {
+		song: Object.assign({}, ENTRIES[0].song, {
+			metadata: { startTimestamp: 'yesterday' },
+		}),
+	}),
+}, {
+	description: 'entry with invalid time of scrobble attempt',
+	entry: Object.assign(makeEntry(1000, ENTRIES[0].song.parsed), {
+		timestamp: null,
+	}),
+}];
+
+/**
+ * Test that each of given entries is rejected on import from JSON.
+ * @param  {Array} testData Array of test data
+ */
+function testImportInvalidJsonEntries(testData) {
+	for (const data of testData) {
+		const { description, entry } = data;
+		it(`should throw an error for JSON ${description}`, () => {
+			const dataStr = JSON.stringify([ENTRIES[0], entry]);
+			expect(() => UtilHistory.importEntries(dataStr, FORMAT_JSON)).to.throw();
+		});
+	}
+}
+
+/**
+ * Test function.
+ * @param  {Function} func Function to be tested
+ * @param  {Array} testData Array of test data
+ */
+function testFunction(func, testData) {
+	for (const data of testData) {
+		const { description, args, expected } = data;
+		it(description, () => {
+			const actual = func(...args);
+			expect(actual).to.be.deep.equal(expected);
+		});
+	}
+}
+
+/**
+ * Get song fields used to compare entries.
+ * @param  {Array} entries Array of history entries
+ * @return {Array} Array of song fields
+ */
+function getSongFields(entries) {
+	return entries.map(({ song }) => {
+		const { artist, track, album, albumArtist, duration } = song.parsed;
+		const { startTimestamp } = song.metadata;
+
+		return { artist, track, album, albumArtist, duration, startTimestamp };
+	});
+}
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	for (const format of [FORMAT_CSV, FORMAT_JSON, FORMAT_JSONL]) {
+		it(`should export and import entries in ${format} format`, () => {
+			const dataStr = UtilHistory.exportEntries(ENTRIES, format);
+			const entries = UtilHistory.importEntries(dataStr, format);
+
+			expect(getSongFields(entries)).to.be.deep.equal(getSongFields(ENTRIES));
+		});
+	}
+
+	it('should throw an error for unknown format', () => {
+		expect(() => UtilHistory.importEntries('', 'xml')).to.throw();
+	});
+
+	it('should throw an error for CSV without required columns', () => {
+		expect(() => UtilHistory.importEntries('a,b\n1,2', FORMAT_CSV)).to.throw();
+	});
+
+	testImportInvalidJsonEntries(INVALID_JSON_ENTRIES);
+
+	it('should remove duplicates', () => {
+		const entries = [ENTRIES[0], ENTRIES[1], ENTRIES[1]];
+		const uniqueEntries = UtilHistory.removeDuplicates(entries, [ENTRIES[0]]);
+
+		expect(uniqueEntries).to.be.deep.equal([ENTRIES[1]]);
+	});
+
+	describe('getResultStatus', () => {
+		testFunction(UtilHistory.getResultStatus, GET_RESULT_STATUS_DATA);
+	});
+
+	describe('isEntryMatched', () => {
+		testFunction(UtilHistory.isEntryMatched, IS_ENTRY_MATCHED_DATA);
+	});
+
+	describe('hasEntryFilter', () => {
+		testFunction(UtilHistory.hasEntryFilter, HAS_ENTRY_FILTER_DATA);
+	});
+
+	describe('stripEntryIds', () => {
+		it('should remove IDs from entries', () => {
+			const entries = UtilHistory.stripEntryIds(ENTRIES);
+
+			expect(entries.map((entry) => entry.id)).to.be.deep.equal([
+				undefined, undefined
+			]);
+			expect(entries[0].song).to.be.equal(ENTRIES[0].song);
+		});
+
+		it('should not modify given entries', () => {
+			UtilHistory.stripEntryIds(ENTRIES);
+
+			expect(ENTRIES[0].id).to.be.equal(1000);
+		});
+	});
+}
+
+runTests();
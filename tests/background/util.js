@@ -93,6 +93,18 @@ const GET_SECONDS_TO_SCROBBLE_DATA = [{
 	description: 'should return max time for long songs',
 	args: [Util.MAX_SCROBBLE_TIME * 2 + 1, scrobblePercent],
 	expected: Util.MAX_SCROBBLE_TIME
+}, {
+	description: 'should return custom max time for long songs',
+	args: [600, scrobblePercent, { maxScrobbleTime: 120 }],
+	expected: 120
+}, {
+	description: 'should return -1 for songs shorter than custom min duration',
+	args: [59, scrobblePercent, { minTrackDuration: 60 }],
+	expected: -1
+}, {
+	description: 'should return custom time if duration is unknown',
+	args: [null, scrobblePercent, { defaultScrobbleTime: 90 }],
+	expected: 90
 }];
 
 const testData = [{
@@ -120,6 +132,7 @@ function runTests() {
 	}
 
 	describe('debugLog', testDebugLog);
+	describe('generateId', testGenerateId);
 	describe('timeoutPromise', testTimeoutPromise);
 }
 
@@ -133,6 +146,37 @@ function testDebugLog() {
 	});
 }
 
+function testGenerateId() {
+	it('should generate different IDs at the same time', () => {
+		const ids = {};
+		for (let i = 0; i < 10; ++i) {
+			ids[Util.generateId(ids)] = true;
+		}
+
+		expect(Object.keys(ids)).to.have.lengthOf(10);
+	});
+
+	it('should not return existing ID', () => {
+		const dateNow = Date.now;
+		const mathRandom = Math.random;
+		const randomValues = [0.5, 0.5, 0.25];
+
+		Date.now = () => 1000000;
+		Math.random = () => randomValues.shift();
+
+		try {
+			const existingId = Util.generateId({});
+			const id = Util.generateId({ [existingId]: {} });
+
+			expect(id).to.not.be.equal(existingId);
+			expect(randomValues).to.be.empty;
+		} finally {
+			Date.now = dateNow;
+			Math.random = mathRandom;
+		}
+	});
+}
+
 function testTimeoutPromise() {
 	const testTimeout = 100;
 
@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * Tests for 'Webhook' module.
+ */
+
+const expect = require('chai').expect;
+const Song = require('../../src/core/background/object/song');
+const Webhook = require('../../src/core/background/scrobbler/webhook');
+const ServiceCallResult = require('../../src/core/background/object/service-call-result');
+
+const { stubFetch, restoreFetch } = require('../stubs/fetch');
+
+const WebhookClass = Webhook.constructor;
+
+const WEBHOOK_URL_1 = 'https://example.com/a';
+const WEBHOOK_URL_2 = 'https://example.com/b';
+
+const PARSE_URLS_DATA = [{
+	description: 'should return empty array for empty string',
+	args: [''],
+	expected: [],
+}, {
+	description: 'should split URLs by whitespaces',
+	args: ['https://example.com/a\n http://example.com/b '],
+	expected: ['https://example.com/a', 'http://example.com/b'],
+}];
+
+const PARSE_HEADERS_DATA = [{
+	description: 'should return empty object for null value',
+	args: [null],
+	expected: {},
+}, {
+	description: 'should parse headers',
+	args: ['Authorization: Bearer a:b\nX-Custom:value'],
+	expected: { Authorization: 'Bearer a:b', 'X-Custom': 'value' },
+}];
+
+const PARSE_FIELDS_DATA = [{
+	description: 'should parse list of fields',
+	args: ['artist, track'],
+	expected: ['artist', 'track'],
+}];
+
+/**
+ * Test function.
+ * @param  {Function} func Function to be tested
+ * @param  {Array} testData Array of test data
+ */
+function testFunction(func, testData) {
+	for (const data of testData) {
+		const { description, args, expected } = data;
+		it(description, () => {
+			const actual = func(...args);
+			expect(actual).to.be.deep.equal(expected);
+		});
+	}
+}
+
+/**
+ * Create webhook scrobbler sending events to two webhooks.
+ * @return {Object} Scrobbler instance
+ */
+function createScrobbler() {
+	const scrobbler = new WebhookClass({
+		label: 'Webhook',
+		storage: 'WebhookTest',
+		apiUrl: null,
+		authUrl: null,
+		statusUrl: null,
+		profileUrl: null,
+	});
+	scrobbler.webhookUrls = `${WEBHOOK_URL_1} ${WEBHOOK_URL_2}`;
+
+	return scrobbler;
+}
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	after(restoreFetch);
+
+	describe('parseUrls', () => {
+		testFunction(WebhookClass.parseUrls, PARSE_URLS_DATA);
+
+		it('should throw an error for non-HTTP URL', () => {
+			expect(() => WebhookClass.parseUrls('ftp://example.com')).to.throw();
+		});
+	});
+
+	describe('parseHeaders', () => {
+		testFunction(WebhookClass.parseHeaders, PARSE_HEADERS_DATA);
+
+		it('should throw an error for malformed header', () => {
+			expect(() => WebhookClass.parseHeaders('Header')).to.throw();
+		});
+	});
+
+	describe('parseFields', () => {
+		testFunction(WebhookClass.parseFields, PARSE_FIELDS_DATA);
+
+		it('should return all fields for empty string', () => {
+			expect(WebhookClass.parseFields('')).to.include('artist');
+		});
+
+		it('should throw an error for unknown field', () => {
+			expect(() => WebhookClass.parseFields('artist, unknown')).to.throw();
+		});
+	});
+
+	describe('makePayload', () => {
+		const song = new Song({
+			artist: 'Artist', track: 'Track'
+		}, { label: 'Connector' });
+
+		it('should contain only given fields', () => {
+			const payload = WebhookClass.makePayload(
+				'scrobble', song, ['artist', 'connector']);
+
+			expect(payload.event).to.be.equal('scrobble');
+			expect(payload.song).to.be.deep.equal({
+				artist: 'Artist', connector: 'Connector'
+			});
+		});
+	});
+
+	describe('createAccount', () => {
+		const account = Webhook.createAccount('id', 'Webhook (Team)');
+
+		it('should create scrobbler of the same service', () => {
+			expect(account).to.be.instanceOf(WebhookClass);
+			expect(account.getServiceLabel()).to.be.equal(Webhook.getLabel());
+		});
+
+		it('should create scrobbler with own label and storage', () => {
+			expect(account.getLabel()).to.be.equal('Webhook (Team)');
+			expect(account.getAccountId()).to.be.equal('id');
+			expect(account.storage.namespace).to.be.equal(
+				`${Webhook.storage.namespace}_id`);
+		});
+
+		it('should not mark default account as additional one', () => {
+			expect(Webhook.getAccountId()).to.be.null;
+		});
+
+		it('should use account ID as scrobbler ID', () => {
+			expect(account.getId()).to.be.equal('id');
+			expect(Webhook.getId()).to.be.equal(Webhook.getLabel());
+		});
+	});
+
+	describe('scrobble', () => {
+		const scrobbler = createScrobbler();
+		const song = new Song({
+			artist: 'Artist', track: 'Track'
+		}, { label: 'Connector' });
+		song.metadata.startTimestamp = 1000;
+
+		it('should return other error if some webhooks fail', async() => {
+			const requests = stubFetch([{ status: 200 }, { status: 500 }]);
+			const result = await scrobbler.scrobble(song);
+
+			expect(result).to.be.equal(ServiceCallResult.ERROR_OTHER);
+			expect(requests.map((r) => r.url)).to.be.deep.equal([
+				WEBHOOK_URL_1, WEBHOOK_URL_2
+			]);
+		});
+
+		it('should resubmit scrobble only to failed webhooks', async() => {
+			const requests = stubFetch([{ status: 200 }]);
+			const result = await scrobbler.scrobble(song);
+
+			expect(result).to.be.equal(ServiceCallResult.RESULT_OK);
+			expect(requests.map((r) => r.url)).to.be.deep.equal([WEBHOOK_URL_2]);
+		});
+
+		it('should send scrobble to all webhooks after resubmission', async() => {
+			const requests = stubFetch([{ status: 200 }, { status: 200 }]);
+			const result = await scrobbler.scrobble(song);
+
+			expect(result).to.be.equal(ServiceCallResult.RESULT_OK);
+			expect(requests).to.have.lengthOf(2);
+		});
+	});
+}
+
+runTests();
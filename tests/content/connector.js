@@ -0,0 +1,176 @@
+'use strict';
+
+/**
+ * Tests for 'connector' module.
+ */
+
+const expect = require('chai').expect;
+const MetadataFilter = require('metadata-filter');
+
+// Connector module uses globals defined by other content scripts
+global.window = global;
+global.Util = require('../../src/core/content/util');
+global.MetadataFilter = MetadataFilter;
+
+const BaseConnector = require('../../src/core/content/connector');
+
+/**
+ * Create connector which returns given state, and collects states
+ * sent to the reactor.
+ * @param  {Object} state Connector state
+ * @return {Object} Connector instance
+ */
+function createConnector(state) {
+	const connector = new BaseConnector();
+
+	connector.states = [];
+	connector.getCurrentState = () => state;
+	connector.reactorCallback = (filteredState, changedFields) => {
+		connector.states.push({
+			changedFields,
+			artist: filteredState.artist,
+			track: filteredState.track,
+			originalInfo: Object.assign({}, filteredState.originalInfo),
+		});
+	};
+
+	connector.stateChangedWorker();
+
+	return connector;
+}
+
+/**
+ * Get the last state sent to the reactor.
+ * @param  {Object} connector Connector instance
+ * @return {Object} Connector state
+ */
+function getLastState(connector) {
+	return connector.states[connector.states.length - 1];
+}
+
+/**
+ * Run all tests.
+ */
+function runTests() {
+	describe('filterState', () => {
+		it('should not record original info of trimmed fields', () => {
+			const connector = createConnector({
+				artist: ' Artist ', track: 'Track Title',
+			});
+			const state = getLastState(connector);
+
+			expect(state.artist).to.be.equal('Artist');
+			expect(state.track).to.be.equal('Track Title');
+			expect(state.originalInfo).to.be.deep.equal({});
+		});
+
+		it('should record normalized original info of filtered fields', () => {
+			const connector = createConnector({
+				artist: 'Artist', track: ' Track (Remastered 2011)',
+			});
+			connector.applyFilterSets({ remastered: true });
+
+			expect(getLastState(connector).originalInfo).to.be.deep.equal({
+				track: 'Track (Remastered 2011)',
+			});
+		});
+	});
+
+	describe('applyFilterSets', () => {
+		it('should filter current state by enabled filter set', () => {
+			const connector = createConnector({
+				artist: 'Artist', track: 'Track (Remastered 2011)',
+			});
+			connector.applyFilterSets({ remastered: true });
+			const state = getLastState(connector);
+
+			expect(state.changedFields).to.be.deep.equal(['track']);
+			expect(state.track).to.be.equal('Track');
+			expect(state.originalInfo).to.be.deep.equal({
+				track: 'Track (Remastered 2011)',
+			});
+		});
+
+		it('should restore current state if filter set is disabled', () => {
+			const connector = createConnector({
+				artist: 'Artist', track: 'Track (Remastered 2011)',
+			});
+			connector.applyFilterSets({ remastered: true });
+			connector.applyFilterSets({ remastered: false });
+			const state = getLastState(connector);
+
+			expect(state.track).to.be.equal('Track (Remastered 2011)');
+			expect(state.originalInfo).to.be.deep.equal({});
+		});
+
+		it('should not notify reactor if state is not changed', () => {
+			const connector = createConnector({
+				artist: 'Artist', track: 'Track',
+			});
+			connector.applyFilterSets({ remastered: true });
+
+			expect(connector.states).to.have.lengthOf(1);
+		});
+	});
+
+	describe('updateMetadataFilter', () => {
+		it('should remove functions of disabled filter set', () => {
+			const connector = createConnector({
+				artist: 'Artist', track: 'Track (Remastered 2011)',
+			});
+			connector.applyFilter(MetadataFilter.getRemasteredFilter());
+			connector.applyFilterSets({ remastered: false });
+			connector.stateChangedWorker();
+
+			expect(connector.states).to.have.lengthOf(1);
+			expect(getLastState(connector).track).to.be.equal(
+				'Track (Remastered 2011)');
+		});
+
+		it('should not trim fields if trim filter set is disabled', () => {
+			const connector = createConnector({
+				artist: ' Artist ', track: 'Track',
+			});
+			connector.applyFilterSets({ trim: false });
+			const state = getLastState(connector);
+
+			expect(state.artist).to.be.equal(' Artist ');
+			expect(state.originalInfo).to.be.deep.equal({});
+		});
+
+		it('should apply connector filter', () => {
+			const connector = createConnector({
+				artist: 'Artist', track: 'Track',
+			});
+			connector.applyFilter(new MetadataFilter({
+				track: (text) => text.toUpperCase(),
+			}));
+			connector.applyFilterSets({});
+
+			expect(getLastState(connector).track).to.be.equal('TRACK');
+		});
+
+		it('should apply default filter after other filters', () => {
+			const connector = createConnector({
+				artist: 'Artist', track: 'Track',
+			});
+			connector.applyFilter(new MetadataFilter({
+				track: (text) => `${text} `,
+			}));
+			connector.applyFilterSets({});
+
+			expect(connector.states).to.have.lengthOf(1);
+		});
+
+		it('should ignore unknown filter set', () => {
+			const connector = createConnector({
+				artist: 'Artist', track: 'Track (Remastered 2011)',
+			});
+			connector.applyFilterSets({ unknown: true, remastered: true });
+
+			expect(getLastState(connector).track).to.be.equal('Track');
+		});
+	});
+}
+
+runTests();
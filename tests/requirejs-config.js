@@ -6,11 +6,20 @@ require('node-define').config({
 		wrapper: 'tests/stubs',
 		storage: 'src/core/background/storage',
 		object: 'src/core/background/object',
+		scrobbler: 'src/core/background/scrobbler',
+		pipeline: 'src/core/background/pipeline',
+		browser: 'src/core/background/browser',
 		vendor: 'src/vendor',
 		md5: 'src/vendor/md5.min',
 
 		'webextension-polyfill': 'tests/stubs/webextension-polyfill',
-		'util/util': 'src/core/background/util/util'
+		'service/ga': 'tests/stubs/ga',
+		'util/util': 'src/core/background/util/util',
+		'util/util-browser': 'src/core/background/util/util-browser',
+		'util/util-connector': 'src/core/background/util/util-connector',
+		'util/url-match': 'src/core/background/util/url-match',
+		'util/util-edit-rules': 'src/core/background/util/util-edit-rules',
+		'util/util-history': 'src/core/background/util/util-history'
 	},
 	waitSeconds: 0
 });
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Stub of `fetch` function used to test modules sending API requests.
+ */
+
+const originalFetch = global.fetch;
+
+/**
+ * Create Response object stub.
+ * @param  {Object} response Response data
+ * @param  {Number} response.status HTTP status
+ * @param  {Object} response.body Response body; strings are not valid JSON
+ * @return {Object} Response object stub
+ */
+function createResponse({ status = 200, body = {} }) {
+	return {
+		status,
+		ok: status >= 200 && status < 300,
+
+		async json() {
+			if (typeof body === 'string') {
+				throw new SyntaxError('Unexpected token in JSON');
+			}
+
+			return body;
+		},
+
+		async text() {
+			return typeof body === 'string' ? body : JSON.stringify(body);
+		},
+	};
+}
+
+/**
+ * Replace global `fetch` function by a stub which returns given responses
+ * in order. Errors are thrown instead of returning a response.
+ * @param  {Array} responses Array of response data objects or errors
+ * @return {Array} Array which is filled by sent requests
+ */
+function stubFetch(responses) {
+	const requests = [];
+	const pendingResponses = responses.slice();
+
+	global.fetch = async(url, init = {}) => {
+		requests.push({ url, init });
+
+		const response = pendingResponses.shift();
+		if (!response) {
+			throw new Error(`Unexpected request: ${url}`);
+		}
+		if (response instanceof Error) {
+			throw response;
+		}
+
+		return createResponse(response);
+	};
+
+	return requests;
+}
+
+/**
+ * Restore original `fetch` function.
+ */
+function restoreFetch() {
+	global.fetch = originalFetch;
+}
+
+module.exports = { stubFetch, restoreFetch };
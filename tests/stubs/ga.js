@@ -0,0 +1,17 @@
+'use strict';
+
+/**
+ * Stub of 'service/ga' module which doesn't send any data.
+ */
+
+function event() {
+	// Do nothing
+}
+
+function pageview() {
+	// Do nothing
+}
+
+define([], () => {
+	return { event, pageview };
+});
@@ -8,13 +8,16 @@ class StorageAreaStub {
 		this.data = {};
 	}
 
-	get() {
-		return this.data;
-
+	/**
+	 * Return a copy of stored data like the browser storage does.
+	 * @return {Promise} Promise resolved with data copy
+	 */
+	async get() {
+		return JSON.parse(JSON.stringify(this.data));
 	}
 
-	set(data) {
-		this.data = Object.assign(this.data, data);
+	async set(data) {
+		this.data = Object.assign(this.data, JSON.parse(JSON.stringify(data)));
 	}
 
 	remove(key) {
@@ -23,14 +26,69 @@ class StorageAreaStub {
 }
 
 /**
- * Browser object stub.
+ * Event object stub.
+ */
+class EventStub {
+	addListener() {
+		// Do nothing
+	}
+}
+
+/**
+ * Stub of browser API function which does nothing.
+ */
+async function noop() {
+	// Do nothing
+}
+
+/**
+ * Browser object stub. Tests can replace functions of this object
+ * to emulate browser behavior.
+ *
+ * Tests and tested modules load separate copies of this module, so
+ * all copies share the object created by the first one.
+ *
  * @type {Object}
  */
-const browser = {
+const browser = global.browserStub || {
+	browserAction: {
+		setIcon: noop,
+		setPopup: noop,
+		setTitle: noop,
+	},
+	contextMenus: {
+		create: noop,
+		removeAll: noop,
+	},
+	i18n: {
+		getMessage: (messageName) => messageName,
+	},
+	notifications: {
+		onClicked: new EventStub(),
+		onClosed: new EventStub(),
+		create: noop,
+	},
+	runtime: {
+		getManifest: () => ({
+			version: '0.0.0', icons: { 128: 'icons/icon_main_128.png' },
+			homepage_url: 'https://web-scrobbler.github.io/',
+		}),
+		getURL: (path) => path,
+		sendMessage: noop,
+	},
 	storage: {
 		local: new StorageAreaStub(),
 		sync: new StorageAreaStub()
-	}
+	},
+	tabs: {
+		TAB_ID_NONE: -1,
+		executeScript: noop,
+		get: async(tabId) => ({ id: tabId }),
+		query: async() => [],
+		sendMessage: noop,
+	},
 };
 
+global.browserStub = browser;
+
 define([], () => browser);